@@ -1,27 +1,137 @@
 // Minimal dead-reckoning using compass heading + step detection
 // iOS requires user permission for motion/orientation. We gate sensors behind a button.
+// The tracking math lives in tracker.js; this file renders its state and wires the UI.
+
+import { createTracker } from './tracker.js';
+import { calibrationRun, fitStepModel } from './steplength.js';
+import { DEFAULT_SENSITIVITY, summarizeActivities } from './stepdetector.js';
+import { CARRY_MODES, DEFAULT_CARRY } from './carry.js';
+import { sampleFromEvent, createSession, parseSession, replaySession } from './session.js';
+import { isValidAnchor, requestFix, toGpx, toGeoJson } from './geo.js';
+import { createGpsFusion } from './fusion.js';
+import { simplifyPath, createRouteFollower } from './route.js';
+import { createGuidanceCues, DEFAULT_CUE_SETTINGS } from './cues.js';
+import { saveTrack, listTracks, getTrack, renameTrack, deleteTrack, savePhoto, getPhoto, deletePhotos } from './store.js';
+import { createEditHistory } from './trackedit.js';
+import { createTimeline } from './playback.js';
+import { trackStats } from './stats.js';
+import { encodeShare, encodeShareWithin, decodeShare, readShareFragment, shareLink } from './share.js';
+import { encodeQr, qrCapacity } from './qr.js';
+import { createTranslator, localeTag, pickLocale } from './i18n.js';
+import { formatAltitude, formatDistance, formatPace, formatStepLength, fromInputValue, inputUnit, niceNumber, pickUnits, scaleBarLength, splitLength, toInputValue } from './units.js';
+import { clockPosition, compassPoint, createAnnouncePacer, describeTrack, nearestLeg } from './narration.js';
 
 const elements = {
   status: document.getElementById('status'),
+  source: document.getElementById('source'),
   btnPermissions: document.getElementById('btn-permissions'),
   btnStart: document.getElementById('btn-start'),
   btnReset: document.getElementById('btn-reset'),
   btnCalibrate: document.getElementById('btn-calibrate'),
   btnGuide: document.getElementById('btn-guide'),
+  btnRetrace: document.getElementById('btn-retrace'),
+  routeInfo: document.getElementById('routeInfo'),
+  routeStop: document.getElementById('routeStop'),
+  // voice / vibration cues
+  btnCues: document.getElementById('btn-cues'),
+  cuesModal: document.getElementById('cuesModal'),
+  cueVoice: document.getElementById('cueVoice'),
+  cueVibration: document.getElementById('cueVibration'),
+  cueLang: document.getElementById('cueLang'),
+  cueInterval: document.getElementById('cueInterval'),
+  cueRepeat: document.getElementById('cueRepeat'),
+  cueTest: document.getElementById('cueTest'),
+  cuesClose: document.getElementById('cuesClose'),
   btnPause: document.getElementById('btn-pause'),
+  autoPause: document.getElementById('autoPause'),
   stepLength: document.getElementById('stepLength'),
+  sensitivity: document.getElementById('sensitivity'),
+  sensitivityValue: document.getElementById('sensitivityValue'),
+  activity: document.getElementById('activity'),
   distance: document.getElementById('distance'),
   heading: document.getElementById('heading'),
+  headingConfidence: document.getElementById('headingConfidence'),
+  btnCarry: document.getElementById('btn-carry'),
+  carryModal: document.getElementById('carryModal'),
+  carryMode: document.getElementById('carryMode'),
+  carryOffset: document.getElementById('carryOffset'),
+  carryDeclination: document.getElementById('carryDeclination'),
+  carryEstimate: document.getElementById('carryEstimate'),
+  carryClose: document.getElementById('carryClose'),
   steps: document.getElementById('steps'),
   backDist: document.getElementById('backDist'),
   backBearing: document.getElementById('backBearing'),
+  targetLabel: document.getElementById('targetLabel'),
   altitude: document.getElementById('altitude'),
+  floor: document.getElementById('floor'),
+  floorView: document.getElementById('floorView'),
   canvas: document.getElementById('canvas'),
+  btnCloseLoop: document.getElementById('btn-close-loop'),
+  btnEdit: document.getElementById('btn-edit'),
+  btnCamera: document.getElementById('btn-camera'),
+  btnPlayback: document.getElementById('btn-playback'),
+  btnShare: document.getElementById('btn-share'),
+  btnStats: document.getElementById('btn-stats'),
+  statsModal: document.getElementById('statsModal'),
+  statsSummary: document.getElementById('statsSummary'),
+  statsAltitude: document.getElementById('statsAltitude'),
+  statsDistance: document.getElementById('statsDistance'),
+  statsSplitBy: document.getElementById('statsSplitBy'),
+  statsSplits: document.getElementById('statsSplits'),
+  statsClose: document.getElementById('statsClose'),
+  shareModal: document.getElementById('shareModal'),
+  shareQr: document.getElementById('shareQr'),
+  shareInfo: document.getElementById('shareInfo'),
+  shareLink: document.getElementById('shareLink'),
+  shareCopy: document.getElementById('shareCopy'),
+  shareSend: document.getElementById('shareSend'),
+  shareScan: document.getElementById('shareScan'),
+  shareClose: document.getElementById('shareClose'),
+  scanVideo: document.getElementById('scanVideo'),
+  playbackBar: document.getElementById('playbackBar'),
+  playbackToggle: document.getElementById('playbackToggle'),
+  playbackSeek: document.getElementById('playbackSeek'),
+  playbackSpeed: document.getElementById('playbackSpeed'),
+  playbackTime: document.getElementById('playbackTime'),
+  playbackExport: document.getElementById('playbackExport'),
+  playbackClose: document.getElementById('playbackClose'),
+  btnVideo: document.getElementById('btn-video'),
+  cameraModal: document.getElementById('cameraModal'),
+  camVideo: document.getElementById('camVideo'),
+  camCapture: document.getElementById('camCapture'),
+  camClose: document.getElementById('camClose'),
+  photoModal: document.getElementById('photoModal'),
+  photoImage: document.getElementById('photoImage'),
+  photoMeta: document.getElementById('photoMeta'),
+  photoDelete: document.getElementById('photoDelete'),
+  photoClose: document.getElementById('photoClose'),
+  editBar: document.getElementById('editBar'),
+  editStepCount: document.getElementById('editStepCount'),
+  editUndoSteps: document.getElementById('editUndoSteps'),
+  editDelete: document.getElementById('editDelete'),
+  editTrim: document.getElementById('editTrim'),
+  editUndo: document.getElementById('editUndo'),
+  editRedo: document.getElementById('editRedo'),
+  editDone: document.getElementById('editDone'),
+  editHint: document.getElementById('editHint'),
+  loopInfo: document.getElementById('loopInfo'),
+  loopCorrection: document.getElementById('loopCorrection'),
+  mapTools: document.getElementById('mapTools'),
+  mapZoomIn: document.getElementById('mapZoomIn'),
+  mapZoomOut: document.getElementById('mapZoomOut'),
+  mapFit: document.getElementById('mapFit'),
+  mapFollow: document.getElementById('mapFollow'),
+  mapRotate: document.getElementById('mapRotate'),
   // calibration modal
   calibModal: document.getElementById('calibModal'),
   calibSteps: document.getElementById('calibSteps'),
-  calibSeconds: document.getElementById('calibSeconds'),
-  calibCountdown: document.getElementById('calibCountdown'),
+  calibElapsed: document.getElementById('calibElapsed'),
+  calibDistance: document.getElementById('calibDistance'),
+  calibProfile: document.getElementById('calibProfile'),
+  calibProfileName: document.getElementById('calibProfileName'),
+  calibProfileAdd: document.getElementById('calibProfileAdd'),
+  calibAdaptive: document.getElementById('calibAdaptive'),
+  calibModel: document.getElementById('calibModel'),
   calibStart: document.getElementById('calibStart'),
   calibStop: document.getElementById('calibStop'),
   calibApply: document.getElementById('calibApply'),
@@ -30,8 +140,77 @@ const elements = {
   resetModal: document.getElementById('resetModal'),
   resetCancel: document.getElementById('resetCancel'),
   resetConfirm: document.getElementById('resetConfirm'),
+  // sensor session recording / replay
+  btnRecord: document.getElementById('btn-record'),
+  btnReplay: document.getElementById('btn-replay'),
+  replayFile: document.getElementById('replayFile'),
+  // geo anchor / export
+  geoAuto: document.getElementById('geoAuto'),
+  gpsFusion: document.getElementById('gpsFusion'),
+  geoAnchor: document.getElementById('geoAnchor'),
+  btnGeo: document.getElementById('btn-geo'),
+  btnExportGpx: document.getElementById('btn-export-gpx'),
+  btnExportGeoJson: document.getElementById('btn-export-geojson'),
+  geoModal: document.getElementById('geoModal'),
+  geoLat: document.getElementById('geoLat'),
+  geoLon: document.getElementById('geoLon'),
+  geoNorth: document.getElementById('geoNorth'),
+  geoUseGps: document.getElementById('geoUseGps'),
+  geoApply: document.getElementById('geoApply'),
+  geoClear: document.getElementById('geoClear'),
+  geoClose: document.getElementById('geoClose'),
+  // track library
+  btnSaveTrack: document.getElementById('btn-save-track'),
+  btnLibrary: document.getElementById('btn-library'),
+  libraryModal: document.getElementById('libraryModal'),
+  libraryList: document.getElementById('libraryList'),
+  libraryClose: document.getElementById('libraryClose'),
+  viewBanner: document.getElementById('viewBanner'),
+  viewName: document.getElementById('viewName'),
+  viewClose: document.getElementById('viewClose'),
+  viewFollow: document.getElementById('viewFollow'),
+  // waypoints
+  btnWaypoint: document.getElementById('btn-waypoint'),
+  waypointList: document.getElementById('waypointList'),
+  waypointModal: document.getElementById('waypointModal'),
+  waypointName: document.getElementById('waypointName'),
+  waypointNote: document.getElementById('waypointNote'),
+  waypointSave: document.getElementById('waypointSave'),
+  waypointCancel: document.getElementById('waypointCancel'),
+  // language and units
+  uiLang: document.getElementById('uiLang'),
+  uiUnits: document.getElementById('uiUnits'),
+  stepLengthLabel: document.getElementById('stepLengthLabel'),
+  calibDistanceLabel: document.getElementById('calibDistanceLabel'),
+  statsSplitDistance: document.getElementById('statsSplitDistance'),
+  // accessibility
+  announcer: document.getElementById('announcer'),
+  btnAnnounce: document.getElementById('btn-announce'),
+  btnDescribe: document.getElementById('btn-describe'),
+  describeModal: document.getElementById('describeModal'),
+  describeSummary: document.getElementById('describeSummary'),
+  describeList: document.getElementById('describeList'),
+  describeClose: document.getElementById('describeClose'),
+  contrastTheme: document.getElementById('contrastTheme'),
+  // offline use and updates
+  offlineStatus: document.getElementById('offlineStatus'),
+  updateBanner: document.getElementById('updateBanner'),
+  updateReload: document.getElementById('updateReload'),
+  updateLater: document.getElementById('updateLater'),
 };
 
+// Language and unit system: 'auto' follows the browser, the controls panel overrides it.
+// Everything below reads texts through t() and lengths through units.js.
+const LANG_KEY = 'brodkrumen_lang';
+const UNITS_KEY = 'brodkrumen_units';
+let locale = pickLocale(loadSetting(LANG_KEY), navigator.language);
+let units = pickUnits(loadSetting(UNITS_KEY), navigator.language);
+let t = createTranslator(locale);
+let dateLocale = localeTag(locale, navigator.language);
+applyTranslations();
+applyUnits(parseFloat(elements.stepLength.value) || 0.75); // the markup holds meters
+elements.status.textContent = t('app.ready');
+
 // Canvas setup
 const ctx = elements.canvas.getContext('2d');
 let canvasWidth = 0;
@@ -50,20 +229,19 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 window.addEventListener('load', resizeCanvas);
 
-// World state in meters; origin is start point, positive x to the right, positive y downward (canvas coords)
-let pathPoints = []; // Array of {x, y} in meters relative to origin
-let originSet = false;
-let currentPosition = { x: 0, y: 0 };
-let totalDistance = 0;
-let stepCount = 0;
-let lastHeadingDeg = null; // 0..360, 0 = North (we map to -Y in canvas)
-let backToStart = { distance: 0, bearingDeg: 0 };
-let headingLPF = null; // low-pass filtered heading
-let pitchLPF = 0; // radians, device pitch (vor/zurück)
-let altitudeMeters = 0; // relative
+// Tracking engine; all path/position/heading state lives inside it
+const SENSITIVITY_KEY = 'brodkrumen_sensitivity';
+const CARRY_KEY = 'brodkrumen_carry';
+const AUTO_PAUSE_KEY = 'brodkrumen_autopause';
+// Names the tracker gives (unnamed waypoints, the start) in the current language
+const trackerLabels = {
+  start: () => t('waypoint.start'),
+  waypoint: (id) => t('waypoint.defaultName', { id }),
+};
+const tracker = createTracker({ stepLength: currentStepLength(), sensitivity: loadSensitivity(), carry: loadCarry(), autoPause: loadAutoPause(), labels: trackerLabels });
 let guidingEnabled = false; // show guidance arrow only on demand
-let paused = false;
-let headingWindow = []; // recent headings for step averaging
+let activeRoute = null; // { kind: 'retrace' | 'follow', label, hold, follower } while guiding along a route instead of straight
+let viewedTrack = null; // { id, name, tracker } while a saved track is shown read-only
 
 // Hoisted globals to avoid ReferenceError before initialization
 let fullscreen = false;
@@ -72,46 +250,66 @@ let overlayDiv = null;
 
 // Calibration state hoisted
 let calibActive = false;
-let calibStepCount = 0;
-let stepCountAtCalibStart = 0;
+let calibSamples = []; // per-step features ({ amplitude, cadenceHz }) of the running calibration walk
 let calibStartTime = 0;
 let calibTimer = null;
 
+// Sensor session recording / replay state hoisted
+let sessionRecording = null; // { startedAt, stepLength, stepModel, samples } while recording
+
 // Rendering parameters
-const metersPerPixel = 0.02; // 1 pixel = 2 cm; scale factor for drawing
-let viewOffsetPx = { x: 0, y: 0 }; // pan offset in pixels
+let metersPerPixel = 0.02; // 1 pixel = 2 cm at the start; changed by zooming
+const MIN_METERS_PER_PIXEL = 0.004;
+const MAX_METERS_PER_PIXEL = 20;
+let viewOffsetPx = { x: 0, y: 0 }; // pan offset in pixels, before rotation
+let viewShiftY = 0; // screen offset that keeps the followed floor layer centered
+let followPosition = true; // keep the current position centered
+let headingUp = false; // rotate the map with the heading instead of north up
+let floorView = 'all'; // 'all' (stacked), 'current' or a floor number
+let editMode = null; // { wasPaused, selection: [index] | [from, to], dragTo } while editing the live track
+let replay = null; // { points, timeline, at, frame, playing, ... } while a track is played back
+const FLOOR_STACK_PX = 60; // stacked view: each floor is drawn this far above the one below
+const FLOOR_COLORS = ['#22c55e', '#38bdf8', '#f472b6', '#facc15', '#a78bfa', '#fb923c'];
 
 function metersToCanvas(m) {
   return m / metersPerPixel;
 }
 
+// State shown on canvas and in the info panel: a saved track being viewed, else the live walk
+function shownState() {
+  return viewedTrack ? viewedTrack.tracker.getState() : tracker.getState();
+}
+
 function redrawAll() {
   const rect = elements.canvas.getBoundingClientRect();
+  const state = replay ? replayState(shownState()) : shownState();
+  const { path: pathPoints, position: currentPosition } = state;
   ctx.clearRect(0, 0, rect.width, rect.height);
-  // Auto-follow: when not fullscreen, keep current position centered by offsetting the view
-  if (!fullscreen) {
+  const shown = shownFloor(state);
+  // Auto-follow: keep current position centered by offsetting the view
+  if (followPosition) {
     viewOffsetPx.x = -metersToCanvas(currentPosition.x);
     viewOffsetPx.y = -metersToCanvas(currentPosition.y);
+    viewShiftY = -floorShiftPx(state.floor, shown);
   }
 
   // Draw grid
   drawGrid(rect.width, rect.height);
+  drawScaleBar(rect.height);
+
+  if (activeRoute && !viewedTrack) drawRoute(activeRoute.follower);
+  drawPauseMarks(state, shown);
+  drawWaypoints(state, shown);
+  drawPhotoPins(state, shown);
 
   // Draw path
   if (pathPoints.length > 0) {
-    ctx.lineWidth = 3;
-    ctx.strokeStyle = '#22c55e';
-    ctx.beginPath();
-    const start = toCanvasPoint(pathPoints[0]);
-    ctx.moveTo(start.x, start.y);
-    for (let i = 1; i < pathPoints.length; i++) {
-      const p = toCanvasPoint(pathPoints[i]);
-      ctx.lineTo(p.x, p.y);
-    }
-    ctx.stroke();
+    if (state.rawPath) drawRawPath(state.rawPath, shown);
+    drawPath(pathPoints, shown);
+    if (editMode && !viewedTrack) drawEditMarks(state, shown);
 
     // Draw current position
-    const head = toCanvasPoint(currentPosition);
+    const head = toLayerPoint(currentPosition, state.floor, shown);
     ctx.fillStyle = '#f59e0b';
     ctx.beginPath();
     ctx.arc(head.x, head.y, 5, 0, Math.PI * 2);
@@ -119,41 +317,298 @@ function redrawAll() {
 
     // Heading arrow
     let arrowAngleRad = null;
-    if (lastMoveHeadingDeg != null && Date.now() - lastStepTime < 3000) {
-      arrowAngleRad = headingToCanvasAngleRad(lastMoveHeadingDeg);
-    } else if (lastHeadingDeg != null) {
-      arrowAngleRad = headingToCanvasAngleRad(lastHeadingDeg);
+    if (state.moveHeadingDeg != null && Date.now() - state.lastStepTime < 3000) {
+      arrowAngleRad = headingToCanvasAngleRad(state.moveHeadingDeg) + viewRotationRad();
+    } else if (state.headingDeg != null) {
+      arrowAngleRad = headingToCanvasAngleRad(state.headingDeg) + viewRotationRad();
     }
     if (arrowAngleRad != null) drawArrow(head.x, head.y, arrowAngleRad, 28, '#f59e0b');
 
-    // Return-to-start arrow from current position (only when guiding)
-    if (originSet && guidingEnabled) {
-      const angleToOriginRad = Math.atan2(-currentPosition.y, -currentPosition.x); // world coords
-      drawArrow(head.x, head.y, angleToOriginRad, 34, '#60a5fa');
+    // Arrow to the next route point, or to the guidance target (origin or selected waypoint)
+    const routeProgress = (activeRoute && !viewedTrack) ? activeRoute.follower.getProgress() : null;
+    if (routeProgress) {
+      const target = routeProgress.target;
+      drawArrow(head.x, head.y, Math.atan2(target.y - currentPosition.y, target.x - currentPosition.x) + viewRotationRad(), 34, '#60a5fa');
+    } else if (state.originSet && guidingEnabled && !viewedTrack && !replay) {
+      const angleToTargetRad = Math.atan2(state.target.y - currentPosition.y, state.target.x - currentPosition.x) + viewRotationRad(); // world coords
+      drawArrow(head.x, head.y, angleToTargetRad, 34, '#60a5fa');
+    }
+  }
+
+  if (!fullscreen || replay) drawHud(state);
+}
+
+function shownFloor(state) {
+  return floorView === 'current' ? state.floor : floorView;
+}
+
+function floorShiftPx(floor, shown) {
+  return shown === 'all' ? -floor * FLOOR_STACK_PX : 0;
+}
+
+function toLayerPoint(p, floor, shown) {
+  const c = toCanvasPoint(p);
+  return { x: c.x, y: c.y + floorShiftPx(floor, shown) };
+}
+
+function floorColor(floor) {
+  const n = FLOOR_COLORS.length;
+  return FLOOR_COLORS[((floor % n) + n) % n];
+}
+
+// Path split into runs on the same floor. Stacked: every floor in its own colour and height,
+// joined by dashed stair/elevator lines. Single floor: the others stay faintly visible.
+function drawPath(pathPoints, shown) {
+  const labelled = new Set();
+  let run = [];
+  const flush = () => {
+    if (!run.length) return;
+    const floor = run[0].floor || 0;
+    const onShown = shown === 'all' || floor === shown;
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = shown === 'all' ? floorColor(floor) : onShown ? '#22c55e' : 'rgba(148,163,184,0.2)';
+    ctx.beginPath();
+    run.forEach((pt, i) => {
+      const p = toLayerPoint(pt, floor, shown);
+      if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+    });
+    ctx.stroke();
+    if (shown === 'all' && !labelled.has(floor)) {
+      labelled.add(floor);
+      const p = toLayerPoint(run[0], floor, shown);
+      ctx.font = '11px system-ui, -apple-system, Segoe UI, Roboto';
+      ctx.fillStyle = floorColor(floor);
+      ctx.fillText(floorText(floor), p.x + 8, p.y + 14);
+    }
+  };
+  for (const pt of pathPoints) {
+    const last = run[run.length - 1];
+    if (last && (last.floor || 0) !== (pt.floor || 0)) {
+      flush();
+      if (shown === 'all') {
+        const a = toLayerPoint(last, last.floor || 0, shown);
+        const b = toLayerPoint(pt, pt.floor || 0, shown);
+        ctx.save();
+        ctx.setLineDash([3, 4]);
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = 'rgba(229,231,235,0.6)';
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        ctx.restore();
+      }
+      run = [];
+    }
+    run.push(pt);
+  }
+  flush();
+}
+
+// Edit mode: the selected stretch, and where the position marker is being dragged to
+function drawEditMarks(state, shown) {
+  const [from, to] = editMode.selection;
+  ctx.save();
+  ctx.strokeStyle = '#f97316';
+  ctx.fillStyle = '#f97316';
+  if (from != null && to != null) {
+    ctx.lineWidth = 6;
+    ctx.globalAlpha = 0.7;
+    ctx.beginPath();
+    for (let i = from; i <= to; i++) {
+      const pt = state.path[i];
+      const p = toLayerPoint(pt, pt.floor || 0, shown);
+      if (i === from) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+    }
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+  }
+  for (const i of editMode.selection) {
+    const pt = state.path[i];
+    const p = toLayerPoint(pt, pt.floor || 0, shown);
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  if (editMode.dragTo) {
+    const a = toLayerPoint(state.position, state.floor, shown);
+    const b = toLayerPoint(editMode.dragTo, state.floor, shown);
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, 9, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// Uncorrected track behind the loop-closure corrected one, thin and dashed
+function drawRawPath(rawPath, shown) {
+  ctx.save();
+  ctx.setLineDash([4, 4]);
+  ctx.lineWidth = 1.5;
+  ctx.strokeStyle = 'rgba(148,163,184,0.45)';
+  ctx.beginPath();
+  rawPath.forEach((pt, i) => {
+    const p = toLayerPoint(pt, pt.floor || 0, shown);
+    if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+  });
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Route being followed as a dashed line, with the next route point marked
+function drawRoute(follower) {
+  const route = follower.getRoute();
+  ctx.save();
+  ctx.setLineDash([6, 6]);
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = 'rgba(96,165,250,0.8)';
+  ctx.beginPath();
+  route.forEach((pt, i) => {
+    const p = toCanvasPoint(pt);
+    if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+  });
+  ctx.stroke();
+  ctx.restore();
+  const progress = follower.getProgress();
+  if (progress && progress.nextTurn) {
+    const p = toCanvasPoint(route[progress.nextTurn.index]);
+    ctx.fillStyle = '#60a5fa';
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  if (progress) {
+    const p = toCanvasPoint(progress.target);
+    ctx.strokeStyle = '#60a5fa';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+}
+
+// Where the walk was paused: a small pause sign on the path
+function drawPauseMarks(state, shown) {
+  for (const pause of state.pauses || []) {
+    if (!isFinite(pause.x) || (shown !== 'all' && (pause.floor || 0) !== shown)) continue;
+    const p = toLayerPoint(pause, pause.floor || 0, shown);
+    ctx.fillStyle = pause.auto ? 'rgba(148,163,184,0.9)' : 'rgba(245,158,11,0.9)';
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#0e0e0e';
+    ctx.fillRect(p.x - 3, p.y - 3.5, 2, 7);
+    ctx.fillRect(p.x + 1, p.y - 3.5, 2, 7);
+  }
+}
+
+// Waypoint pins; the current guidance target is highlighted, pins on other floors are hidden
+function drawWaypoints(state, shown) {
+  ctx.font = '11px system-ui, -apple-system, Segoe UI, Roboto';
+  for (const w of state.waypoints) {
+    if (shown !== 'all' && (w.floor || 0) !== shown) continue;
+    const p = toLayerPoint(w, w.floor || 0, shown);
+    const isTarget = w.id === state.target.id;
+    ctx.fillStyle = isTarget ? '#60a5fa' : '#e879f9';
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+    ctx.arc(p.x, p.y - 12, 6, Math.PI * 0.8, Math.PI * 2.2);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillText(w.name, p.x + 8, p.y - 14);
+  }
+}
+
+// Photo pins: a small thumbnail on a stem; thumbnails load from IndexedDB on first draw
+const PHOTO_PIN_PX = 28;
+const photoThumbs = new Map(); // photo id -> HTMLImageElement, or null while loading / missing
+
+function photoThumb(id) {
+  if (photoThumbs.has(id)) return photoThumbs.get(id);
+  photoThumbs.set(id, null);
+  getPhoto(id).then((photo) => {
+    if (!photo || !photo.thumb) return;
+    const img = new Image();
+    img.onload = () => { photoThumbs.set(id, img); redrawAll(); };
+    img.src = photo.thumb;
+  }).catch(() => {});
+  return null;
+}
+
+function photoPinRect(pin, shown) {
+  const p = toLayerPoint(pin, pin.floor || 0, shown);
+  return { x: p.x - PHOTO_PIN_PX / 2, y: p.y - PHOTO_PIN_PX - 10, w: PHOTO_PIN_PX, h: PHOTO_PIN_PX, foot: p };
+}
+
+function drawPhotoPins(state, shown) {
+  for (const pin of state.photos) {
+    if (shown !== 'all' && (pin.floor || 0) !== shown) continue;
+    const r = photoPinRect(pin, shown);
+    ctx.strokeStyle = '#e5e7eb';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(r.foot.x, r.foot.y);
+    ctx.lineTo(r.foot.x, r.y + r.h);
+    ctx.stroke();
+    const img = photoThumb(pin.id);
+    if (img) {
+      ctx.drawImage(img, r.x, r.y, r.w, r.h);
+    } else {
+      ctx.fillStyle = '#374151';
+      ctx.fillRect(r.x, r.y, r.w, r.h);
     }
+    ctx.strokeRect(r.x, r.y, r.w, r.h);
   }
+}
 
-  if (!fullscreen) drawHud();
+// Topmost photo pin under a canvas point, or null
+function photoPinAt(c) {
+  const state = shownState();
+  const shown = shownFloor(state);
+  for (let i = state.photos.length - 1; i >= 0; i--) {
+    const pin = state.photos[i];
+    if (shown !== 'all' && (pin.floor || 0) !== shown) continue;
+    const r = photoPinRect(pin, shown);
+    if (c.x >= r.x - 4 && c.x <= r.x + r.w + 4 && c.y >= r.y - 4 && c.y <= r.y + r.h + 4) return pin;
+  }
+  return null;
 }
 
+// Grid in world meters, spaced so lines stay at least ~24 px apart at any zoom and rotation
 function drawGrid(w, h) {
-  const gridEveryMeters = 1;
-  const gridPx = metersToCanvas(gridEveryMeters);
+  const gridEveryMeters = niceNumber(24 * metersPerPixel);
+  const corners = [[0, 0], [w, 0], [0, h], [w, h]].map(([x, y]) => toWorldPoint({ x, y }));
+  const minX = Math.floor(Math.min(...corners.map((c) => c.x)) / gridEveryMeters) * gridEveryMeters;
+  const maxX = Math.max(...corners.map((c) => c.x));
+  const minY = Math.floor(Math.min(...corners.map((c) => c.y)) / gridEveryMeters) * gridEveryMeters;
+  const maxY = Math.max(...corners.map((c) => c.y));
   ctx.strokeStyle = 'rgba(148,163,184,0.15)';
   ctx.lineWidth = 1;
   ctx.beginPath();
-  for (let x = 0; x <= w; x += gridPx) {
-    ctx.moveTo(x, 0);
-    ctx.lineTo(x, h);
+  for (let x = minX; x <= maxX; x += gridEveryMeters) {
+    const a = toCanvasPoint({ x, y: minY });
+    const b = toCanvasPoint({ x, y: maxY });
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
   }
-  for (let y = 0; y <= h; y += gridPx) {
-    ctx.moveTo(0, y);
-    ctx.lineTo(w, y);
+  for (let y = minY; y <= maxY; y += gridEveryMeters) {
+    const a = toCanvasPoint({ x: minX, y });
+    const b = toCanvasPoint({ x: maxX, y });
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
   }
   ctx.stroke();
 
   // Origin marker at canvas center
-  if (originSet) {
+  if (shownState().originSet) {
     const c = toCanvasPoint({ x: 0, y: 0 });
     ctx.strokeStyle = 'rgba(59,130,246,0.8)';
     ctx.lineWidth = 2;
@@ -166,14 +621,58 @@ function drawGrid(w, h) {
   }
 }
 
+// Scale bar and, in heading-up mode, a north arrow in the bottom-left corner
+function drawScaleBar(h) {
+  const bar = scaleBarLength(80 * metersPerPixel, units);
+  const px = metersToCanvas(bar.meters);
+  const x = 12;
+  const y = h - 14;
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x, y - 5);
+  ctx.lineTo(x, y);
+  ctx.lineTo(x + px, y);
+  ctx.lineTo(x + px, y - 5);
+  ctx.stroke();
+  ctx.font = '11px system-ui, -apple-system, Segoe UI, Roboto';
+  ctx.fillStyle = '#e5e7eb';
+  ctx.fillText(bar.label, x + 4, y - 6);
+  if (headingUp) {
+    const north = headingToCanvasAngleRad(0) + viewRotationRad();
+    drawArrow(x + 10, y - 40, north, 16, '#e5e7eb');
+    ctx.fillText('N', x + 6 + Math.cos(north) * 28, y - 36 + Math.sin(north) * 28);
+  }
+}
+
+// Map rotation: 0 north up, or minus the heading so the walking direction points up
+function viewRotationRad() {
+  if (!headingUp) return 0;
+  const heading = replay ? replay.frame.headingDeg : shownState().headingDeg;
+  return heading == null ? 0 : -heading * Math.PI / 180;
+}
+
 // Map world meters to canvas pixels with origin centered
 function toCanvasPoint(p) {
   const rect = elements.canvas.getBoundingClientRect();
-  const cx = rect.width / 2;
-  const cy = rect.height / 2;
+  const vx = metersToCanvas(p.x) + viewOffsetPx.x;
+  const vy = metersToCanvas(p.y) + viewOffsetPx.y;
+  const r = viewRotationRad();
+  return {
+    x: rect.width / 2 + vx * Math.cos(r) - vy * Math.sin(r),
+    y: rect.height / 2 + vx * Math.sin(r) + vy * Math.cos(r) + viewShiftY,
+  };
+}
+
+// Inverse of toCanvasPoint
+function toWorldPoint(c) {
+  const rect = elements.canvas.getBoundingClientRect();
+  const sx = c.x - rect.width / 2;
+  const sy = c.y - rect.height / 2 - viewShiftY;
+  const r = -viewRotationRad();
   return {
-    x: cx + metersToCanvas(p.x) + viewOffsetPx.x,
-    y: cy + metersToCanvas(p.y) + viewOffsetPx.y,
+    x: (sx * Math.cos(r) - sy * Math.sin(r) - viewOffsetPx.x) * metersPerPixel,
+    y: (sx * Math.sin(r) + sy * Math.cos(r) - viewOffsetPx.y) * metersPerPixel,
   };
 }
 
@@ -206,40 +705,76 @@ function drawArrow(x, y, angleRad, lengthPx, color) {
   ctx.fill();
 }
 
-function drawHud() {
+function drawHud(state) {
   // Simple text HUD in top-left
   const rect = elements.canvas.getBoundingClientRect();
   const pad = 10;
   const x = pad;
-  const y = pad + 12;
-  ctx.fillStyle = 'rgba(0,0,0,0.45)';
-  ctx.fillRect(6, 6, 140, 44);
-  ctx.fillStyle = '#e5e7eb';
-  ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto';
-  const hTxt = (lastHeadingDeg == null ? '—' : lastHeadingDeg.toFixed(0)) + '°';
-  ctx.fillText('Heading: ' + hTxt, x, y);
-  ctx.fillText('Zum Start: ' + backToStart.distance.toFixed(1) + ' m', x, y + 16);
+  const large = document.documentElement.classList.contains('theme-contrast');
+  const size = large ? 18 : 12;
+  const y = pad + size;
+  ctx.font = size + 'px system-ui, -apple-system, Segoe UI, Roboto';
+  let lines;
+  if (replay) {
+    // Part of the picture so it ends up in the exported video
+    lines = [
+      t('hud.steps', { steps: replay.frame.steps, distance: formatDistance(replay.frame.distance, units, 1) }),
+      t('hud.time', { at: formatDuration(replay.at), duration: formatDuration(replay.timeline.duration) }),
+    ];
+  } else {
+    const g = guidanceReadout(state);
+    const hTxt = (state.headingDeg == null ? '—' : state.headingDeg.toFixed(0)) + '°';
+    lines = [t('hud.heading', { heading: hTxt }), g.label + ': ' + formatDistance(g.distance, units, 1)];
+  }
+  const w = Math.max(140, ...lines.map((l) => ctx.measureText(l).width + 2 * pad - 4));
+  ctx.fillStyle = large ? '#000' : 'rgba(0,0,0,0.45)';
+  ctx.fillRect(6, 6, Math.min(w, rect.width - 12), 2 * size + 20);
+  ctx.fillStyle = large ? '#fff' : '#e5e7eb';
+  ctx.fillText(lines[0], x, y);
+  ctx.fillText(lines[1], x, y + size + 4);
 }
 
 // Motion handling
 let motionListenerActive = false;
 let orientationListenerActive = false;
-let accelBuffer = [];
-const accelBufferSize = 64;
-let lastStepTime = 0;
-let lastAbove = false;
-let lastMagnitude = 0;
-let lastMoveHeadingDeg = null;
-let slopeSignStreak = 0;
-let lastSlopeSign = 0;
-let lastWalkTime = 0;
 
 function setStatus(text) {
   elements.status.textContent = text;
 }
 
+// Text for a caught error: coded errors of the modules (errors.js) are translated, browser
+// errors keep their own message
+function errorText(e) {
+  if (e && typeof e.code === 'string' && e.code.startsWith('error.')) return t(e.code, e.params);
+  return (e && e.message) || String(e);
+}
+
 function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
 
+function currentStepLength() {
+  const meters = fromInputValue(elements.stepLength.value, 'step', units);
+  return clamp(isFinite(meters) ? meters : 0.75, 0.3, 1.5);
+}
+
+function loadCarry() {
+  try { return { ...DEFAULT_CARRY, ...JSON.parse(localStorage.getItem(CARRY_KEY) || '{}') }; } catch (_) { return { ...DEFAULT_CARRY }; }
+}
+
+function loadAutoPause() {
+  let on = false;
+  try { on = localStorage.getItem(AUTO_PAUSE_KEY) === '1'; } catch (_) {}
+  elements.autoPause.checked = on;
+  return on;
+}
+
+function loadSensitivity() {
+  let value = DEFAULT_SENSITIVITY;
+  try { value = Number(localStorage.getItem(SENSITIVITY_KEY)) || DEFAULT_SENSITIVITY; } catch (_) {}
+  elements.sensitivity.value = String(value);
+  elements.sensitivityValue.textContent = String(value);
+  return value;
+}
+
 async function requestPermissions() {
   try {
     // iOS requires explicit permission per API
@@ -251,7 +786,7 @@ async function requestPermissions() {
       : 'granted';
 
     if (orientationPerm !== 'granted' || motionPerm !== 'granted') {
-      setStatus('Erlaubnis abgelehnt. Tippe erneut und entsperre in Safari-Einstellungen.');
+      setStatus(t('status.permissionDenied'));
       return false;
     }
 
@@ -260,12 +795,14 @@ async function requestPermissions() {
     elements.btnReset.disabled = false;
     elements.btnCalibrate.disabled = false;
     if (elements.btnGuide) elements.btnGuide.disabled = false;
+    if (elements.btnRetrace) elements.btnRetrace.disabled = false;
+    if (elements.btnRecord) elements.btnRecord.disabled = false;
     try { localStorage.setItem('sensorsGranted', '1'); } catch (_) {}
     hidePermissionsButton();
-    setStatus('Sensoren aktiv. Setze Startpunkt.');
+    setStatus(t('status.sensorsActive'));
     return true;
   } catch (e) {
-    setStatus('Fehler bei Berechtigungen: ' + e.message);
+    setStatus(t('status.permissionError', { error: errorText(e) }));
     return false;
   }
 }
@@ -279,197 +816,182 @@ function startSensors() {
     window.addEventListener('devicemotion', onMotion, { passive: true });
     motionListenerActive = true;
   }
+  startBarometer();
 }
 
-function onOrientation(e) {
-  // Prefer webkitCompassHeading on iOS (0 = North, clockwise)
-  const iosHeading = (e.webkitCompassHeading != null) ? e.webkitCompassHeading : null;
-  let heading = iosHeading;
-  if (heading == null) {
-    // Fallback using alpha; not reliable on all devices
-    heading = (typeof e.alpha === 'number') ? (360 - e.alpha) : null;
-  }
-  if (typeof heading === 'number' && isFinite(heading)) {
-    const raw = ((heading % 360) + 360) % 360;
-    // Low-pass filter to smooth jitter
-    if (headingLPF == null) headingLPF = raw;
-    const alpha = 0.15; // smoothing factor
-    // Handle wrap-around (0/360)
-    let diff = raw - headingLPF;
-    if (diff > 180) diff -= 360; else if (diff < -180) diff += 360;
-    headingLPF = headingLPF + alpha * diff;
-    lastHeadingDeg = ((headingLPF % 360) + 360) % 360;
-    elements.heading.textContent = lastHeadingDeg.toFixed(0);
-    // Always redraw so der Pfeil dreht sich auch ohne Schritte
-    redrawAll();
-    // push to heading window
-    headingWindow.push({ t: Date.now(), deg: lastHeadingDeg });
-    const cutoff = Date.now() - 600; // 0.6s window
-    while (headingWindow.length && headingWindow[0].t < cutoff) headingWindow.shift();
-  }
-
-  // Device pitch (front-back tilt). On most devices, e.beta ~ [-180,180]. Use as incline proxy.
-  if (typeof e.beta === 'number') {
-    const beta = clamp(e.beta, -90, 90); // limit extremes
-    const pitchRad = (beta * Math.PI) / 180;
-    const a = 0.15;
-    pitchLPF = pitchLPF + a * (pitchRad - pitchLPF);
+// Generic Sensor barometer; only some browsers expose one, everything else uses the motion signal
+let barometer = null;
+function startBarometer() {
+  const Sensor = window.PressureSensor || window.Barometer;
+  if (barometer || typeof Sensor !== 'function') return;
+  try {
+    barometer = new Sensor({ frequency: 5 });
+    barometer.addEventListener('reading', () => {
+      const reading = { pressure: barometer.pressure, timeStamp: barometer.timestamp };
+      if (sessionRecording) sessionRecording.samples.push(sampleFromEvent('pressure', reading));
+      tracker.feedPressure(reading);
+    });
+    barometer.addEventListener('error', () => { barometer = null; });
+    barometer.start();
+  } catch (_) {
+    barometer = null;
   }
 }
 
-function magnitude(x, y, z) {
-  return Math.sqrt(x * x + y * y + z * z);
+function onOrientation(e) {
+  if (sessionRecording) sessionRecording.samples.push(sampleFromEvent('orientation', e));
+  tracker.feedOrientation(e);
 }
 
 function onMotion(e) {
-  if (paused) return; // completely freeze during pause
-  const a = e.accelerationIncludingGravity || e.acceleration;
-  if (!a) return;
-  const m = magnitude(a.x || 0, a.y || 0, a.z || 0);
-  accelBuffer.push({ t: Date.now(), m });
-  if (accelBuffer.length > accelBufferSize) accelBuffer.shift();
-
-  // Detect steps always; advance only when origin is set
-  const stepDetected = detectStep();
-  if (stepDetected) {
-    stepCount += 1;
-    const stepMeters = clamp(parseFloat(elements.stepLength.value || '0.75'), 0.3, 1.5);
-    if (originSet && !guidingEnabled) {
-      advanceByStep(stepMeters);
-      lastWalkTime = Date.now();
-    } else if (calibActive) {
-      const liveSteps = Math.max(0, stepCount - stepCountAtCalibStart);
-      elements.calibSteps.textContent = String(liveSteps);
-    }
+  if (sessionRecording) sessionRecording.samples.push(sampleFromEvent('motion', e));
+  tracker.feedMotion(e);
+}
+
+function targetLabel(state) {
+  return state.target.id == null ? t('target.start') : t('target.waypoint', { name: state.target.name });
+}
+
+// Label, distance and bearing for the guidance readouts: along the active route, else straight to the target
+function guidanceReadout(state) {
+  const progress = (activeRoute && !viewedTrack) ? activeRoute.follower.getProgress() : null;
+  if (progress) return { label: activeRoute.label, distance: progress.remaining, bearingDeg: progress.bearingToTarget };
+  return { label: targetLabel(state), distance: state.guidance.distance, bearingDeg: state.guidance.bearingDeg };
+}
+
+function updateReadouts() {
+  const s = shownState();
+  const g = guidanceReadout(s);
+  elements.steps.textContent = String(s.stepCount);
+  elements.distance.textContent = formatDistance(s.totalDistance, units, 2);
+  if (elements.targetLabel) elements.targetLabel.textContent = g.label;
+  elements.backDist.textContent = formatDistance(g.distance, units, 2);
+  elements.backBearing.textContent = (g.distance > 0 && isFinite(g.bearingDeg)) ? g.bearingDeg.toFixed(0) : '—';
+  elements.altitude.textContent = formatAltitude(s.altitudeMeters, units, 2);
+  elements.activity.textContent = activityText(s);
+  elements.floor.textContent = floorText(s.floor) + (s.floorSource === 'barometer' ? ' · Barometer' : '');
+}
+
+function floorText(floor) {
+  return floor === 0 ? t('floor.start') : t('floor.level', { floor: (floor > 0 ? '+' : '') + floor });
+}
+
+// Floors present in the shown track, for the floor view selector
+function renderFloorOptions() {
+  const s = shownState();
+  const present = new Set([0, s.floor]);
+  for (const p of s.path) present.add(p.floor || 0);
+  const current = String(floorView);
+  elements.floorView.innerHTML = '';
+  const options = [['all', t('floor.all')], ['current', t('floor.current')]]
+    .concat([...present].sort((a, b) => b - a).map((f) => [String(f), floorText(f)]));
+  for (const [value, label] of options) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    elements.floorView.appendChild(opt);
   }
+  elements.floorView.value = options.some(([v]) => v === current) ? current : 'all';
+}
+
+// Live: the current activity; saved track: what it mostly was
+function activityText(state) {
+  if (!viewedTrack) return t('activity.' + state.activity);
+  const last = state.path[state.path.length - 1];
+  const dominant = summarizeActivities(state.activityLog, last && last.t).dominant;
+  return dominant ? t('activity.mostly', { activity: t('activity.' + dominant) }) : '—';
+}
+
+// Heading trust: green = gyro and compass agree, yellow/red = compass only or magnetically disturbed
+function updateHeadingConfidence(confidence, disturbed) {
+  const level = confidence >= 0.7 ? 'high' : confidence >= 0.4 ? 'medium' : 'low';
+  const el = elements.headingConfidence;
+  el.className = 'confidence is-' + level;
+  el.textContent = t(disturbed ? 'heading.disturbed' : 'heading.' + level);
+}
+
+tracker.on('heading', ({ headingDeg, confidence, disturbed }) => {
+  elements.heading.textContent = headingDeg.toFixed(0);
+  updateHeadingConfidence(confidence, disturbed);
+  // Always redraw so der Pfeil dreht sich auch ohne Schritte
+  redrawAll();
+  updateCues();
+});
+tracker.on('step', ({ stepCount, amplitude, cadenceHz }) => {
+  if (!viewedTrack) elements.steps.textContent = String(stepCount);
   if (calibActive) {
-    const liveSteps = Math.max(0, stepCount - stepCountAtCalibStart);
-    elements.calibSteps.textContent = String(liveSteps);
-  }
-}
-
-function detectStep() {
-  // Simple peak detection relative to rolling mean
-  if (accelBuffer.length < 12) return false;
-  const now = Date.now();
-  const recent = accelBuffer.slice(-20);
-  const mean = recent.reduce((s, v) => s + v.m, 0) / recent.length;
-  const variance = recent.reduce((s, v) => s + (v.m - mean) * (v.m - mean), 0) / recent.length;
-  const std = Math.sqrt(variance);
-  const last = recent[recent.length - 1];
-  if (std < 0.6) return false; // reject jitter when not walking
-  const threshold = mean + Math.max(0.7, 1.0 * std);
-
-  const minMsBetweenSteps = 400;
-  const risingEdge = !lastAbove && last.m > threshold && (last.m - lastMagnitude) > 0.6;
-  lastAbove = last.m > threshold;
-  if (risingEdge && now - lastStepTime > minMsBetweenSteps) {
-    lastStepTime = now;
-    lastMagnitude = last.m;
-    return true;
+    calibSamples.push({ amplitude, cadenceHz });
+    elements.calibSteps.textContent = String(calibSamples.length);
   }
-  lastMagnitude = last.m;
-  return false;
-}
-
-function advanceByStep(stepMeters) {
-  // Heading: 0° = North (up). Canvas Y grows down, so dy = +meters for South. We invert.
-  // Use averaged heading over last ~0.6s to avoid compass jumps
-  let heading = lastHeadingDeg == null ? 0 : lastHeadingDeg;
-  if (headingWindow.length) {
-    const s = headingWindow.reduce((acc, h) => {
-      const r = h.deg * Math.PI / 180;
-      acc.x += Math.cos(r); acc.y += Math.sin(r); return acc;
-    }, { x: 0, y: 0 });
-    const avg = Math.atan2(s.y, s.x) * 180 / Math.PI;
-    heading = ((avg % 360) + 360) % 360;
-  }
-  const rad = heading * Math.PI / 180;
-  // Convert to canvas/world coordinates (x to right, y down). North means y decreases.
-  const dx = Math.sin(rad) * stepMeters; // east-west component
-  const dy = -Math.cos(rad) * stepMeters; // north-south component (negative for north)
-  const next = { x: currentPosition.x + dx, y: currentPosition.y + dy };
-
-  // Update movement heading
-  lastMoveHeadingDeg = ((Math.atan2(dx, -dy) * 180 / Math.PI) + 360) % 360;
-
-  // Update path only if not paused
-  if (!paused) {
-    pathPoints.push({ x: currentPosition.x, y: currentPosition.y });
-    pathPoints.push({ x: next.x, y: next.y });
-    totalDistance += stepMeters;
-  }
-
-  currentPosition = next;
-
-  // Vertical estimate only when walking and steep enough; strong smoothing
-  const pitch = pitchLPF || 0;
-  const absPitch = Math.abs(pitch);
-  if (!paused && absPitch > 0.26) { // > ~15°
-    const sign = Math.sign(Math.sin(pitch));
-    if (sign === lastSlopeSign) slopeSignStreak += 1; else { slopeSignStreak = 1; lastSlopeSign = sign; }
-    if (slopeSignStreak >= 2) { // require two consecutive uphill/downhill steps
-      const dzRaw = stepMeters * Math.sin(pitch) * 0.4;
-      const dzClamped = clamp(dzRaw, -stepMeters * 0.3, stepMeters * 0.3);
-      altitudeMeters = 0.9 * altitudeMeters + 0.1 * (altitudeMeters + dzClamped);
-    }
-    if (Math.abs(altitudeMeters - 1) < 0.02) altitudeMeters = 1;
-  }
-  // If kein Schritt seit 4s: sanft Richtung 1.00 ziehen
-  if (Date.now() - lastWalkTime > 4000) {
-    altitudeMeters = 0.98 * altitudeMeters + 0.02 * 1;
-    if (Math.abs(altitudeMeters - 1) < 0.01) altitudeMeters = 1;
-  }
-
-  // recompute return-to-start
-  const dx0 = -currentPosition.x;
-  const dy0 = -currentPosition.y;
-  backToStart.distance = Math.hypot(dx0, dy0);
-  const angleRad = Math.atan2(dy0, dx0); // canvas/world
-  // Convert to compass bearing (0° north, clockwise)
-  const bearingFromNorth = ((90 - (angleRad * 180 / Math.PI)) % 360 + 360) % 360;
-  backToStart.bearingDeg = bearingFromNorth;
-
-  // UI updates
-  elements.steps.textContent = String(stepCount);
-  elements.distance.textContent = totalDistance.toFixed(2);
-  elements.backDist.textContent = backToStart.distance.toFixed(2);
-  elements.backBearing.textContent = backToStart.bearingDeg.toFixed(0);
-  elements.altitude.textContent = altitudeMeters.toFixed(2);
-
+});
+tracker.on('floor', ({ floor, via }) => {
+  if (viewedTrack) return;
+  renderFloorOptions();
+  updateReadouts();
   redrawAll();
-}
+  setStatus(t(via === 'elevator' ? 'status.floorElevator' : 'status.floorStairs', { floor: floorText(floor) }));
+});
+tracker.on('activity', () => {
+  if (!viewedTrack) elements.activity.textContent = activityText(tracker.getState());
+});
+tracker.on('move', ({ position }) => {
+  if (activeRoute) {
+    activeRoute.follower.update(position);
+    updateRouteInfo();
+  }
+  updateReadouts();
+  updateWaypointDistances();
+  redrawAll();
+  updateCues();
+  announceGuidance();
+});
+tracker.on('restore', () => {
+  updateLoopInfo();
+  renderFloorOptions();
+  updateReadouts();
+  updateAnchorReadout();
+  renderWaypointList();
+  redrawAll();
+});
+tracker.on('waypoints', () => {
+  renderWaypointList();
+  redrawAll();
+});
+tracker.on('target', () => {
+  updateReadouts();
+  renderWaypointList();
+  redrawAll();
+});
+tracker.on('origin', () => { stopRouteGuidance(); renderWaypointList(); renderFloorOptions(); updateLoopInfo(); });
+tracker.on('reset', () => { stopRouteGuidance(); renderWaypointList(); renderFloorOptions(); updateLoopInfo(); });
+tracker.on('anchor', updateAnchorReadout);
+tracker.on('loopclosure', (c) => {
+  updateLoopInfo();
+  updateReadouts();
+  renderWaypointList();
+  redrawAll();
+  setStatus(t('loop.corrected', { name: c.name, correction: loopCorrectionText(c) }));
+});
 
 function setStartPoint() {
-  originSet = true;
-  pathPoints = [{ x: 0, y: 0 }];
-  currentPosition = { x: 0, y: 0 };
-  stepCount = 0;
-  totalDistance = 0;
-  elements.steps.textContent = '0';
-  elements.distance.textContent = '0.00';
-  elements.backDist.textContent = '0.00';
-  elements.backBearing.textContent = '—';
-  altitudeMeters = 1;
-  elements.altitude.textContent = '1.00';
-  setStatus('Startpunkt gesetzt. Lauf los.');
+  tracker.setOrigin();
+  updateReadouts();
+  updateAnchorReadout();
+  setStatus(t('status.startSet'));
+  if (elements.geoAuto && elements.geoAuto.checked) anchorStartFromGps();
   enableWakeLock();
-  paused = false;
-  if (elements.btnPause) { elements.btnPause.textContent = 'Pause'; elements.btnPause.disabled = false; }
+  if (elements.btnPause) { elements.btnPause.textContent = t('btn.pause'); elements.btnPause.disabled = false; }
   redrawAll();
 }
 
 function resetAll() {
-  originSet = false;
-  pathPoints = [];
-  currentPosition = { x: 0, y: 0 };
-  stepCount = 0;
-  totalDistance = 0;
-  elements.steps.textContent = '0';
-  elements.distance.textContent = '0.00';
-  elements.backDist.textContent = '0.00';
-  elements.backBearing.textContent = '—';
-  setStatus('Zurückgesetzt. Sensoren aktiv.');
+  const dropped = tracker.getPhotos();
+  tracker.reset();
+  discardPhotos(dropped);
+  setCurrentTrackId(null);
+  updateReadouts();
+  updateAnchorReadout();
+  setStatus(t('status.reset'));
   disableWakeLock();
   redrawAll();
 }
@@ -478,10 +1000,10 @@ function resetAll() {
 elements.btnPermissions.addEventListener('click', requestPermissions);
 elements.btnStart.addEventListener('click', () => {
   if (!motionListenerActive || !orientationListenerActive) {
-    setStatus('Bitte zuerst Sensoren erlauben.');
+    setStatus(t('status.needSensors'));
     return;
   }
-  setStartPoint();
+  startNewWalk();
 });
 elements.btnReset.addEventListener('click', () => {
   elements.resetModal.classList.remove('hidden');
@@ -489,132 +1011,1755 @@ elements.btnReset.addEventListener('click', () => {
 elements.btnCalibrate.addEventListener('click', openCalibration);
 if (elements.btnGuide) {
   elements.btnGuide.addEventListener('click', () => {
-    guidingEnabled = !guidingEnabled;
-    elements.btnGuide.textContent = guidingEnabled ? 'Zurück zum Start (an)' : 'Zurück zum Start';
-    redrawAll();
+    if (activeRoute) stopRouteGuidance();
+    setGuiding(!guidingEnabled);
   });
 }
 if (elements.btnPause) {
   elements.btnPause.addEventListener('click', () => {
+    const { originSet, paused } = tracker.getState();
     if (!originSet) return;
-    paused = !paused;
-    elements.btnPause.textContent = paused ? 'Start' : 'Pause';
+    if (paused) tracker.resume(); else tracker.pause();
+    elements.btnPause.textContent = t(paused ? 'btn.pause' : 'btn.resume');
   });
 }
-// no photo/video buttons anymore
+if (elements.autoPause) {
+  elements.autoPause.addEventListener('change', () => {
+    tracker.setAutoPause(elements.autoPause.checked);
+    try { localStorage.setItem(AUTO_PAUSE_KEY, elements.autoPause.checked ? '1' : '0'); } catch (_) {}
+    setStatus(t(elements.autoPause.checked ? 'status.autoPauseOn' : 'status.autoPauseOff'));
+  });
+}
+// Auto-pause flips the state without a click
+tracker.on('pause', ({ auto }) => {
+  if (elements.btnPause) elements.btnPause.textContent = t('btn.resume');
+  if (auto) setStatus(t('status.autoPaused'));
+  if (!viewedTrack) redrawAll();
+});
+tracker.on('resume', ({ auto }) => {
+  if (elements.btnPause) elements.btnPause.textContent = t('btn.pause');
+  if (auto) setStatus(t('status.autoResumed'));
+  if (!viewedTrack) redrawAll();
+});
+elements.floorView.addEventListener('change', () => {
+  const v = elements.floorView.value;
+  floorView = (v === 'all' || v === 'current') ? v : Number(v);
+  redrawAll();
+});
+renderFloorOptions();
+elements.sensitivity.addEventListener('input', () => {
+  const value = Number(elements.sensitivity.value);
+  elements.sensitivityValue.textContent = String(value);
+  tracker.setSensitivity(value);
+  try { localStorage.setItem(SENSITIVITY_KEY, String(value)); } catch (_) {}
+});
+elements.stepLength.addEventListener('input', () => {
+  tracker.setStepLength(currentStepLength());
+  activeProfile().stepLength = currentStepLength();
+  saveProfiles();
+});
+
+// ---- Offline use and updates (service worker) ----
+// Everything is served from the worker's cache so the app keeps working without a network.
+// A new version (a new worker, or files the worker found changed on the server) is only taken
+// over when "Neu laden" is pressed; the track is saved first and restored after the reload.
+let swRegistration = null;
+let reloadOnControllerChange = false; // only our own update may reload, not the first install
+let offlineState; // last { ready, missing } from the worker, null without one
+
+function showUpdateBanner() {
+  elements.updateBanner.classList.remove('hidden');
+}
+
+function renderOfflineStatus(status) {
+  offlineState = status;
+  elements.offlineStatus.hidden = false;
+  elements.offlineStatus.textContent = !status ? t('offline.unavailable')
+    : status.ready ? t('offline.ready') : t('offline.missing', { count: status.missing.length });
+}
+
+function applyUpdate() {
+  // A sensor recording or video lives only in memory and would be lost
+  if (sessionRecording || recorder) { setStatus(t('update.busy')); return; }
+  saveState();
+  const waiting = swRegistration && swRegistration.waiting;
+  if (waiting) {
+    reloadOnControllerChange = true;
+    waiting.postMessage({ type: 'skipWaiting' }); // reloads on controllerchange
+  } else {
+    location.reload();
+  }
+}
+
+safeBind(elements.updateReload, 'click', applyUpdate);
+safeBind(elements.updateLater, 'click', () => elements.updateBanner.classList.add('hidden'));
 
-// PWA service worker
 if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    const msg = e.data || {};
+    if (msg.type === 'status') renderOfflineStatus(msg);
+    else if (msg.type === 'updated') showUpdateBanner();
+  });
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloadOnControllerChange) location.reload();
+  });
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('service-worker.js').catch(() => {});
+    navigator.serviceWorker.register('service-worker.js').then((reg) => {
+      swRegistration = reg;
+      if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner();
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          // The first install takes over by itself; later ones wait for the banner
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner();
+        });
+      });
+      return navigator.serviceWorker.ready;
+    }).then((reg) => {
+      if (reg.active) reg.active.postMessage({ type: 'status' });
+    }).catch(() => renderOfflineStatus(null));
   });
+  // Look for a new version whenever the app comes back to the foreground
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && swRegistration) swRegistration.update().catch(() => {});
+  });
+} else {
+  renderOfflineStatus(null);
 }
 
 // Initial draw
 resizeCanvas();
 
-// ---- Canvas panning (drag to move view) ----
-let isDragging = false;
-let lastDrag = { x: 0, y: 0 };
+// ---- Map view: zoom, pan, rotate ----
+// Wheel and pinch zoom everywhere; dragging pans only in fullscreen so the page still scrolls
+// inline. Panning or fitting stops following the position until "Folgen" is pressed again.
+const MAP_VIEW_KEY = 'brodkrumen_map';
+const pointers = new Map(); // pointerId -> { x, y } while down
+let pinchDistance = null;
+let dragMoved = 0;
+
+function canvasPoint(e) {
+  const rect = elements.canvas.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+// Zoom by `factor` keeping the world point under canvas point `at` in place
+function zoomBy(factor, at) {
+  const next = clamp(metersPerPixel / factor, MIN_METERS_PER_PIXEL, MAX_METERS_PER_PIXEL);
+  const k = metersPerPixel / next;
+  if (k === 1) return;
+  if (at && !followPosition) {
+    const world = toWorldPoint(at);
+    metersPerPixel = next;
+    const moved = toCanvasPoint(world);
+    panBy(at.x - moved.x, at.y - moved.y);
+  } else {
+    metersPerPixel = next;
+  }
+  redrawAll();
+}
+
+// Pan by a screen-space delta (undoing the map rotation)
+function panBy(dx, dy) {
+  const r = -viewRotationRad();
+  viewOffsetPx.x += dx * Math.cos(r) - dy * Math.sin(r);
+  viewOffsetPx.y += dx * Math.sin(r) + dy * Math.cos(r);
+}
+
+function setFollow(on) {
+  followPosition = on;
+  if (elements.mapFollow) {
+    elements.mapFollow.classList.toggle('is-active', on);
+    elements.mapFollow.setAttribute('aria-pressed', String(on));
+  }
+  redrawAll();
+}
+
+function setHeadingUp(on) {
+  headingUp = on;
+  if (elements.mapRotate) elements.mapRotate.textContent = t(headingUp ? 'map.headingUp' : 'map.northUp');
+  try { localStorage.setItem(MAP_VIEW_KEY, JSON.stringify({ headingUp })); } catch (_) {}
+  redrawAll();
+}
+
+// Zoom and center so the whole shown track (and its waypoints) fits the canvas
+function fitTrack() {
+  const state = shownState();
+  const points = state.path.concat(state.waypoints);
+  if (!points.length) return;
+  const rect = elements.canvas.getBoundingClientRect();
+  const r = viewRotationRad();
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const p of points) {
+    const x = p.x * Math.cos(r) - p.y * Math.sin(r);
+    const y = p.x * Math.sin(r) + p.y * Math.cos(r);
+    minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+  }
+  const pad = 40;
+  metersPerPixel = clamp(Math.max((maxX - minX) / Math.max(1, rect.width - 2 * pad), (maxY - minY) / Math.max(1, rect.height - 2 * pad), 0.01),
+    MIN_METERS_PER_PIXEL, MAX_METERS_PER_PIXEL);
+  // Center of the box back in world coordinates
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  viewOffsetPx.x = -metersToCanvas(cx * Math.cos(r) + cy * Math.sin(r));
+  viewOffsetPx.y = -metersToCanvas(-cx * Math.sin(r) + cy * Math.cos(r));
+  viewShiftY = 0;
+  setFollow(false);
+}
+
+elements.canvas.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  zoomBy(Math.exp(-e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.0015)), canvasPoint(e));
+}, { passive: false });
+
 elements.canvas.addEventListener('pointerdown', (e) => {
-  if (!fullscreen) return; // nur im Vollbild pannen, sonst normales Scrollen zulassen
-  isDragging = true;
-  lastDrag = { x: e.clientX, y: e.clientY };
+  pointers.set(e.pointerId, canvasPoint(e));
+  if (editMode && pointers.size === 1 && nearPositionMarker(canvasPoint(e))) {
+    editMode.dragTo = markerWorldPoint(canvasPoint(e));
+    dragMoved = 0;
+    try { elements.canvas.setPointerCapture(e.pointerId); } catch(_) {}
+    return;
+  }
+  if (pointers.size === 2) {
+    const [a, b] = [...pointers.values()];
+    pinchDistance = Math.hypot(a.x - b.x, a.y - b.y);
+  }
+  if (pointers.size === 1) dragMoved = 0;
+  if (!fullscreen && pointers.size < 2) return; // nur im Vollbild pannen, sonst normales Scrollen zulassen
   try { elements.canvas.setPointerCapture(e.pointerId); } catch(_) {}
 });
 elements.canvas.addEventListener('pointermove', (e) => {
-  if (!fullscreen || !isDragging) return;
-  const dx = e.clientX - lastDrag.x;
-  const dy = e.clientY - lastDrag.y;
-  lastDrag = { x: e.clientX, y: e.clientY };
-  viewOffsetPx.x += dx;
-  viewOffsetPx.y += dy;
+  const previous = pointers.get(e.pointerId);
+  if (!previous) return;
+  const current = canvasPoint(e);
+  pointers.set(e.pointerId, current);
+  if (editMode && editMode.dragTo) {
+    dragMoved += Math.abs(current.x - previous.x) + Math.abs(current.y - previous.y);
+    editMode.dragTo = markerWorldPoint(current);
+    e.preventDefault();
+    redrawAll();
+    return;
+  }
+  if (pointers.size === 2 && pinchDistance) {
+    const [a, b] = [...pointers.values()];
+    const distance = Math.hypot(a.x - b.x, a.y - b.y);
+    if (distance > 0) zoomBy(distance / pinchDistance, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    pinchDistance = distance;
+    dragMoved = Infinity;
+    e.preventDefault();
+    return;
+  }
+  if (!fullscreen || pointers.size !== 1) return;
+  const dx = current.x - previous.x;
+  const dy = current.y - previous.y;
+  dragMoved += Math.abs(dx) + Math.abs(dy);
+  if (followPosition && dragMoved > 6) setFollow(false);
+  panBy(dx, dy);
   e.preventDefault();
   redrawAll();
 }, { passive: false });
-elements.canvas.addEventListener('pointerup', (e) => {
-  if (!fullscreen) return;
-  isDragging = false;
+function endPointer(e) {
+  pointers.delete(e.pointerId);
+  if (editMode && editMode.dragTo) {
+    const to = editMode.dragTo;
+    editMode.dragTo = null;
+    if (e.type === 'pointerup' && dragMoved > 6) applyEdit(t('edit.moved'), () => tracker.moveTo(to));
+    else redrawAll();
+  }
+  if (pointers.size < 2) pinchDistance = null;
+  // A pan or pinch is not a tap: don't toggle fullscreen on the click that follows
+  if (dragMoved > 6) suppressCanvasTapUntil = Date.now() + 400;
   try { elements.canvas.releasePointerCapture(e.pointerId); } catch(_) {}
-});
-elements.canvas.addEventListener('pointercancel', () => { isDragging = false; });
+}
+elements.canvas.addEventListener('pointerup', endPointer);
+elements.canvas.addEventListener('pointercancel', endPointer);
+
+safeBind(elements.mapZoomIn, 'click', () => zoomBy(1.5));
+safeBind(elements.mapZoomOut, 'click', () => zoomBy(1 / 1.5));
+safeBind(elements.mapFit, 'click', fitTrack);
+safeBind(elements.mapFollow, 'click', () => setFollow(true));
+safeBind(elements.mapRotate, 'click', () => setHeadingUp(!headingUp));
+try { setHeadingUp(!!JSON.parse(localStorage.getItem(MAP_VIEW_KEY) || '{}').headingUp); } catch (_) {}
+setFollow(true);
+
+// ---- Track editing ----
+// Edits pause tracking and work on the live track: take back the last steps, drag the position
+// marker to where the walker actually is, or select a stretch (two taps on the path) and cut
+// it out or trim the track to it. Edits stay undoable while walking on; a loop closure, which
+// rewrites the path, ends the history.
+const editHistory = createEditHistory();
+const EDIT_PICK_PX = 24;
+
+function nearPositionMarker(c) {
+  const state = tracker.getState();
+  const p = toLayerPoint(state.position, state.floor, shownFloor(state));
+  return Math.hypot(c.x - p.x, c.y - p.y) <= EDIT_PICK_PX;
+}
 
-// ---- Calibration ----
+// Canvas point on the current floor's layer → world meters
+function markerWorldPoint(c) {
+  const state = tracker.getState();
+  return toWorldPoint({ x: c.x, y: c.y - floorShiftPx(state.floor, shownFloor(state)) });
+}
 
-function openCalibration() {
-  elements.calibSteps.textContent = '0';
-  elements.calibStart.disabled = false;
-  elements.calibStop.disabled = true;
-  elements.calibModal.classList.remove('hidden');
+function startEditing() {
+  if (viewedTrack) { setStatus(t('status.readOnly')); return; }
+  if (replay) stopReplay();
+  const state = tracker.getState();
+  if (!state.originSet) { setStatus(t('status.needStart')); return; }
+  editMode = { wasPaused: state.paused, selection: [], dragTo: null };
+  tracker.pause();
+  elements.editBar.classList.remove('hidden');
+  try { elements.canvas.style.touchAction = 'none'; } catch(_) {}
+  updateEditBar();
+  redrawAll();
+  setStatus(t('edit.started'));
 }
 
-function startCalibration() {
-  calibActive = true;
-  stepCountAtCalibStart = stepCount;
-  calibStepCount = 0;
-  elements.calibSteps.textContent = '0';
-  elements.calibStart.disabled = true;
-  elements.calibStop.disabled = false;
-  calibStartTime = Date.now();
-  const secs = clamp(parseInt(elements.calibSeconds.value || '15', 10), 5, 120);
-  if (calibTimer) clearInterval(calibTimer);
-  elements.calibCountdown.textContent = String(secs);
-  let remaining = secs;
-  calibTimer = setInterval(() => {
-    if (!calibActive) { clearInterval(calibTimer); calibTimer = null; return; }
-    remaining = Math.max(0, secs - Math.floor((Date.now() - calibStartTime) / 1000));
-    elements.calibCountdown.textContent = String(remaining);
-    if (remaining <= 0) { clearInterval(calibTimer); calibTimer = null; stopCalibration(); }
-  }, 200);
-  setStatus('Kalibrierung läuft … Gehe normal.');
+function stopEditing() {
+  if (!editMode) return;
+  if (!editMode.wasPaused) tracker.resume();
+  editMode = null;
+  elements.editBar.classList.add('hidden');
+  if (!fullscreen) try { elements.canvas.style.touchAction = 'pan-y'; } catch(_) {}
+  if (elements.btnPause) elements.btnPause.textContent = t(tracker.getState().paused ? 'btn.resume' : 'btn.pause');
+  redrawAll();
+  setStatus(t('edit.finished'));
 }
 
-function stopCalibration() {
-  calibActive = false;
-  calibStepCount = Math.max(0, stepCount - stepCountAtCalibStart);
-  elements.calibSteps.textContent = String(calibStepCount);
-  elements.calibStart.disabled = false;
-  elements.calibStop.disabled = true;
-  if (calibTimer) { clearInterval(calibTimer); calibTimer = null; }
-  finalizeCalibration();
+function updateEditBar() {
+  if (!editMode) return;
+  const ranged = editMode.selection.length === 2;
+  elements.editDelete.disabled = !ranged;
+  elements.editTrim.disabled = !ranged;
+  elements.editUndo.disabled = !editHistory.canUndo();
+  elements.editRedo.disabled = !editHistory.canRedo();
+  elements.editHint.textContent = t(ranged ? 'edit.hintRange' : editMode.selection.length === 1 ? 'edit.hintEnd' : 'edit.hintStart');
 }
 
-function finalizeCalibration() {
-  const elapsedSecs = Math.max(1, Math.round((Date.now() - calibStartTime) / 1000));
-  const speed = 1.4; // m/s default average walking speed
-  if (calibStepCount <= 0 || !isFinite(speed)) return;
-  const dist = speed * elapsedSecs;
-  const sLen = dist / calibStepCount;
-  elements.stepLength.value = sLen.toFixed(2);
-  elements.calibModal.classList.add('hidden');
-  setStatus('Schrittlänge gesetzt: ' + sLen.toFixed(2) + ' m');
+// Run an edit with a snapshot before and after it for undo/redo
+function applyEdit(label, fn) {
+  const before = JSON.stringify(tracker.toJSON());
+  if (fn() === false) return;
+  editHistory.record(label, before, JSON.stringify(tracker.toJSON()));
+  if (editMode) editMode.selection = [];
+  afterTrackEdit(label);
 }
 
-function closeCalibration() {
-  elements.calibModal.classList.add('hidden');
-  suppressCanvasTapUntil = Date.now() + 400;
+function afterTrackEdit(label) {
+  saveState();
+  updateEditBar();
+  updateReadouts();
+  updateLoopInfo();
+  renderWaypointList();
+  redrawAll();
+  setStatus(label + '.');
 }
 
-function safeBind(el, type, handler) {
-  if (!el) return;
-  el.addEventListener(type, (e) => { e.preventDefault(); e.stopPropagation(); handler(e); }, { passive: false });
+function undoEdit() {
+  const entry = editHistory.undo(tracker.toJSON());
+  if (!entry) { updateEditBar(); return; }
+  tracker.restore(entry.snapshot);
+  afterTrackEdit(t('edit.undone', { label: entry.label }));
 }
-safeBind(elements.calibStart, 'click', startCalibration);
-safeBind(elements.calibStart, 'pointerup', startCalibration);
-safeBind(elements.calibStop, 'click', stopCalibration);
-safeBind(elements.calibStop, 'pointerup', stopCalibration);
-safeBind(elements.calibClose, 'click', closeCalibration);
-safeBind(elements.calibClose, 'pointerup', closeCalibration);
 
-// While calibrating, reuse step detection (no changes). We only compute final count on stop.
+function redoEdit() {
+  const entry = editHistory.redo(tracker.toJSON());
+  if (!entry) { updateEditBar(); return; }
+  tracker.restore(entry.snapshot);
+  afterTrackEdit(t('edit.redone', { label: entry.label }));
+}
 
-// ---- Reset confirmation ----
-elements.resetCancel.addEventListener('click', () => elements.resetModal.classList.add('hidden'));
-elements.resetConfirm.addEventListener('click', () => {
+// Tap on the path: first tap starts a selection, the second ends it
+function selectPathPoint(c) {
+  const state = tracker.getState();
+  const shown = shownFloor(state);
+  let best = -1;
+  let bestDist = EDIT_PICK_PX;
+  state.path.forEach((pt, i) => {
+    const p = toLayerPoint(pt, pt.floor || 0, shown);
+    const d = Math.hypot(c.x - p.x, c.y - p.y);
+    if (d < bestDist) { bestDist = d; best = i; }
+  });
+  if (best === -1) return;
+  const sel = editMode.selection;
+  editMode.selection = sel.length === 1 && sel[0] !== best ? [Math.min(sel[0], best), Math.max(sel[0], best)] : [best];
+  updateEditBar();
+  redrawAll();
+}
+
+safeBind(elements.btnEdit, 'click', () => (editMode ? stopEditing() : startEditing()));
+safeBind(elements.editDone, 'click', stopEditing);
+safeBind(elements.editUndo, 'click', undoEdit);
+safeBind(elements.editRedo, 'click', redoEdit);
+safeBind(elements.editUndoSteps, 'click', () => {
+  const n = clamp(parseInt(elements.editStepCount.value, 10) || 1, 1, 500);
+  applyEdit(t('edit.stepsUndone', { count: n }), () => tracker.undoSteps(n) > 0);
+});
+safeBind(elements.editDelete, 'click', () => {
+  const [from, to] = editMode.selection;
+  applyEdit(t('edit.deleted'), () => tracker.deletePathRange(from, to));
+});
+safeBind(elements.editTrim, 'click', () => {
+  const [from, to] = editMode.selection;
+  applyEdit(t('edit.trimmed'), () => tracker.trimPathRange(from, to));
+});
+// Walking on is carried over by undo/redo; a rewritten path or a new walk can't be
+tracker.on('loopclosure', () => editHistory.clear());
+tracker.on('origin', () => editHistory.clear());
+tracker.on('reset', () => { editHistory.clear(); stopEditing(); });
+
+// ---- Replay ----
+// Plays the shown track (live or saved) back on the canvas: the marker walks along the path
+// with its heading arrow while the HUD counts steps, meters and time. The replay can be
+// recorded from the canvas as WebM, e.g. to brief someone on a route before they walk it.
+const REPLAY_SPEEDS = [1, 2, 5, 10, 30];
+
+// The shown state as it was at the replay's playhead
+function replayState(s) {
+  const f = replay.frame;
+  const path = replay.points.slice(0, f.index + 1);
+  path.push({ x: f.position.x, y: f.position.y, floor: f.floor });
+  return {
+    ...s,
+    path,
+    rawPath: null,
+    position: f.position,
+    floor: f.floor,
+    headingDeg: f.headingDeg,
+    moveHeadingDeg: f.headingDeg,
+    lastStepTime: Date.now(),
+  };
+}
+
+function startReplay() {
+  if (replay) { stopReplay(); return; }
+  const points = shownState().path;
+  if (points.length < 2) { setStatus(t('playback.nothing')); return; }
+  if (editMode) stopEditing();
+  const timeline = createTimeline(points);
+  replay = { points, timeline, at: 0, frame: timeline.frameAt(0), playing: false, raf: null, lastTick: 0, recorder: null };
+  elements.playbackSeek.max = String(Math.round(timeline.duration));
+  elements.playbackBar.classList.remove('hidden');
+  setFollow(true);
+  setReplayPlaying(true);
+}
+
+function stopReplay() {
+  if (!replay) return;
+  setReplayPlaying(false);
+  if (replay.recorder) {
+    replay.recorder.onstop = null; // closing discards an unfinished export
+    replay.recorder.stop();
+  }
+  replay = null;
+  elements.playbackBar.classList.add('hidden');
+  redrawAll();
+}
+
+function setReplayPlaying(on) {
+  replay.playing = on;
+  elements.playbackToggle.textContent = t(on ? 'playback.pause' : 'playback.play');
+  if (on && replay.at >= replay.timeline.duration) seekReplay(0);
+  cancelAnimationFrame(replay.raf);
+  if (on) {
+    replay.lastTick = performance.now();
+    replay.raf = requestAnimationFrame(tickReplay);
+  }
+  updateReplayControls();
+}
+
+function seekReplay(ms) {
+  replay.at = clamp(ms, 0, replay.timeline.duration);
+  replay.frame = replay.timeline.frameAt(replay.at);
+  updateReplayControls();
+  redrawAll();
+}
+
+function tickReplay(now) {
+  if (!replay || !replay.playing) return;
+  const speed = Number(elements.playbackSpeed.value) || 1;
+  seekReplay(replay.at + (now - replay.lastTick) * speed);
+  replay.lastTick = now;
+  if (replay.at >= replay.timeline.duration) {
+    setReplayPlaying(false);
+    if (replay.recorder) setTimeout(() => replay && replay.recorder && replay.recorder.stop(), 500);
+    return;
+  }
+  replay.raf = requestAnimationFrame(tickReplay);
+}
+
+function updateReplayControls() {
+  elements.playbackSeek.value = String(Math.round(replay.at));
+  elements.playbackTime.textContent = formatDuration(replay.at) + ' / ' + formatDuration(replay.timeline.duration);
+  const exporting = !!replay.recorder;
+  elements.playbackToggle.disabled = exporting;
+  elements.playbackSeek.disabled = exporting;
+  elements.playbackExport.disabled = exporting;
+}
+
+function replayMimeType() {
+  const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+  return types.find((type) => window.MediaRecorder && MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Record the canvas while the replay runs once from the start at the chosen speed
+function exportReplay() {
+  const mimeType = replayMimeType();
+  if (!mimeType || !elements.canvas.captureStream) { setStatus(t('playback.videoUnsupported')); return; }
+  setReplayPlaying(false);
+  seekReplay(0);
+  const chunks = [];
+  const rec = new MediaRecorder(elements.canvas.captureStream(30), { mimeType });
+  rec.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+  rec.onstop = () => {
+    downloadBlob(new Blob(chunks, { type: 'video/webm' }), t('playback.videoFileName', { stamp: fileStamp() }));
+    if (replay) { replay.recorder = null; updateReplayControls(); }
+    setStatus(t('playback.videoExported'));
+  };
+  replay.recorder = rec;
+  rec.start();
+  setStatus(t('playback.videoRecording'));
+  setReplayPlaying(true);
+}
+
+function fillReplaySpeeds() {
+  elements.playbackSpeed.textContent = '';
+  for (const speed of REPLAY_SPEEDS) {
+    const opt = document.createElement('option');
+    opt.value = String(speed);
+    opt.textContent = speed + '×';
+    elements.playbackSpeed.appendChild(opt);
+  }
+  elements.playbackSpeed.value = '5';
+}
+
+fillReplaySpeeds();
+safeBind(elements.btnPlayback, 'click', startReplay);
+safeBind(elements.playbackToggle, 'click', () => setReplayPlaying(!replay.playing));
+safeBind(elements.playbackClose, 'click', stopReplay);
+safeBind(elements.playbackExport, 'click', exportReplay);
+elements.playbackSeek.addEventListener('input', () => {
+  if (replay) seekReplay(Number(elements.playbackSeek.value));
+});
+tracker.on('origin', stopReplay);
+tracker.on('reset', stopReplay);
+
+// ---- Calibration ----
+// Walk a known distance; every run is kept in the active profile and the step length model
+// (steplength.js) is refitted over all of them. Profiles let several people share the device.
+
+const PROFILES_KEY = 'brodkrumen_profiles';
+const MAX_CALIB_RUNS = 12;
+
+function defaultProfile(id, name) {
+  return { id, name, stepLength: currentStepLength(), adaptive: true, model: null, runs: [] };
+}
+
+function loadProfiles() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(PROFILES_KEY) || 'null');
+    if (raw && Array.isArray(raw.profiles) && raw.profiles.length) return raw;
+  } catch (_) {}
+  return { activeId: 1, profiles: [defaultProfile(1, t('calib.defaultProfile'))] };
+}
+
+const profileStore = loadProfiles();
+
+function saveProfiles() {
+  try { localStorage.setItem(PROFILES_KEY, JSON.stringify(profileStore)); } catch (_) {}
+}
+
+function activeProfile() {
+  return profileStore.profiles.find((p) => p.id === profileStore.activeId) || profileStore.profiles[0];
+}
+
+function applyProfile(profile) {
+  elements.stepLength.value = toInputValue(clamp(profile.stepLength, 0.3, 1.5), 'step', units);
+  tracker.setStepLength(currentStepLength());
+  tracker.setStepModel(profile.adaptive ? profile.model : null);
+}
+
+function describeModel(profile) {
+  const runs = profile.runs.length;
+  if (!profile.model) return t('calib.notCalibrated', { length: formatStepLength(currentStepLength(), units) });
+  const m = profile.model;
+  return t('calib.model', { runs: t('calib.runs', { count: runs }), length: formatStepLength(profile.stepLength, units), cadence: (m.fRef * 60).toFixed(0) }) +
+    (m.c ? t('calib.paceDependent') : '');
+}
+
+function renderProfiles() {
+  elements.calibProfile.innerHTML = '';
+  for (const p of profileStore.profiles) {
+    const opt = document.createElement('option');
+    opt.value = String(p.id);
+    opt.textContent = p.name;
+    elements.calibProfile.appendChild(opt);
+  }
+  const profile = activeProfile();
+  elements.calibProfile.value = String(profile.id);
+  elements.calibAdaptive.checked = profile.adaptive;
+  elements.calibModel.textContent = describeModel(profile);
+}
+
+function selectProfile(id) {
+  if (!profileStore.profiles.some((p) => p.id === id)) return;
+  profileStore.activeId = id;
+  saveProfiles();
+  applyProfile(activeProfile());
+  renderProfiles();
+}
+
+function addProfile() {
+  const name = elements.calibProfileName.value.trim();
+  if (!name) { setStatus(t('calib.profileNameMissing')); return; }
+  const id = profileStore.profiles.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+  profileStore.profiles.push(defaultProfile(id, name));
+  elements.calibProfileName.value = '';
+  selectProfile(id);
+}
+
+function openCalibration() {
+  calibSamples = [];
+  elements.calibSteps.textContent = '0';
+  elements.calibElapsed.textContent = '0';
+  elements.calibStart.disabled = false;
+  elements.calibStop.disabled = true;
+  elements.calibApply.disabled = true;
+  renderProfiles();
+  elements.calibModal.classList.remove('hidden');
+}
+
+function startCalibration() {
+  if (calibActive) return;
+  calibActive = true;
+  calibSamples = [];
+  elements.calibSteps.textContent = '0';
+  elements.calibStart.disabled = true;
+  elements.calibStop.disabled = false;
+  elements.calibApply.disabled = true;
+  calibStartTime = Date.now();
+  if (calibTimer) clearInterval(calibTimer);
+  calibTimer = setInterval(() => {
+    elements.calibElapsed.textContent = String(Math.floor((Date.now() - calibStartTime) / 1000));
+  }, 200);
+  setStatus(t('calib.running'));
+}
+
+function stopCalibration() {
+  if (!calibActive) return;
+  calibActive = false;
+  elements.calibSteps.textContent = String(calibSamples.length);
+  elements.calibStart.disabled = false;
+  elements.calibStop.disabled = true;
+  elements.calibApply.disabled = calibSamples.length === 0;
+  if (calibTimer) { clearInterval(calibTimer); calibTimer = null; }
+  setStatus(t(calibSamples.length ? 'calib.enterDistance' : 'calib.noSteps'));
+}
+
+function finalizeCalibration() {
+  const distance = fromInputValue(elements.calibDistance.value, 'distance', units);
+  if (!isFinite(distance) || distance <= 0) { setStatus(t('calib.distanceMissing', { unit: inputUnit('distance', units).unit })); return; }
+  if (calibSamples.length < 5) { setStatus(t('calib.tooFewSteps')); return; }
+  const profile = activeProfile();
+  profile.runs = [...profile.runs, calibrationRun(distance, calibSamples)].slice(-MAX_CALIB_RUNS);
+  const totalDistance = profile.runs.reduce((s, r) => s + r.distance, 0);
+  const totalSteps = profile.runs.reduce((s, r) => s + r.steps, 0);
+  profile.stepLength = clamp(totalDistance / totalSteps, 0.3, 1.5); // fixed fallback: plain average
+  profile.model = fitStepModel(profile.runs);
+  saveProfiles();
+  applyProfile(profile);
+  calibSamples = [];
+  elements.calibApply.disabled = true;
+  elements.calibModal.classList.add('hidden');
+  setStatus(t('calib.done', { length: formatStepLength(profile.stepLength, units), profile: profile.name }));
+}
+
+function closeCalibration() {
+  stopCalibration();
+  elements.calibModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+function safeBind(el, type, handler) {
+  if (!el) return;
+  el.addEventListener(type, (e) => { e.preventDefault(); e.stopPropagation(); handler(e); }, { passive: false });
+}
+safeBind(elements.calibStart, 'click', startCalibration);
+safeBind(elements.calibStart, 'pointerup', startCalibration);
+safeBind(elements.calibStop, 'click', stopCalibration);
+safeBind(elements.calibStop, 'pointerup', stopCalibration);
+safeBind(elements.calibClose, 'click', closeCalibration);
+safeBind(elements.calibClose, 'pointerup', closeCalibration);
+safeBind(elements.calibApply, 'click', finalizeCalibration);
+safeBind(elements.calibProfileAdd, 'click', addProfile);
+elements.calibProfile.addEventListener('change', () => selectProfile(Number(elements.calibProfile.value)));
+elements.calibAdaptive.addEventListener('change', () => {
+  const profile = activeProfile();
+  profile.adaptive = elements.calibAdaptive.checked;
+  saveProfiles();
+  applyProfile(profile);
+});
+
+applyProfile(activeProfile());
+
+// ---- Reset confirmation ----
+elements.resetCancel.addEventListener('click', () => elements.resetModal.classList.add('hidden'));
+elements.resetConfirm.addEventListener('click', () => {
   elements.resetModal.classList.add('hidden');
   resetAll();
 });
 
+// ---- Sensor session recording and replay ----
+// A session file holds the raw devicemotion/deviceorientation samples with timestamps.
+// Replay runs them through a fresh headless tracker and then shows its result, so a walk
+// can be reproduced exactly and step counts/end positions compared across detector versions.
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function fileStamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// The device's carrying mode, without the live estimate
+function carrySetting() {
+  const { estimatedOffsetDeg, ...carry } = tracker.getCarry();
+  return carry;
+}
+
+function startSessionRecording() {
+  sessionRecording = {
+    startedAt: new Date().toISOString(),
+    stepLength: currentStepLength(),
+    stepModel: tracker.getState().stepModel,
+    sensitivity: tracker.getState().sensitivity,
+    carry: carrySetting(),
+    samples: [],
+  };
+  elements.btnRecord.textContent = t('btn.recordStop');
+  setStatus(t('record.running'));
+}
+
+function stopSessionRecording() {
+  const rec = sessionRecording;
+  sessionRecording = null;
+  elements.btnRecord.textContent = t('btn.record');
+  const session = createSession({ ...rec, userAgent: navigator.userAgent });
+  downloadBlob(new Blob([JSON.stringify(session)], { type: 'application/json' }), 'brodkrumen-session-' + fileStamp() + '.json');
+  setStatus(t('record.saved', { count: rec.samples.length }));
+}
+
+function showReplay(session) {
+  const replayed = replaySession(createTracker({
+    stepLength: session.stepLength || currentStepLength(),
+    stepModel: session.stepModel || null,
+    sensitivity: session.sensitivity || tracker.getState().sensitivity,
+    carry: session.carry || carrySetting(),
+    labels: trackerLabels,
+  }), session);
+  stopRouteGuidance();
+  setGuiding(false);
+  const s = replayed.getState();
+  const summary = t('record.replayed', {
+    steps: s.stepCount,
+    distance: formatDistance(s.totalDistance, units, 2),
+    x: formatDistance(s.position.x, units, 2),
+    y: formatDistance(s.position.y, units, 2),
+  });
+  // The replay replaces the live walk, which goes to the library first
+  replaceLiveWalk(() => tracker.restore(replayed.toJSON()), summary);
+  elements.btnReset.disabled = false;
+}
+
+if (elements.btnRecord) {
+  elements.btnRecord.addEventListener('click', () => {
+    if (sessionRecording) { stopSessionRecording(); return; }
+    if (!motionListenerActive || !orientationListenerActive) {
+      setStatus(t('status.needSensors'));
+      return;
+    }
+    startSessionRecording();
+  });
+}
+if (elements.btnReplay) {
+  elements.btnReplay.addEventListener('click', () => {
+    if (sessionRecording) { setStatus(t('record.stopFirst')); return; }
+    elements.replayFile.value = '';
+    elements.replayFile.click();
+  });
+  elements.replayFile.addEventListener('change', async () => {
+    const file = elements.replayFile.files && elements.replayFile.files[0];
+    if (!file) return;
+    try {
+      showReplay(parseSession(await file.text()));
+    } catch (e) {
+      setStatus(t('record.replayFailed', { error: errorText(e) }));
+    }
+  });
+}
+
+// ---- Track library (IndexedDB) ----
+// The live walk is autosaved to localStorage; the library keeps named copies of finished walks.
+const CURRENT_TRACK_KEY = 'brodkrumen_current_track';
+let currentTrackId = null; // library id of the live walk once it has been saved
+try { currentTrackId = JSON.parse(localStorage.getItem(CURRENT_TRACK_KEY)); } catch (_) {}
+
+function setCurrentTrackId(id) {
+  currentTrackId = id;
+  try { localStorage.setItem(CURRENT_TRACK_KEY, JSON.stringify(id)); } catch (_) {}
+}
+
+function hasWalk(state) {
+  return state.originSet && Array.isArray(state.pathPoints) && state.pathPoints.length > 1;
+}
+
+function defaultTrackName(state) {
+  const t0 = state.pathPoints[0] && state.pathPoints[0].t;
+  return t('library.defaultName', { date: new Date(isFinite(t0) ? t0 : Date.now()).toLocaleString(dateLocale, { dateStyle: 'short', timeStyle: 'short' }) });
+}
+
+// Snapshot of the live walk, detached from the tracker's arrays
+function liveTrackState() {
+  return JSON.parse(JSON.stringify(tracker.toJSON()));
+}
+
+async function storeTrack(state, id) {
+  return saveTrack({ id, defaultName: defaultTrackName(state), state });
+}
+
+async function saveCurrentTrack() {
+  const state = liveTrackState();
+  if (!hasWalk(state)) { setStatus(t('library.nothingToSave')); return; }
+  try {
+    setCurrentTrackId(await storeTrack(state, currentTrackId));
+    setStatus(t('library.saved'));
+  } catch (e) {
+    setStatus(t('library.saveFailed', { error: errorText(e) }));
+  }
+}
+
+// New start point; the previous walk goes to the library instead of being thrown away
+function startNewWalk() {
+  replaceLiveWalk(setStartPoint, t('status.startSet'));
+}
+
+// Runs `replace` (new start point, replayed session) and stores the walk it replaced.
+// `status` is what the replacement reports; the outcome of the save is added to it.
+function replaceLiveWalk(replace, status) {
+  const previous = liveTrackState();
+  const previousId = currentTrackId;
+  setCurrentTrackId(null);
+  replace();
+  setStatus(status);
+  if (!hasWalk(previous)) { discardPhotos(previous.photos || []); return; }
+  storeTrack(previous, previousId)
+    .then(() => setStatus(t('library.previousSaved', { status })))
+    .catch((e) => setStatus(t('library.previousNotSaved', { error: errorText(e), status })));
+}
+
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  return (h ? h + ':' + String(m).padStart(2, '0') : String(m)) + ':' + String(sec).padStart(2, '0');
+}
+
+async function openLibrary() {
+  elements.libraryModal.classList.remove('hidden');
+  await renderLibrary();
+}
+
+function closeLibrary() {
+  elements.libraryModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+async function renderLibrary() {
+  const list = elements.libraryList;
+  list.textContent = '';
+  let tracks;
+  try {
+    tracks = await listTracks();
+  } catch (e) {
+    list.textContent = t('library.unavailable', { error: errorText(e) });
+    return;
+  }
+  if (!tracks.length) {
+    const li = document.createElement('li');
+    li.className = 'track-empty';
+    li.textContent = t('library.empty');
+    list.appendChild(li);
+    return;
+  }
+  for (const track of tracks) list.appendChild(renderTrackItem(track));
+}
+
+function renderTrackItem(track) {
+  const li = document.createElement('li');
+  li.className = 'track-item';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.value = track.name;
+  name.setAttribute('aria-label', t('library.name'));
+  const meta = document.createElement('div');
+  meta.className = 'track-meta';
+  meta.textContent = t('library.meta', {
+    date: new Date(track.createdAt).toLocaleString(dateLocale, { dateStyle: 'short', timeStyle: 'short' }),
+    distance: formatDistance(track.distance, units),
+    steps: track.steps,
+    duration: formatDuration(track.durationMs),
+  }) + (track.activity ? ' · ' + t('activity.' + track.activity) : '');
+  const actions = document.createElement('div');
+  actions.className = 'modal-actions';
+  const btnOpen = document.createElement('button');
+  btnOpen.textContent = t('library.open');
+  btnOpen.addEventListener('click', () => openSavedTrack(track.id));
+  const btnRename = document.createElement('button');
+  btnRename.textContent = t('library.rename');
+  btnRename.addEventListener('click', async () => {
+    const newName = name.value.trim();
+    if (!newName) return;
+    try {
+      await renameTrack(track.id, newName);
+      if (viewedTrack && viewedTrack.id === track.id) { viewedTrack.name = newName; elements.viewName.textContent = newName; }
+      setStatus(t('library.renamed'));
+    } catch (e) {
+      setStatus(t('library.renameFailed', { error: errorText(e) }));
+    }
+  });
+  const btnDelete = document.createElement('button');
+  btnDelete.textContent = t('common.delete');
+  btnDelete.className = 'danger';
+  btnDelete.addEventListener('click', async () => {
+    // Second click confirms
+    if (!btnDelete.dataset.armed) { btnDelete.dataset.armed = '1'; btnDelete.textContent = t('library.confirmDelete'); return; }
+    try {
+      await deleteTrack(track.id, livePhotoIds());
+      if (viewedTrack && viewedTrack.id === track.id) closeView();
+      if (currentTrackId === track.id) setCurrentTrackId(null);
+      await renderLibrary();
+    } catch (e) {
+      setStatus(t('library.deleteFailed', { error: errorText(e) }));
+    }
+  });
+  actions.append(btnOpen, btnRename, btnDelete);
+  li.append(name, meta, actions);
+  return li;
+}
+
+async function openSavedTrack(id) {
+  if (replay) stopReplay();
+  try {
+    const record = await getTrack(id);
+    if (!record) throw new Error(t('library.notFound'));
+    const viewer = createTracker({ carry: record.state.carry, labels: trackerLabels });
+    viewer.restore(record.state);
+    viewedTrack = { id, name: record.name, tracker: viewer };
+    elements.viewName.textContent = record.name;
+    elements.viewBanner.classList.remove('hidden');
+    closeLibrary();
+    renderFloorOptions();
+    updateReadouts();
+    updateLoopInfo();
+    renderWaypointList();
+    redrawAll();
+    setStatus(t('library.viewing', { name: record.name }));
+  } catch (e) {
+    setStatus(t('library.openFailed', { error: errorText(e) }));
+  }
+}
+
+function closeView() {
+  if (replay) stopReplay();
+  viewedTrack = null;
+  elements.viewBanner.classList.add('hidden');
+  renderFloorOptions();
+  updateReadouts();
+  updateLoopInfo();
+  renderWaypointList();
+  redrawAll();
+}
+
+if (elements.btnSaveTrack) elements.btnSaveTrack.addEventListener('click', saveCurrentTrack);
+if (elements.btnLibrary) elements.btnLibrary.addEventListener('click', openLibrary);
+safeBind(elements.libraryClose, 'click', closeLibrary);
+safeBind(elements.viewClose, 'click', closeView);
+
+// ---- Statistics and elevation profile ----
+// Of the shown track; for the live walk the dialog follows along step by step.
+
+function formatCadence(perMin) {
+  return perMin == null || !isFinite(perMin) ? '—' : t('stats.cadence', { value: perMin.toFixed(0) });
+}
+
+// Line chart of series[key] over time (or over the distance for untimed tracks); formatValue labels the y axis
+function drawStatsChart(canvas, series, key, formatValue, color) {
+  const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = Math.floor(rect.width * dpr);
+  canvas.height = Math.floor(rect.height * dpr);
+  const c = canvas.getContext('2d');
+  c.setTransform(dpr, 0, 0, dpr, 0, 0);
+  const w = rect.width;
+  const h = rect.height;
+  c.clearRect(0, 0, w, h);
+  c.font = '11px system-ui, -apple-system, Segoe UI, Roboto';
+  c.fillStyle = '#9a9a9a';
+  const xKey = series.length && series[0].t == null ? 'distance' : 't';
+  const pts = series.filter((p) => isFinite(p[key]) && isFinite(p[xKey]));
+  if (pts.length < 2) {
+    c.fillText(t(key === 'alt' ? 'stats.noAltitude' : 'stats.noTimes'), 8, h / 2);
+    return;
+  }
+  const x0 = pts[0][xKey];
+  const x1 = Math.max(x0 + 1, pts[pts.length - 1][xKey]);
+  let y0 = Math.min(...pts.map((p) => p[key]));
+  let y1 = Math.max(...pts.map((p) => p[key]));
+  if (y1 - y0 < 1) { y0 -= 0.5; y1 += 0.5; }
+  const left = 44;
+  const pad = 8;
+  const toX = (v) => left + (v - x0) / (x1 - x0) * (w - left - pad);
+  const toY = (v) => h - 18 - (v - y0) / (y1 - y0) * (h - 18 - pad);
+  c.fillText(formatValue(y1), 4, pad + 8);
+  c.fillText(formatValue(y0), 4, h - 18);
+  c.fillText(xKey === 't' ? formatDuration(x1) : formatDistance(x1, units), w - 50, h - 4);
+  c.strokeStyle = color;
+  c.lineWidth = 2;
+  c.beginPath();
+  pts.forEach((p, i) => {
+    if (i === 0) c.moveTo(toX(p[xKey]), toY(p[key])); else c.lineTo(toX(p[xKey]), toY(p[key]));
+  });
+  c.stroke();
+}
+
+function renderStats() {
+  const s = shownState();
+  const st = trackStats(s, {
+    now: viewedTrack || s.paused ? undefined : Date.now(),
+    splitBy: elements.statsSplitBy.value,
+    splitMeters: splitLength(units).meters,
+  });
+  const rows = [
+    [t('stats.distance'), formatDistance(st.distance, units)],
+    [t('stats.steps'), String(st.steps)],
+    [t('stats.elapsed'), st.elapsedMs == null ? '—' : formatDuration(st.elapsedMs)],
+    [t('stats.moving'), st.movingMs == null ? '—' : formatDuration(st.movingMs)],
+    [t('stats.paused'), st.pausedMs == null ? '—' : formatDuration(st.pausedMs)],
+    [t('stats.avgPace'), formatPace(st.avgPace, units)],
+    [t('stats.currentPace'), formatPace(st.currentPace, units)],
+    [t('stats.avgCadence'), formatCadence(st.avgCadence)],
+    [t('stats.currentCadence'), formatCadence(st.currentCadence)],
+  ];
+  elements.statsSummary.textContent = '';
+  for (const [label, value] of rows) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    elements.statsSummary.append(dt, dd);
+  }
+  drawStatsChart(elements.statsAltitude, st.hasAltitude ? st.series : [], 'alt', (v) => formatAltitude(v, units), '#22c55e');
+  drawStatsChart(elements.statsDistance, st.timed ? st.series : [], 'distance', (v) => formatDistance(v, units, 1), '#60a5fa');
+
+  const table = elements.statsSplits;
+  table.textContent = '';
+  if (!st.splits.length) {
+    table.insertRow().insertCell().textContent = t(st.timed ? 'stats.noSplits' : 'stats.untimedSplits');
+    return;
+  }
+  const head = table.createTHead().insertRow();
+  for (const label of ['#', t('stats.distance'), t('stats.time'), t('stats.pace'), t('stats.steps')]) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const split of st.splits) {
+    const row = body.insertRow();
+    for (const text of [String(split.index), formatDistance(split.distance, units), formatDuration(split.durationMs), formatPace(split.pace, units), String(split.steps)]) {
+      row.insertCell().textContent = text;
+    }
+  }
+}
+
+function openStats() {
+  if (!hasWalk(viewedTrack ? viewedTrack.tracker.toJSON() : tracker.toJSON())) { setStatus(t('stats.nothing')); return; }
+  elements.statsModal.classList.remove('hidden');
+  renderStats();
+}
+
+function closeStats() {
+  elements.statsModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+safeBind(elements.btnStats, 'click', openStats);
+safeBind(elements.statsClose, 'click', closeStats);
+if (elements.statsSplitBy) elements.statsSplitBy.addEventListener('change', renderStats);
+tracker.on('step', () => {
+  if (!viewedTrack && !elements.statsModal.classList.contains('hidden')) renderStats();
+});
+
+// ---- Sharing by link or QR code ----
+// The shown track travels in the URL fragment (#t=…) of this app's own address. Opening the
+// link, or scanning the QR code with any camera app, imports it on the other phone; once the
+// app is installed there no network is needed. Imports land in the library, opened read-only.
+const QR_PAYLOAD_BYTES = qrCapacity('L');
+let scanStream = null;
+let scanTimer = null;
+
+function shareInput() {
+  const state = viewedTrack ? viewedTrack.tracker.toJSON() : liveTrackState();
+  return {
+    name: viewedTrack ? viewedTrack.name : defaultTrackName(state),
+    state,
+    stepLength: currentStepLength(),
+    stepModel: tracker.getState().stepModel,
+  };
+}
+
+function drawQr(canvas, qr) {
+  const quiet = 4;
+  const scale = Math.max(2, Math.floor(320 / (qr.size + 2 * quiet)));
+  canvas.width = canvas.height = (qr.size + 2 * quiet) * scale;
+  const c = canvas.getContext('2d');
+  c.fillStyle = '#fff';
+  c.fillRect(0, 0, canvas.width, canvas.height);
+  c.fillStyle = '#000';
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) c.fillRect((x + quiet) * scale, (y + quiet) * scale, scale, scale);
+  }));
+}
+
+function openShare() {
+  const input = shareInput();
+  if (!hasWalk(input.state)) { setStatus(t('share.nothing')); return; }
+  const link = shareLink(location.href, encodeShare(input));
+  elements.shareLink.value = link;
+  // The QR code has less room than a link; simplify the path until it fits
+  const base = shareLink(location.href, '');
+  const fit = encodeShareWithin(input, QR_PAYLOAD_BYTES - base.length);
+  elements.shareQr.hidden = !fit;
+  if (fit) {
+    const bytes = new TextEncoder().encode(base + fit.payload);
+    drawQr(elements.shareQr, encodeQr(bytes, { ecl: bytes.length <= qrCapacity('M') ? 'M' : 'L' }));
+    elements.shareInfo.textContent = fit.tolerance > 0.1
+      ? t('share.simplified', { tolerance: formatDistance(fit.tolerance, units, 1) })
+      : '';
+  } else {
+    elements.shareInfo.textContent = t('share.tooLong');
+  }
+  elements.shareSend.hidden = !navigator.share;
+  elements.shareModal.classList.remove('hidden');
+}
+
+function closeShare() {
+  stopScan();
+  elements.shareModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+async function copyShareLink() {
+  try {
+    await navigator.clipboard.writeText(elements.shareLink.value);
+    setStatus(t('share.copied'));
+  } catch (_) {
+    elements.shareLink.select();
+    setStatus(t('share.selected'));
+  }
+}
+
+async function sendShareLink() {
+  try {
+    await navigator.share({ title: t('share.sendTitle'), url: elements.shareLink.value });
+  } catch (_) {}
+}
+
+// In-app scanning where the browser can detect QR codes; otherwise the camera app does it
+async function startScan() {
+  if (!('BarcodeDetector' in window)) {
+    setStatus(t('share.noScanner'));
+    return;
+  }
+  try {
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    elements.scanVideo.srcObject = scanStream;
+    elements.scanVideo.hidden = false;
+    elements.shareScan.textContent = t('share.scanStop');
+    scanTimer = setInterval(async () => {
+      try {
+        const codes = await detector.detect(elements.scanVideo);
+        const payload = codes.length ? readShareFragment(codes[0].rawValue.split('#')[1] || '') : null;
+        if (!payload) return;
+        closeShare();
+        importShared(payload);
+      } catch (_) {}
+    }, 300);
+  } catch (e) {
+    stopScan();
+    setStatus(t('camera.unavailable', { error: errorText(e) }));
+  }
+}
+
+function stopScan() {
+  clearInterval(scanTimer);
+  scanTimer = null;
+  if (scanStream) scanStream.getTracks().forEach((track) => track.stop());
+  scanStream = null;
+  elements.scanVideo.srcObject = null;
+  elements.scanVideo.hidden = true;
+  elements.shareScan.textContent = t('share.scan');
+}
+
+async function importShared(payload) {
+  let track;
+  try {
+    track = decodeShare(payload, trackerLabels);
+  } catch (e) {
+    setStatus(t('share.importFailed', { error: errorText(e) }));
+    return;
+  }
+  try {
+    const name = track.name || t('share.defaultName');
+    // The sender's step settings stay with the track; they are not applied to this phone
+    const state = { ...track.state, sharedStepLength: track.stepLength, sharedStepModel: track.stepModel };
+    const id = await saveTrack({ name, state });
+    await openSavedTrack(id);
+    setStatus(t('share.imported', { name }));
+  } catch (e) {
+    setStatus(t('share.importFailed', { error: errorText(e) }));
+  }
+}
+
+// A link with #t=… opened this page (or was pasted into the address bar while it was open)
+function importFromLocation() {
+  const payload = readShareFragment(location.hash);
+  if (!payload) return;
+  history.replaceState(null, '', location.pathname + location.search);
+  importShared(payload);
+}
+
+safeBind(elements.btnShare, 'click', openShare);
+safeBind(elements.shareClose, 'click', closeShare);
+safeBind(elements.shareCopy, 'click', copyShareLink);
+safeBind(elements.shareSend, 'click', sendShareLink);
+safeBind(elements.shareScan, 'click', () => (scanStream ? stopScan() : startScan()));
+window.addEventListener('hashchange', importFromLocation);
+
+// ---- Guidance: straight to the target, or retracing the recorded path ----
+// While guiding the position keeps moving but the breadcrumb path is not extended.
+
+function setGuiding(on) {
+  guidingEnabled = on;
+  cues.reset();
+  tracker.setHold(guidingEnabled || (activeRoute != null && activeRoute.hold));
+  if (elements.btnGuide) elements.btnGuide.textContent = t(guidingEnabled ? 'btn.guideOn' : 'btn.guide');
+  updateReadouts();
+  redrawAll();
+}
+
+const RETRACE_TOLERANCE = 1.5; // m, simplification of the breadcrumb path into segments
+
+function startRetrace() {
+  const s = tracker.getState();
+  if (!s.originSet) { setStatus(t('status.needStart')); return; }
+  // From the current position back along the breadcrumbs to the origin
+  const route = simplifyPath([...s.path, s.position].reverse(), RETRACE_TOLERANCE);
+  if (route.length < 2) { setStatus(t('route.noTrack')); return; }
+  const follower = createRouteFollower(route);
+  follower.on('segment', ({ index, segmentCount }) => setStatus(t('route.pointReached', { point: index, count: segmentCount })));
+  follower.on('offroute', ({ crossTrack }) => {
+    setStatus(t('route.offTrack', { distance: formatDistance(crossTrack, units) }));
+    cues.announceOffRoute();
+  });
+  follower.on('onroute', () => setStatus(t('route.backOnTrack')));
+  follower.on('arrived', () => {
+    stopRouteGuidance();
+    cues.announceArrival({ kind: 'start', name: t('waypoint.start') });
+    setStatus(t('route.startReached'));
+  });
+  startRouteGuidance({ kind: 'retrace', label: t('route.retraceLabel'), hold: true, follower });
+  setStatus(t('route.retraceStarted', { count: route.length - 1, distance: formatDistance(follower.getProgress().total, units) }));
+}
+
+function startRouteGuidance(route) {
+  if (guidingEnabled) setGuiding(false);
+  activeRoute = route;
+  cues.reset();
+  tracker.setHold(route.hold);
+  route.follower.update(tracker.getPosition());
+  if (elements.btnRetrace) elements.btnRetrace.textContent = t(route.kind === 'retrace' ? 'btn.retraceOn' : 'btn.retrace');
+  updateRouteInfo();
+  updateReadouts();
+  redrawAll();
+}
+
+function stopRouteGuidance() {
+  if (!activeRoute) return;
+  activeRoute = null;
+  tracker.setHold(guidingEnabled);
+  if (elements.btnRetrace) elements.btnRetrace.textContent = t('btn.retrace');
+  updateRouteInfo();
+  updateReadouts();
+  redrawAll();
+}
+
+function turnText(angleDeg) {
+  const side = t(angleDeg > 0 ? 'turn.right' : 'turn.left');
+  const a = Math.abs(angleDeg);
+  return a >= 135 ? t('turn.sharp', { side }) : a >= 60 ? side : t('turn.slight', { side });
+}
+
+function updateRouteInfo() {
+  if (!elements.routeInfo) return;
+  const progress = activeRoute ? activeRoute.follower.getProgress() : null;
+  elements.routeInfo.hidden = !progress;
+  if (elements.routeStop) elements.routeStop.hidden = !progress;
+  if (!progress) return;
+  const turn = progress.nextTurn;
+  elements.routeInfo.textContent = t('route.info', {
+    point: progress.segIndex + 1,
+    count: progress.segmentCount,
+    percent: Math.round(progress.fraction * 100),
+    remaining: formatDistance(progress.remaining, units),
+    offset: formatDistance(progress.crossTrack, units, 1),
+  }) +
+    (turn ? t('route.nextTurn', { distance: formatDistance(Math.max(0, turn.distance), units), turn: turnText(turn.angleDeg) }) : '') +
+    (progress.offRoute ? t('route.offRoute') : '');
+  elements.routeInfo.classList.toggle('is-warning', progress.offRoute);
+}
+
+// Follow the shown (e.g. imported) track from its start: a new walk begins at the track's
+// origin, and the own breadcrumbs are recorded on top of it while the follower guides along it
+const FOLLOW_TOLERANCE = 1; // m
+
+function followViewedTrack() {
+  if (!viewedTrack) return;
+  if (!motionListenerActive || !orientationListenerActive) { setStatus(t('status.needSensors')); return; }
+  const name = viewedTrack.name;
+  const ref = viewedTrack.tracker.getState().path;
+  // The reference may have been trimmed; its first point is where the new walk starts
+  const start = ref[0] || { x: 0, y: 0 };
+  const route = simplifyPath(ref.map((p) => ({ x: p.x - start.x, y: p.y - start.y })), FOLLOW_TOLERANCE);
+  if (route.length < 2) { setStatus(t('route.followTooShort')); return; }
+  closeView();
+  startNewWalk();
+  const follower = createRouteFollower(route);
+  follower.on('segment', ({ index, segmentCount }) => setStatus(t('route.pointReached', { point: index, count: segmentCount })));
+  follower.on('offroute', ({ crossTrack }) => {
+    setStatus(t('route.offFollowed', { name, distance: formatDistance(crossTrack, units) }));
+    cues.announceOffRoute();
+  });
+  follower.on('onroute', () => setStatus(t('route.backOnTrack')));
+  follower.on('arrived', () => {
+    stopRouteGuidance();
+    cues.announceArrival({ kind: 'waypoint', name: t('route.goal') });
+    setStatus(t('route.followArrived', { name }));
+  });
+  startRouteGuidance({ kind: 'follow', label: t('route.followLabel', { name }), hold: false, follower });
+  setStatus(t('route.followStarted', { name, distance: formatDistance(follower.getProgress().total, units) }));
+}
+
+if (elements.btnRetrace) {
+  elements.btnRetrace.addEventListener('click', () => {
+    if (activeRoute && activeRoute.kind === 'retrace') stopRouteGuidance(); else startRetrace();
+  });
+}
+safeBind(elements.routeStop, 'click', stopRouteGuidance);
+safeBind(elements.viewFollow, 'click', followViewedTrack);
+
+// ---- Voice and vibration cues ----
+const CUE_SETTINGS_KEY = 'brodkrumen_cues';
+
+function loadCueSettings() {
+  try { return { ...DEFAULT_CUE_SETTINGS, ...JSON.parse(localStorage.getItem(CUE_SETTINGS_KEY) || '{}') }; } catch (_) { return { ...DEFAULT_CUE_SETTINGS }; }
+}
+
+function speakText(text, lang) {
+  if (!('speechSynthesis' in window)) return;
+  const u = new SpeechSynthesisUtterance(text);
+  u.lang = lang;
+  window.speechSynthesis.cancel(); // newest prompt wins
+  window.speechSynthesis.speak(u);
+}
+
+const cues = createGuidanceCues({
+  speak: speakText,
+  vibrate: (pattern) => { try { if (navigator.vibrate) navigator.vibrate(pattern); } catch (_) {} },
+  locale,
+  settings: loadCueSettings(),
+  units,
+});
+
+function updateCues() {
+  if (viewedTrack || (!guidingEnabled && !activeRoute)) return;
+  const s = tracker.getState();
+  if (!s.originSet) return;
+  const g = guidanceReadout(s);
+  const target = activeRoute ? { kind: 'route', name: '' }
+    : s.target.id == null ? { kind: 'start', name: t('waypoint.start') } : { kind: 'waypoint', name: s.target.name };
+  cues.update({ headingDeg: s.headingDeg, bearingDeg: g.bearingDeg, distance: g.distance, target });
+}
+
+function openCuesModal() {
+  const c = cues.getSettings();
+  elements.cueVoice.checked = c.voice;
+  elements.cueVibration.checked = c.vibration;
+  elements.cueLang.value = c.lang;
+  elements.cueInterval.value = String(c.minIntervalSec);
+  elements.cueRepeat.value = String(c.repeatSec);
+  elements.cuesModal.classList.remove('hidden');
+}
+
+function closeCuesModal() {
+  elements.cuesModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+function applyCueSettings() {
+  const wasVoice = cues.getSettings().voice;
+  const next = {
+    voice: elements.cueVoice.checked,
+    vibration: elements.cueVibration.checked,
+    lang: elements.cueLang.value,
+    minIntervalSec: clamp(parseFloat(elements.cueInterval.value) || DEFAULT_CUE_SETTINGS.minIntervalSec, 1, 60),
+    repeatSec: clamp(parseFloat(elements.cueRepeat.value) || DEFAULT_CUE_SETTINGS.repeatSec, 5, 300),
+  };
+  cues.setSettings(next);
+  cues.reset();
+  try { localStorage.setItem(CUE_SETTINGS_KEY, JSON.stringify(next)); } catch (_) {}
+  // iOS only speaks after a first utterance inside a user gesture
+  if (next.voice && !wasVoice) speakText('', cues.getSpeechLang());
+}
+
+function testCues() {
+  if (!elements.cueVoice.checked && !elements.cueVibration.checked) { setStatus(t('cues.off')); return; }
+  cues.announceSample();
+}
+
+if (elements.btnCues) elements.btnCues.addEventListener('click', openCuesModal);
+for (const el of [elements.cueVoice, elements.cueVibration, elements.cueLang, elements.cueInterval, elements.cueRepeat]) {
+  if (el) el.addEventListener('change', applyCueSettings);
+}
+safeBind(elements.cueTest, 'click', testCues);
+safeBind(elements.cuesClose, 'click', closeCuesModal);
+
+// ---- Carrying mode ----
+// The setting belongs to the device. The mode a walk was recorded with is saved with the track
+// (tracker.toJSON) and with a recorded session, so replays and viewed tracks use that one.
+
+function renderCarryEstimate() {
+  const c = tracker.getCarry();
+  if (!CARRY_MODES[c.mode].auto) elements.carryEstimate.textContent = t('carry.fixed');
+  else if (c.estimatedOffsetDeg == null) elements.carryEstimate.textContent = t('carry.estimating');
+  else elements.carryEstimate.textContent = t('carry.estimated', { offset: c.estimatedOffsetDeg.toFixed(0) });
+}
+
+function openCarryModal() {
+  const c = tracker.getCarry();
+  elements.carryMode.value = c.mode;
+  elements.carryOffset.value = String(c.manualOffsetDeg);
+  elements.carryDeclination.value = String(c.declinationDeg);
+  renderCarryEstimate();
+  elements.carryModal.classList.remove('hidden');
+}
+
+function closeCarryModal() {
+  elements.carryModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+function applyCarrySettings() {
+  tracker.setCarry({
+    mode: elements.carryMode.value,
+    manualOffsetDeg: parseFloat(elements.carryOffset.value) || 0,
+    declinationDeg: parseFloat(elements.carryDeclination.value) || 0,
+  });
+  try { localStorage.setItem(CARRY_KEY, JSON.stringify(carrySetting())); } catch (_) {}
+  renderCarryEstimate();
+}
+
+function renderCarryOptions() {
+  const current = elements.carryMode.value;
+  elements.carryMode.innerHTML = '';
+  for (const mode of Object.keys(CARRY_MODES)) {
+    const opt = document.createElement('option');
+    opt.value = mode;
+    opt.textContent = t('carry.' + mode);
+    elements.carryMode.appendChild(opt);
+  }
+  if (current) elements.carryMode.value = current;
+}
+
+renderCarryOptions();
+if (elements.btnCarry) elements.btnCarry.addEventListener('click', openCarryModal);
+for (const el of [elements.carryMode, elements.carryOffset, elements.carryDeclination]) {
+  el.addEventListener('change', applyCarrySettings);
+}
+safeBind(elements.carryClose, 'click', closeCarryModal);
+tracker.on('step', () => {
+  if (!elements.carryModal.classList.contains('hidden')) renderCarryEstimate();
+});
+
+// ---- Waypoints ----
+// Named points dropped at the current position; any of them (or the start) can be the
+// guidance target for the arrow and the distance/bearing readout.
+
+function openWaypointModal() {
+  if (!tracker.getState().originSet) { setStatus(t('status.needStart')); return; }
+  elements.waypointName.value = '';
+  elements.waypointNote.value = '';
+  elements.waypointModal.classList.remove('hidden');
+  elements.waypointName.focus();
+}
+
+function closeWaypointModal() {
+  elements.waypointModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+function saveWaypoint() {
+  const wp = tracker.addWaypoint({ name: elements.waypointName.value, note: elements.waypointNote.value });
+  closeWaypointModal();
+  if (wp) setStatus(t('waypoint.set', { name: wp.name }));
+}
+
+function loopCorrectionText(c) {
+  let text = formatDistance(c.errorMeters, units, 1);
+  if (c.method === 'drift') {
+    text += t('loop.course', { deg: (c.headingDeg > 0 ? '+' : '') + c.headingDeg.toFixed(0) });
+    if (Math.abs(c.scale - 1) >= 0.005) text += t('loop.scale', { scale: c.scale.toFixed(2) });
+  }
+  return text;
+}
+
+// Latest loop closure of the shown track (the raw track stays drawn dashed behind it)
+function updateLoopInfo() {
+  const closures = shownState().loopClosures;
+  const last = closures && closures[closures.length - 1];
+  elements.loopInfo.hidden = !last;
+  if (last) elements.loopCorrection.textContent = loopCorrectionText(last) + (closures.length > 1 ? ' (' + closures.length + '×)' : '');
+}
+
+// "I am here": the start or a waypoint is a known fix for the current position
+function closeLoopAt(id) {
+  if (!tracker.getState().originSet) { setStatus(t('status.needStart')); return; }
+  if (!tracker.closeLoopAt(id)) setStatus(t('loop.impossible'));
+}
+
+function waypointInfoText(w) {
+  return formatDistance(w.distance, units, 1) + ' · ' + w.bearingDeg.toFixed(0) + '°';
+}
+
+function renderWaypointList() {
+  const list = elements.waypointList;
+  if (!list) return;
+  list.textContent = '';
+  const s = shownState();
+  if (!s.waypoints.length) return;
+  const rows = [{ id: null, name: t('waypoint.start'), note: '', ...s.backToStart }, ...s.waypoints];
+  for (const w of rows) {
+    const row = document.createElement('div');
+    row.className = 'waypoint-row' + (w.id === s.target.id ? ' is-target' : '');
+    row.dataset.id = w.id == null ? '' : String(w.id);
+    const label = document.createElement('div');
+    label.className = 'waypoint-label';
+    label.textContent = w.name;
+    if (w.note) label.title = w.note;
+    const info = document.createElement('span');
+    info.className = 'waypoint-info';
+    info.textContent = waypointInfoText(w);
+    label.append(' ', info);
+    row.appendChild(label);
+    if (!viewedTrack) {
+      const btnTarget = document.createElement('button');
+      btnTarget.textContent = t(w.id === s.target.id ? 'waypoint.targetActive' : 'waypoint.target');
+      btnTarget.addEventListener('click', () => tracker.setTarget(w.id));
+      row.appendChild(btnTarget);
+      const btnHere = document.createElement('button');
+      btnHere.textContent = t('waypoint.here');
+      btnHere.title = t('waypoint.hereTitle');
+      btnHere.addEventListener('click', () => closeLoopAt(w.id));
+      row.appendChild(btnHere);
+      if (w.id != null) {
+        const btnRemove = document.createElement('button');
+        btnRemove.textContent = '✕';
+        btnRemove.setAttribute('aria-label', t('waypoint.remove', { name: w.name }));
+        btnRemove.addEventListener('click', () => tracker.removeWaypoint(w.id));
+        row.appendChild(btnRemove);
+      }
+    }
+    list.appendChild(row);
+  }
+}
+
+// Cheap per-step refresh of the distance/bearing texts without rebuilding the list
+function updateWaypointDistances() {
+  const list = elements.waypointList;
+  if (!list || viewedTrack) return;
+  const s = tracker.getState();
+  const byId = new Map(s.waypoints.map((w) => [String(w.id), w]));
+  byId.set('', s.backToStart);
+  for (const row of list.querySelectorAll('.waypoint-row')) {
+    const w = byId.get(row.dataset.id);
+    const info = row.querySelector('.waypoint-info');
+    if (w && info) info.textContent = waypointInfoText(w);
+  }
+}
+
+if (elements.btnWaypoint) elements.btnWaypoint.addEventListener('click', openWaypointModal);
+safeBind(elements.waypointSave, 'click', saveWaypoint);
+safeBind(elements.waypointCancel, 'click', closeWaypointModal);
+safeBind(elements.btnCloseLoop, 'click', () => closeLoopAt(tracker.getTarget().id));
+
+// ---- Geo anchor and GPX/GeoJSON export ----
+// The track stays in local meters; the anchor maps its origin to lat/lon for export.
+const NORTH_OFFSET_KEY = 'brodkrumen_north_offset';
+
+function storedNorthOffset() {
+  try { return parseFloat(localStorage.getItem(NORTH_OFFSET_KEY)) || 0; } catch (_) { return 0; }
+}
+
+function updateAnchorReadout() {
+  if (!elements.geoAnchor) return;
+  const a = tracker.getState().anchor;
+  elements.geoAnchor.textContent = a ? a.lat.toFixed(6) + ', ' + a.lon.toFixed(6) : '—';
+}
+
+async function anchorStartFromGps() {
+  const originT = tracker.getPath()[0] && tracker.getPath()[0].t;
+  setStatus(t('geo.locating'));
+  try {
+    const fix = await requestFix(navigator.geolocation);
+    // Ignore a late fix if the start point was set again meanwhile
+    if (!tracker.getPath()[0] || tracker.getPath()[0].t !== originT) return;
+    tracker.setAnchor({ lat: fix.lat, lon: fix.lon, accuracy: fix.accuracy, northOffsetDeg: storedNorthOffset() });
+    setStatus(t('geo.located', { accuracy: formatDistance(fix.accuracy, units) }));
+  } catch (e) {
+    setStatus(t('geo.locateFailed', { error: errorText(e) }));
+  }
+}
+
+function openGeoModal() {
+  const a = tracker.getState().anchor;
+  elements.geoLat.value = a ? a.lat.toFixed(7) : '';
+  elements.geoLon.value = a ? a.lon.toFixed(7) : '';
+  elements.geoNorth.value = String(a ? (a.northOffsetDeg || 0) : storedNorthOffset());
+  elements.geoModal.classList.remove('hidden');
+}
+
+function closeGeoModal() {
+  elements.geoModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+async function fillGeoFromGps() {
+  elements.geoUseGps.disabled = true;
+  setStatus(t('geo.searching'));
+  try {
+    const fix = await requestFix(navigator.geolocation);
+    elements.geoLat.value = fix.lat.toFixed(7);
+    elements.geoLon.value = fix.lon.toFixed(7);
+    setStatus(t('geo.applied', { accuracy: formatDistance(fix.accuracy, units) }));
+  } catch (e) {
+    setStatus(t('geo.unavailable', { error: errorText(e) }));
+  } finally {
+    elements.geoUseGps.disabled = false;
+  }
+}
+
+function applyGeoAnchor() {
+  if (!tracker.getState().originSet) { setStatus(t('status.needStart')); return; }
+  const anchor = {
+    lat: parseFloat(elements.geoLat.value),
+    lon: parseFloat(elements.geoLon.value),
+    northOffsetDeg: clamp(parseFloat(elements.geoNorth.value || '0') || 0, -180, 180),
+  };
+  if (!isValidAnchor(anchor)) { setStatus(t('geo.invalid')); return; }
+  try { localStorage.setItem(NORTH_OFFSET_KEY, String(anchor.northOffsetDeg)); } catch (_) {}
+  tracker.setAnchor(anchor);
+  closeGeoModal();
+  setStatus(t('geo.set'));
+}
+
+function clearGeoAnchor() {
+  tracker.setAnchor(null);
+  closeGeoModal();
+  setStatus(t('geo.removed'));
+}
+
+function exportTrack(kind) {
+  const s = tracker.getState();
+  if (!s.originSet || s.path.length < 2) { setStatus(t('export.nothing')); return; }
+  const startT = s.path[0].t;
+  const track = {
+    name: 'Brodkrumen ' + new Date(isFinite(startT) ? startT : Date.now()).toLocaleString(dateLocale),
+    anchor: s.anchor,
+    path: s.path,
+    waypoints: [{ x: 0, y: 0, t: startT, name: t('waypoint.start') }, ...s.waypoints],
+  };
+  try {
+    if (kind === 'gpx') {
+      downloadBlob(new Blob([toGpx(track)], { type: 'application/gpx+xml' }), 'brodkrumen-' + fileStamp() + '.gpx');
+    } else {
+      downloadBlob(new Blob([toGeoJson(track)], { type: 'application/geo+json' }), 'brodkrumen-' + fileStamp() + '.geojson');
+    }
+    setStatus(t('export.saved'));
+  } catch (e) {
+    setStatus(t('export.failed', { error: errorText(e) }));
+  }
+}
+
+if (elements.btnGeo) elements.btnGeo.addEventListener('click', openGeoModal);
+if (elements.btnExportGpx) elements.btnExportGpx.addEventListener('click', () => exportTrack('gpx'));
+if (elements.btnExportGeoJson) elements.btnExportGeoJson.addEventListener('click', () => exportTrack('geojson'));
+safeBind(elements.geoUseGps, 'click', fillGeoFromGps);
+safeBind(elements.geoApply, 'click', applyGeoAnchor);
+safeBind(elements.geoClear, 'click', clearGeoAnchor);
+safeBind(elements.geoClose, 'click', closeGeoModal);
+
+// ---- GPS fusion (optional, outdoors) ----
+const gpsFusion = createGpsFusion({ tracker, geolocation: navigator.geolocation });
+let gpsFusionTimer = null;
+
+function updateSourceReadout({ source, accuracy }) {
+  if (!elements.source) return;
+  elements.source.hidden = source === 'off';
+  const acc = isFinite(accuracy) ? ' (±' + formatDistance(accuracy, units) + ')' : '';
+  elements.source.textContent = source === 'gps'
+    ? t('fusion.gps', { accuracy: acc })
+    : isFinite(accuracy) ? t('fusion.stepsOnly', { accuracy: acc }) : t('fusion.noGps');
+}
+
+function setGpsFusion(on) {
+  if (on) {
+    try {
+      gpsFusion.start();
+    } catch (e) {
+      elements.gpsFusion.checked = false;
+      setStatus(t('fusion.failed', { error: errorText(e) }));
+      return;
+    }
+    if (!gpsFusionTimer) gpsFusionTimer = setInterval(() => gpsFusion.tick(), 2000);
+  } else {
+    gpsFusion.stop();
+    if (gpsFusionTimer) { clearInterval(gpsFusionTimer); gpsFusionTimer = null; }
+  }
+}
+
+gpsFusion.on('source', updateSourceReadout);
+if (elements.gpsFusion) elements.gpsFusion.addEventListener('change', () => setGpsFusion(elements.gpsFusion.checked));
+
 // ---- Fullscreen (overlay) ----
 originalCanvasParent = elements.canvas.parentElement;
 function toggleFullscreen() {
@@ -623,6 +2768,9 @@ function toggleFullscreen() {
     overlayDiv.className = 'fullscreen-overlay';
     document.body.appendChild(overlayDiv);
     overlayDiv.appendChild(elements.canvas);
+    overlayDiv.appendChild(elements.mapTools);
+    overlayDiv.appendChild(elements.editBar);
+    overlayDiv.appendChild(elements.playbackBar);
     fullscreen = true;
     document.body.classList.add('is-fullscreen');
     document.documentElement.style.overflow = 'hidden';
@@ -630,24 +2778,35 @@ function toggleFullscreen() {
   } else {
     if (overlayDiv) {
       originalCanvasParent.appendChild(elements.canvas);
+      originalCanvasParent.appendChild(elements.mapTools);
+      originalCanvasParent.appendChild(elements.editBar);
+      originalCanvasParent.appendChild(elements.playbackBar);
       document.body.removeChild(overlayDiv);
     }
     fullscreen = false;
     document.body.classList.remove('is-fullscreen');
     document.documentElement.style.overflow = '';
     viewOffsetPx.x = 0; viewOffsetPx.y = 0; // reset camera when leaving fullscreen
-    try { elements.canvas.style.touchAction = 'pan-y'; } catch(_) {}
+    followPosition = true;
+    if (elements.mapFollow) {
+      elements.mapFollow.classList.add('is-active');
+      elements.mapFollow.setAttribute('aria-pressed', 'true');
+    }
+    try { elements.canvas.style.touchAction = editMode ? 'none' : 'pan-y'; } catch(_) {}
   }
   resizeCanvas();
 }
 
 // Double tap on canvas toggles fullscreen; allow normal scroll otherwise
 let suppressCanvasTapUntil = 0;
-elements.canvas.addEventListener('click', () => {
+elements.canvas.addEventListener('click', (e) => {
   // Ignore while any modal is open
-  const modalOpen = (elements.calibModal && !elements.calibModal.classList.contains('hidden')) || (elements.resetModal && !elements.resetModal.classList.contains('hidden'));
+  const modalOpen = document.querySelector('.modal:not(.hidden)') != null;
   if (modalOpen) return;
   if (Date.now() < suppressCanvasTapUntil) return;
+  if (editMode) { selectPathPoint(canvasPoint(e)); return; }
+  const pin = photoPinAt(canvasPoint(e));
+  if (pin) { openPhoto(pin); return; }
   toggleFullscreen();
 });
 
@@ -665,7 +2824,7 @@ function disableWakeLock() {
   try { if (wakeLock) { wakeLock.release(); wakeLock = null; } } catch(_) {}
 }
 document.addEventListener('visibilitychange', () => {
-  if (document.visibilityState === 'visible' && originSet) enableWakeLock();
+  if (document.visibilityState === 'visible' && tracker.getState().originSet) enableWakeLock();
 });
 
 // Hide permissions button once granted (persisted across sessions)
@@ -681,10 +2840,16 @@ try {
 } catch (_) {}
 
 // ---- In-app camera so tracking continues without leaving the page ----
+// Photos go to IndexedDB and are pinned to the track at the position and heading they were
+// taken at; tapping a pin on the canvas opens the photo. Videos are still downloaded.
 let camStream = null;
 let recorder = null;
 let recordedChunks = [];
+let shownPhoto = null; // pin open in the photo modal
+const THUMB_PX = 96;
+
 async function openCamera() {
+  if (!tracker.getState().originSet) { setStatus(t('status.needStart')); return; }
   try {
     elements.cameraModal.classList.remove('hidden');
     if (!camStream) {
@@ -692,70 +2857,126 @@ async function openCamera() {
     }
     elements.camVideo.srcObject = camStream;
   } catch (e) {
-    setStatus('Kamera nicht verfügbar: ' + (e.message || e));
+    setStatus(t('camera.unavailable', { error: errorText(e) }));
   }
 }
 function closeCamera() {
   elements.cameraModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+  // Release the camera unless a video is still being recorded
+  if (camStream && !recorder) {
+    camStream.getTracks().forEach((track) => track.stop());
+    camStream = null;
+    elements.camVideo.srcObject = null;
+  }
 }
-function capturePhoto() {
+
+function canvasBlob(c, quality) {
+  return new Promise((resolve, reject) => {
+    c.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(t('camera.encodeFailed')))), 'image/jpeg', quality);
+  });
+}
+
+async function capturePhoto() {
   try {
     const video = elements.camVideo;
+    if (!video.videoWidth) throw new Error(t('camera.notReady'));
     const c = document.createElement('canvas');
-    c.width = video.videoWidth || 1280;
-    c.height = video.videoHeight || 720;
-    const cx = c.getContext('2d');
-    cx.drawImage(video, 0, 0, c.width, c.height);
-    const url = c.toDataURL('image/jpeg', 0.92);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'brodkrumen.jpg';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-  } catch (_) {}
+    c.width = video.videoWidth;
+    c.height = video.videoHeight;
+    c.getContext('2d').drawImage(video, 0, 0, c.width, c.height);
+    const blob = await canvasBlob(c, 0.9);
+    // Square center crop for the pin
+    const thumb = document.createElement('canvas');
+    thumb.width = THUMB_PX;
+    thumb.height = THUMB_PX;
+    const side = Math.min(c.width, c.height);
+    thumb.getContext('2d').drawImage(c, (c.width - side) / 2, (c.height - side) / 2, side, side, 0, 0, THUMB_PX, THUMB_PX);
+    const id = await savePhoto({ blob, thumb: thumb.toDataURL('image/jpeg', 0.7), takenAt: Date.now() });
+    tracker.addPhoto(id);
+    saveState();
+    setStatus(t('photo.saved'));
+  } catch (e) {
+    setStatus(t('photo.failed', { error: errorText(e) }));
+  }
+}
+
+async function openPhoto(pin) {
+  try {
+    const photo = await getPhoto(pin.id);
+    if (!photo) throw new Error(t('photo.missing'));
+    shownPhoto = pin;
+    if (elements.photoImage.src) URL.revokeObjectURL(elements.photoImage.src);
+    elements.photoImage.src = URL.createObjectURL(photo.blob);
+    const parts = [new Date(photo.takenAt || pin.t).toLocaleString(dateLocale)];
+    if (pin.headingDeg != null) parts.push(t('photo.direction', { deg: pin.headingDeg.toFixed(0) }));
+    parts.push(floorText(pin.floor || 0));
+    if (!viewedTrack) {
+      const d = Math.hypot(pin.x - tracker.getPosition().x, pin.y - tracker.getPosition().y);
+      parts.push(t('photo.away', { distance: formatDistance(d, units, 1) }));
+    }
+    elements.photoMeta.textContent = parts.join(' · ');
+    elements.photoDelete.hidden = !!viewedTrack;
+    elements.photoModal.classList.remove('hidden');
+  } catch (e) {
+    setStatus(t('photo.unavailable', { error: errorText(e) }));
+  }
+}
+
+function closePhoto() {
+  elements.photoModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+  if (elements.photoImage.src) URL.revokeObjectURL(elements.photoImage.src);
+  elements.photoImage.removeAttribute('src');
+  shownPhoto = null;
+}
+
+// Photos the live walk still pins
+function livePhotoIds() {
+  return tracker.getPhotos().map((pin) => pin.id);
+}
+
+// Deletes the images of pins the live walk dropped, unless a saved track shows them
+function discardPhotos(pins) {
+  if (!pins.length) return;
+  deletePhotos(pins.map((pin) => pin.id), livePhotoIds()).catch(() => {});
 }
-elements.camClose.addEventListener('click', closeCamera);
-elements.camCapture.addEventListener('click', capturePhoto);
+
+// Unpins the photo from the live track; the image itself stays for saved tracks that show it
+function removeShownPhoto() {
+  if (!shownPhoto || viewedTrack) return;
+  tracker.removePhoto(shownPhoto.id);
+  discardPhotos([shownPhoto]);
+  saveState();
+  closePhoto();
+  setStatus(t('photo.removed'));
+}
+
+safeBind(elements.btnCamera, 'click', openCamera);
+safeBind(elements.camClose, 'click', closeCamera);
+safeBind(elements.camCapture, 'click', capturePhoto);
+safeBind(elements.btnVideo, 'click', toggleVideo);
+safeBind(elements.photoClose, 'click', closePhoto);
+safeBind(elements.photoDelete, 'click', removeShownPhoto);
+tracker.on('photos', redrawAll);
 
 // ---- Persist and restore state ----
 function saveState() {
   try {
-    const state = {
-      pathPoints,
-      originSet,
-      currentPosition,
-      totalDistance,
-      stepCount,
-      backToStart,
-      altitudeMeters
-    };
-    localStorage.setItem('brodkrumen_state', JSON.stringify(state));
+    localStorage.setItem('brodkrumen_state', JSON.stringify(tracker.toJSON()));
   } catch (_) {}
 }
 function loadState() {
   try {
     const raw = localStorage.getItem('brodkrumen_state');
     if (!raw) return;
-    const s = JSON.parse(raw);
-    pathPoints = Array.isArray(s.pathPoints) ? s.pathPoints : [];
-    originSet = !!s.originSet;
-    currentPosition = s.currentPosition || { x: 0, y: 0 };
-    totalDistance = Number(s.totalDistance) || 0;
-    stepCount = Number(s.stepCount) || 0;
-    backToStart = s.backToStart || { distance: 0, bearingDeg: 0 };
-    altitudeMeters = Number(s.altitudeMeters) || 0;
-    elements.steps.textContent = String(stepCount);
-    elements.distance.textContent = totalDistance.toFixed(2);
-    elements.backDist.textContent = (backToStart.distance||0).toFixed(2);
-    elements.backBearing.textContent = isFinite(backToStart.bearingDeg) ? backToStart.bearingDeg.toFixed(0) : '—';
-    elements.altitude.textContent = altitudeMeters.toFixed(2);
-    redrawAll();
+    tracker.restore(JSON.parse(raw));
   } catch (_) {}
 }
 // Save on every step and before unload
 window.addEventListener('beforeunload', saveState);
 loadState();
+importFromLocation();
 
 // ---- Video recording (experimental on iOS Safari) ----
 async function ensureCamStream() {
@@ -779,18 +3000,308 @@ async function toggleVideo() {
         document.body.appendChild(a); a.click(); document.body.removeChild(a);
         URL.revokeObjectURL(url);
         recorder = null;
-        elements.btnVideo.textContent = 'Video';
+        elements.btnVideo.textContent = t('camera.video');
+        if (elements.cameraModal.classList.contains('hidden')) closeCamera();
       };
       recorder.start();
-      elements.btnVideo.textContent = 'Stop';
-      setStatus('Videoaufnahme läuft …');
+      elements.btnVideo.textContent = t('camera.videoStop');
+      setStatus(t('camera.videoRecording'));
     } else {
       recorder.stop();
-      setStatus('Video gespeichert.');
+      setStatus(t('camera.videoSaved'));
     }
   } catch (e) {
-    setStatus('Video nicht verfügbar: ' + (e.message || e));
+    setStatus(t('camera.videoUnavailable', { error: errorText(e) }));
+  }
+}
+
+
+
+// ---- Language and units ----
+// Static texts in the markup name their message in data-i18n (text content), data-i18n-title,
+// data-i18n-aria, data-i18n-placeholder or data-i18n-alt; everything rendered from code is
+// rebuilt by refreshLanguage(). Switching the unit system keeps the step length in meters.
+
+function loadSetting(key) {
+  try { return localStorage.getItem(key); } catch (_) { return null; }
+}
+
+function applyTranslations() {
+  document.documentElement.lang = locale;
+  for (const el of document.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+  for (const el of document.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+  for (const el of document.querySelectorAll('[data-i18n-aria]')) el.setAttribute('aria-label', t(el.dataset.i18nAria));
+  for (const el of document.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+  for (const el of document.querySelectorAll('[data-i18n-alt]')) el.alt = t(el.dataset.i18nAlt);
+}
+
+// Labels, limits and value of the length inputs in the current unit system
+function applyUnits(stepMeters) {
+  const step = inputUnit('step', units);
+  elements.stepLength.min = toInputValue(0.4, 'step', units);
+  elements.stepLength.max = toInputValue(1.2, 'step', units);
+  elements.stepLength.step = String(step.step);
+  elements.stepLength.value = toInputValue(stepMeters, 'step', units);
+  elements.stepLengthLabel.textContent = t('settings.stepLength', { unit: step.unit });
+  const distance = inputUnit('distance', units);
+  elements.calibDistance.min = toInputValue(5, 'distance', units);
+  elements.calibDistance.max = toInputValue(2000, 'distance', units);
+  elements.calibDistance.step = String(distance.step);
+  elements.calibDistance.placeholder = t('calib.distanceExample', { value: Math.round(50 / distance.factor) });
+  elements.calibDistanceLabel.textContent = t('calib.distance', { unit: distance.unit });
+  elements.statsSplitDistance.textContent = t('stats.splitByDistance', { length: splitLength(units).label });
+}
+
+// Everything drawn or filled in from code, in the current language and units
+function refreshLanguage() {
+  const s = tracker.getState();
+  if (elements.btnPause) elements.btnPause.textContent = t(s.paused ? 'btn.resume' : 'btn.pause');
+  if (elements.btnRecord) elements.btnRecord.textContent = t(sessionRecording ? 'btn.recordStop' : 'btn.record');
+  if (elements.btnGuide) elements.btnGuide.textContent = t(guidingEnabled ? 'btn.guideOn' : 'btn.guide');
+  if (elements.btnRetrace) elements.btnRetrace.textContent = t(activeRoute && activeRoute.kind === 'retrace' ? 'btn.retraceOn' : 'btn.retrace');
+  if (elements.mapRotate) elements.mapRotate.textContent = t(headingUp ? 'map.headingUp' : 'map.northUp');
+  elements.playbackToggle.textContent = t(replay && replay.playing ? 'playback.pause' : 'playback.play');
+  elements.shareScan.textContent = t(scanStream ? 'share.scanStop' : 'share.scan');
+  elements.btnVideo.textContent = t(recorder ? 'camera.videoStop' : 'camera.video');
+  renderFloorOptions();
+  renderCarryOptions();
+  renderCarryEstimate();
+  renderProfiles();
+  renderWaypointList();
+  updateReadouts();
+  updateRouteInfo();
+  updateLoopInfo();
+  if (editMode) updateEditBar();
+  if (!elements.statsModal.classList.contains('hidden')) renderStats();
+  if (!elements.libraryModal.classList.contains('hidden')) renderLibrary();
+  if (!elements.describeModal.classList.contains('hidden')) renderDescription();
+  if (offlineState !== undefined) renderOfflineStatus(offlineState);
+  redrawAll();
+}
+
+if (elements.uiLang) {
+  elements.uiLang.value = loadSetting(LANG_KEY) || 'auto';
+  elements.uiLang.addEventListener('change', () => {
+    try { localStorage.setItem(LANG_KEY, elements.uiLang.value); } catch (_) {}
+    locale = pickLocale(elements.uiLang.value, navigator.language);
+    t = createTranslator(locale);
+    dateLocale = localeTag(locale, navigator.language);
+    cues.setLocale(locale);
+    applyTranslations();
+    applyUnits(currentStepLength());
+    refreshLanguage();
+  });
+}
+if (elements.uiUnits) {
+  elements.uiUnits.value = loadSetting(UNITS_KEY) || 'auto';
+  elements.uiUnits.addEventListener('change', () => {
+    try { localStorage.setItem(UNITS_KEY, elements.uiUnits.value); } catch (_) {}
+    const stepMeters = currentStepLength();
+    units = pickUnits(elements.uiUnits.value, navigator.language);
+    cues.setUnits(units);
+    applyUnits(stepMeters);
+    refreshLanguage();
+  });
+}
+
+// ---- Accessibility: announcements, track as text, keyboard, high contrast ----
+// Guidance is read out through a polite live region, paced so a screen reader can keep up.
+// The map takes arrow keys while focused, and an open modal keeps the focus inside until
+// Escape presses its [data-dismiss] button.
+const THEME_KEY = 'brodkrumen_theme';
+const PAN_STEP_PX = 40;
+const announcePacer = createAnnouncePacer();
+
+function announce(text) {
+  // Emptied first so that the same sentence is read out again
+  elements.announcer.textContent = '';
+  setTimeout(() => { elements.announcer.textContent = text; }, 50);
+}
+
+function compassText(deg) {
+  return t('compass.' + compassPoint(deg));
+}
+
+// Where the target lies: as a clock position while the heading is known, else as a compass point
+function directionText(bearing, headingDeg) {
+  return headingDeg == null ? t('a11y.compass', { compass: compassText(bearing) }) : t('a11y.clock', { clock: clockPosition(bearing, headingDeg) });
+}
+
+function guidanceText(state) {
+  const g = guidanceReadout(state);
+  if (g.distance < 1 || !isFinite(g.bearingDeg)) return t('a11y.arrived', { label: g.label });
+  return t('a11y.guidance', { label: g.label, distance: formatDistance(g.distance, units), direction: directionText(g.bearingDeg, state.headingDeg) });
+}
+
+function announceGuidance() {
+  if (viewedTrack || (!guidingEnabled && !activeRoute)) { announcePacer.reset(); return; }
+  const s = tracker.getState();
+  if (!s.originSet) return;
+  const g = guidanceReadout(s);
+  const clock = s.headingDeg == null ? compassPoint(g.bearingDeg) : clockPosition(g.bearingDeg, s.headingDeg);
+  if (announcePacer.check({ distance: g.distance, clock }, Date.now())) announce(guidanceText(s));
+}
+
+function announcePosition() {
+  const s = shownState();
+  if (!s.originSet) { announce(t('a11y.noOrigin')); return; }
+  const heading = s.headingDeg == null ? t('a11y.noHeading') : t('a11y.heading', { compass: compassText(s.headingDeg), heading: s.headingDeg.toFixed(0) });
+  announce(guidanceText(s) + ' ' + heading);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// The shown track leg by leg, with its photos on the leg they were taken on
+function renderDescription() {
+  const s = shownState();
+  const { legs, distance, end } = describeTrack(s.path);
+  const list = elements.describeList;
+  list.textContent = '';
+  if (!legs.length) {
+    elements.describeSummary.textContent = t('describe.empty');
+    return;
+  }
+  elements.describeSummary.textContent = t('describe.summary', { count: legs.length, distance: formatDistance(distance, units) }) + ' ' +
+    t('describe.end', { distance: formatDistance(end.distance, units), compass: compassText(end.bearingDeg) });
+  const photosByLeg = new Map();
+  for (const pin of s.photos) {
+    const i = nearestLeg(legs, pin);
+    photosByLeg.set(i, (photosByLeg.get(i) || []).concat(pin));
   }
+  legs.forEach((leg, i) => {
+    const item = document.createElement('li');
+    const params = { distance: formatDistance(leg.length, units), compass: compassText(leg.bearingDeg) };
+    let text = leg.turnDeg == null ? t('describe.first', params) : t('describe.leg', { ...params, turn: turnText(leg.turnDeg) });
+    if (leg.floor !== (i > 0 ? legs[i - 1].floor : 0)) text += t('describe.floor', { floor: floorText(leg.floor) });
+    item.textContent = capitalize(text);
+    for (const pin of photosByLeg.get(i) || []) {
+      const btn = document.createElement('button');
+      btn.textContent = t('describe.photo');
+      btn.addEventListener('click', () => openPhoto(pin));
+      item.appendChild(btn);
+    }
+    list.appendChild(item);
+  });
+}
+
+function openDescription() {
+  renderDescription();
+  elements.describeModal.classList.remove('hidden');
+}
+
+function closeDescription() {
+  elements.describeModal.classList.add('hidden');
+  suppressCanvasTapUntil = Date.now() + 400;
+}
+
+safeBind(elements.btnAnnounce, 'click', announcePosition);
+safeBind(elements.btnDescribe, 'click', openDescription);
+safeBind(elements.describeClose, 'click', closeDescription);
+
+// Modals: the heading takes the focus on opening, the previous element gets it back on closing
+const FOCUSABLE = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+const modalReturnFocus = new Map(); // modal -> element focused before it opened
+
+function focusableIn(modal) {
+  return [...modal.querySelectorAll(FOCUSABLE)].filter((el) => !el.disabled && el.offsetParent !== null);
+}
+
+// The modal on top: the last open one in the markup (the photo opens over the track description)
+function topModal() {
+  const open = document.querySelectorAll('.modal:not(.hidden)');
+  return open.length ? open[open.length - 1] : null;
 }
 
+const modalObserver = new MutationObserver((records) => {
+  for (const { target: modal } of records) {
+    const open = !modal.classList.contains('hidden');
+    if (open && !modalReturnFocus.has(modal)) {
+      modalReturnFocus.set(modal, document.activeElement);
+      const heading = modal.querySelector('h2');
+      if (heading) {
+        heading.tabIndex = -1;
+        heading.focus();
+      }
+    } else if (!open && modalReturnFocus.has(modal)) {
+      const previous = modalReturnFocus.get(modal);
+      modalReturnFocus.delete(modal);
+      if (previous && document.contains(previous)) previous.focus();
+    }
+  }
+});
+for (const modal of document.querySelectorAll('.modal')) modalObserver.observe(modal, { attributes: true, attributeFilter: ['class'] });
+
+document.addEventListener('keydown', (e) => {
+  const modal = topModal();
+  if (!modal) {
+    if (e.key === 'Escape' && fullscreen) toggleFullscreen();
+    return;
+  }
+  if (e.key === 'Escape') {
+    const dismiss = modal.querySelector('[data-dismiss]');
+    if (dismiss) {
+      e.preventDefault();
+      dismiss.click();
+    }
+    return;
+  }
+  if (e.key !== 'Tab') return;
+  // Keep Tab and Shift+Tab cycling inside the modal
+  const items = focusableIn(modal);
+  if (!items.length) { e.preventDefault(); return; }
+  const i = items.indexOf(document.activeElement);
+  if (e.shiftKey && i <= 0) {
+    e.preventDefault();
+    items[items.length - 1].focus();
+  } else if (!e.shiftKey && i === items.length - 1) {
+    e.preventDefault();
+    items[0].focus();
+  } else if (!modal.contains(document.activeElement)) {
+    e.preventDefault();
+    items[0].focus();
+  }
+});
+
+// Map keys: arrows pan, +/- zoom, 0 fits the track, F follows, Enter or Space toggles fullscreen
+elements.canvas.addEventListener('keydown', (e) => {
+  if (topModal()) return;
+  const pan = { ArrowLeft: [PAN_STEP_PX, 0], ArrowRight: [-PAN_STEP_PX, 0], ArrowUp: [0, PAN_STEP_PX], ArrowDown: [0, -PAN_STEP_PX] }[e.key];
+  if (pan) {
+    setFollow(false);
+    panBy(pan[0], pan[1]);
+    redrawAll();
+  } else if (e.key === '+' || e.key === '=') {
+    zoomBy(1.5);
+  } else if (e.key === '-') {
+    zoomBy(1 / 1.5);
+  } else if (e.key === '0') {
+    fitTrack();
+  } else if (e.key === 'f' || e.key === 'F') {
+    setFollow(true);
+  } else if (e.key === 'Enter' || e.key === ' ') {
+    toggleFullscreen();
+    elements.canvas.focus(); // moving the canvas into or out of the overlay drops the focus
+  } else {
+    return;
+  }
+  e.preventDefault();
+});
 
+// High contrast and large text; follows the system preference until chosen here
+function applyTheme(contrast) {
+  document.documentElement.classList.toggle('theme-contrast', contrast);
+  resizeCanvas(); // larger controls change the layout, and the HUD grows with the text
+}
+
+if (elements.contrastTheme) {
+  const storedTheme = loadSetting(THEME_KEY);
+  elements.contrastTheme.checked = storedTheme ? storedTheme === 'contrast'
+    : !!(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches);
+  applyTheme(elements.contrastTheme.checked);
+  elements.contrastTheme.addEventListener('change', () => {
+    try { localStorage.setItem(THEME_KEY, elements.contrastTheme.checked ? 'contrast' : 'default'); } catch (_) {}
+    applyTheme(elements.contrastTheme.checked);
+  });
+}
@@ -0,0 +1,112 @@
+// Carrying modes and walking direction. The compass says where the phone points, not where
+// its owner walks: in a trouser pocket or a bag the two differ by a fixed, unknown angle.
+// The estimator finds the walking axis as the principal direction of the horizontal
+// acceleration over the last steps, and tells forward from backward by the phase between
+// forward and vertical acceleration (forward leads vertical by a quarter step). No DOM access.
+
+// Names are the i18n keys 'carry.<mode>'
+export const CARRY_MODES = {
+  hand: { offsetDeg: 0, auto: false },
+  pocket: { offsetDeg: 0, auto: true },
+  // Upright in a bag or backpack with the screen to the wearer: the phone's back, which the
+  // compass refers to, faces backwards until the estimator has found the walking direction
+  bag: { offsetDeg: 180, auto: true },
+};
+
+export const DEFAULT_CARRY = { mode: 'hand', manualOffsetDeg: 0, declinationDeg: 0 };
+
+const WINDOW_MS = 2500;
+const MIN_SAMPLES = 40;
+const MIN_AXIS_RATIO = 1.5; // principal/secondary variance; below that there is no clear axis
+const SMOOTHING = 0.25;
+
+function normalizeDeg(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+function wrap180(deg) {
+  const d = normalizeDeg(deg);
+  return d > 180 ? d - 360 : d;
+}
+
+function dot(a, b) { return a.x * b.x + a.y * b.y + a.z * b.z; }
+function cross(a, b) { return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x }; }
+function scale(a, k) { return { x: a.x * k, y: a.y * k, z: a.z * k }; }
+function sub(a, b) { return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }; }
+function norm(a) { return Math.hypot(a.x, a.y, a.z); }
+
+export function normalizeCarry(c) {
+  const carry = { ...DEFAULT_CARRY, ...(c || {}) };
+  if (!CARRY_MODES[carry.mode]) carry.mode = DEFAULT_CARRY.mode;
+  carry.manualOffsetDeg = isFinite(carry.manualOffsetDeg) ? wrap180(Number(carry.manualOffsetDeg)) : 0;
+  carry.declinationDeg = isFinite(carry.declinationDeg) ? Math.max(-90, Math.min(90, Number(carry.declinationDeg))) : 0;
+  return carry;
+}
+
+export function createWalkDirectionEstimator() {
+  let gravity = null; // low-passed accelerationIncludingGravity (device frame)
+  let samples = []; // [{ t, f, s, v }] linear acceleration: along the reference axis, to its right, up
+  let offsetDeg = null; // walking direction relative to the compass reference, clockwise
+
+  // Horizontal reference the compass heading refers to: the device top, or its back when upright
+  function referenceAxis(up) {
+    const top = sub({ x: 0, y: 1, z: 0 }, scale(up, up.y));
+    if (norm(top) > 0.5) return scale(top, 1 / norm(top));
+    const back = sub({ x: 0, y: 0, z: -1 }, scale(up, -up.z));
+    return scale(back, 1 / (norm(back) || 1));
+  }
+
+  // a: accelerationIncludingGravity in m/s²
+  function feed(t, a) {
+    const v = { x: a.x || 0, y: a.y || 0, z: a.z || 0 };
+    gravity = gravity ? { x: gravity.x + 0.05 * (v.x - gravity.x), y: gravity.y + 0.05 * (v.y - gravity.y), z: gravity.z + 0.05 * (v.z - gravity.z) } : v;
+    const g = norm(gravity);
+    if (g < 1) return;
+    const up = scale(gravity, 1 / g);
+    const forward = referenceAxis(up);
+    const right = cross(forward, up);
+    const linear = sub(v, gravity);
+    samples.push({ t, f: dot(linear, forward), s: dot(linear, right), v: dot(linear, up) });
+    while (samples.length && samples[0].t < t - WINDOW_MS) samples.shift();
+  }
+
+  // Called once per step; stepMs is the current step period. Returns the smoothed offset or null.
+  function estimate(stepMs) {
+    if (samples.length < MIN_SAMPLES) return offsetDeg;
+    let sff = 0, sss = 0, sfs = 0;
+    for (const p of samples) { sff += p.f * p.f; sss += p.s * p.s; sfs += p.f * p.s; }
+    const trace = sff + sss;
+    const det = sff * sss - sfs * sfs;
+    const root = Math.sqrt(Math.max(0, trace * trace / 4 - det));
+    const major = trace / 2 + root;
+    const minor = trace / 2 - root;
+    if (minor > 0 && major / minor < MIN_AXIS_RATIO) return offsetDeg;
+    let axisDeg = 0.5 * Math.atan2(2 * sfs, sff - sss) * 180 / Math.PI;
+
+    // Forward acceleration leads the vertical one by a quarter step
+    const dt = (samples[samples.length - 1].t - samples[0].t) / (samples.length - 1) || 20;
+    const lag = Math.max(1, Math.round((isFinite(stepMs) ? stepMs : 550) / 4 / dt));
+    const ax = { f: Math.cos(axisDeg * Math.PI / 180), s: Math.sin(axisDeg * Math.PI / 180) };
+    let phase = 0;
+    for (let i = 0; i + lag < samples.length; i++) {
+      phase += (samples[i].f * ax.f + samples[i].s * ax.s) * samples[i + lag].v;
+    }
+    if (phase < 0) axisDeg += 180;
+
+    const measured = normalizeDeg(axisDeg);
+    offsetDeg = offsetDeg == null ? measured : normalizeDeg(offsetDeg + SMOOTHING * wrap180(measured - offsetDeg));
+    return offsetDeg;
+  }
+
+  function getOffset() {
+    return offsetDeg;
+  }
+
+  function reset() {
+    gravity = null;
+    samples = [];
+    offsetDeg = null;
+  }
+
+  return { feed, estimate, getOffset, reset };
+}
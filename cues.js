@@ -0,0 +1,194 @@
+// Hands-free guidance cues: spoken prompts and vibration patterns when the bearing error
+// between the heading and the guidance target crosses a threshold, periodic distance
+// reminders and an arrival announcement. Output goes through injected `speak`/`vibrate`
+// functions, so this module has no DOM or Web API dependency. Distances are spoken in the
+// app's unit system (units.js) and, unless the cue settings pick one, the app's language.
+
+import { distanceInUnit } from './units.js';
+import { pickLocale } from './i18n.js';
+
+const PHRASES = {
+  de: {
+    ahead: 'geradeaus',
+    slightLeft: 'leicht links',
+    slightRight: 'leicht rechts',
+    left: 'links abbiegen',
+    right: 'rechts abbiegen',
+    around: 'umdrehen',
+    target: (t) => t.kind === 'start' ? 'zum Start' : t.kind === 'route' ? 'entlang der Spur' : 'bis ' + t.name,
+    distance: (value, unit) => String(value).replace('.', ',') + ' ' + { m: 'Meter', ft: 'Fuß', yd: 'Yards', mi: value === 1 ? 'Meile' : 'Meilen' }[unit],
+    prompt: (dir, distance, target) => dir + ', noch ' + distance + ' ' + target,
+    arrived: (t) => t.kind === 'waypoint' ? t.name + ' erreicht' : 'Startpunkt erreicht',
+    offRoute: 'Abseits der Spur',
+  },
+  en: {
+    ahead: 'straight ahead',
+    slightLeft: 'bear left',
+    slightRight: 'bear right',
+    left: 'turn left',
+    right: 'turn right',
+    around: 'turn around',
+    target: (t) => t.kind === 'start' ? 'to start' : t.kind === 'route' ? 'along the track' : 'to ' + t.name,
+    distance: (value, unit) => value + ' ' + (value === 1 ? { m: 'metre', ft: 'foot', yd: 'yard', mi: 'mile' } : { m: 'metres', ft: 'feet', yd: 'yards', mi: 'miles' })[unit],
+    prompt: (dir, distance, target) => dir + ', ' + distance + ' ' + target,
+    arrived: (t) => t.kind === 'waypoint' ? 'Arrived at ' + t.name : 'Arrived at start',
+    offRoute: 'Off the track',
+  },
+};
+
+const SPEECH_LANG = { de: 'de-DE', en: 'en-GB' };
+
+// Short-short = left, long = right, triple = turn around
+const PATTERNS = {
+  slightLeft: [80, 80, 80],
+  left: [150, 100, 150],
+  slightRight: [200],
+  right: [400],
+  around: [100, 60, 100, 60, 100],
+  arrived: [500, 200, 500],
+  offRoute: [60, 60, 60, 60, 60, 60, 60],
+};
+
+export const DEFAULT_CUE_SETTINGS = {
+  voice: false,
+  vibration: false,
+  lang: 'auto', // 'auto' (the app's language) | 'de' | 'en'
+  minIntervalSec: 4, // between two prompts
+  repeatSec: 30, // distance reminder while nothing changes
+};
+
+function wrap180(deg) {
+  let d = ((deg % 360) + 360) % 360;
+  if (d > 180) d -= 360;
+  return d;
+}
+
+function zoneFor(err) {
+  const a = Math.abs(err);
+  if (a < 20) return 'ahead';
+  if (a < 60) return err < 0 ? 'slightLeft' : 'slightRight';
+  if (a < 135) return err < 0 ? 'left' : 'right';
+  return 'around';
+}
+
+// Coarser the further away: whole units up close, then fives and tens; miles to a tenth
+function roundDistance(value, unit) {
+  if (unit === 'mi') return Math.max(0.1, Math.round(value * 10) / 10);
+  if (value < 10) return Math.max(1, Math.round(value));
+  if (value < 100) return Math.round(value / 5) * 5;
+  return Math.round(value / 10) * 10;
+}
+
+export function createGuidanceCues(options = {}) {
+  const speak = options.speak || (() => {});
+  const vibrate = options.vibrate || (() => {});
+  const now = options.now || (() => Date.now());
+  let locale = options.locale || 'de'; // the app's language
+  const arriveRadius = options.arriveRadius || 3; // m
+  let units = options.units || 'metric'; // 'metric' | 'imperial'
+  const debounceMs = 800; // a new zone must hold this long before it is announced
+  let settings = { ...DEFAULT_CUE_SETTINGS, ...(options.settings || {}) };
+
+  let lastZone = null;
+  let pendingZone = null;
+  let pendingSince = 0;
+  let lastPromptTime = -Infinity;
+  let arrivedAnnounced = false;
+
+  // The cue language: the one picked in the settings, else the app's
+  function language() {
+    return pickLocale(settings.lang, locale);
+  }
+
+  function phrases() {
+    return PHRASES[language()];
+  }
+
+  function enabled() {
+    return settings.voice || settings.vibration;
+  }
+
+  function output(text, pattern) {
+    if (settings.voice && text) speak(text, getSpeechLang());
+    if (settings.vibration && pattern) vibrate(pattern);
+    lastPromptTime = now();
+  }
+
+  function prompt(zone, g) {
+    const p = phrases();
+    const d = distanceInUnit(g.distance, units);
+    output(p.prompt(p[zone], p.distance(roundDistance(d.value, d.unit), d.unit), p.target(g.target)), zone === 'ahead' ? null : PATTERNS[zone]);
+    lastZone = zone;
+  }
+
+  // g: { headingDeg, bearingDeg, distance, target: { kind: 'start' | 'waypoint' | 'route', name } }
+  function update(g) {
+    if (!enabled()) return;
+    if (g.distance <= arriveRadius && g.target.kind !== 'route') {
+      announceArrival(g.target);
+      return;
+    }
+    if (g.distance > arriveRadius * 2) arrivedAnnounced = false;
+    if (g.headingDeg == null || !isFinite(g.bearingDeg)) return;
+
+    const t = now();
+    const zone = zoneFor(wrap180(g.bearingDeg - g.headingDeg));
+    if (zone !== pendingZone) { pendingZone = zone; pendingSince = t; }
+    const settled = t - pendingSince >= debounceMs;
+    const sinceLast = t - lastPromptTime;
+    if (zone !== lastZone && settled && sinceLast >= settings.minIntervalSec * 1000) {
+      prompt(zone, g);
+    } else if (zone === lastZone && sinceLast >= settings.repeatSec * 1000) {
+      prompt(zone, g);
+    }
+  }
+
+  function announceArrival(target) {
+    if (!enabled() || arrivedAnnounced) return;
+    arrivedAnnounced = true;
+    output(phrases().arrived(target), PATTERNS.arrived);
+  }
+
+  function announceOffRoute() {
+    if (!enabled()) return;
+    output(phrases().offRoute, PATTERNS.offRoute);
+  }
+
+  // Sample prompt for the settings dialog, bypassing debounce and rate limit
+  function announceSample() {
+    if (!enabled()) return;
+    prompt('right', { distance: 20, target: { kind: 'start', name: '' } });
+    lastZone = null;
+  }
+
+  // Forget the previous zone so the next update announces the direction again
+  function reset() {
+    lastZone = null;
+    pendingZone = null;
+    lastPromptTime = -Infinity;
+    arrivedAnnounced = false;
+  }
+
+  function setSettings(next) {
+    settings = { ...settings, ...next };
+  }
+
+  function getSettings() {
+    return { ...settings };
+  }
+
+  function setUnits(system) {
+    units = system;
+  }
+
+  function setLocale(next) {
+    locale = next;
+  }
+
+  // BCP 47 tag for the speech synthesis voice
+  function getSpeechLang() {
+    return SPEECH_LANG[language()];
+  }
+
+  return { update, announceArrival, announceOffRoute, announceSample, reset, setSettings, getSettings, setUnits, setLocale, getSpeechLang };
+}
@@ -0,0 +1,24 @@
+// Tiny event emitter shared by the headless modules (tracker, GPS fusion, ...)
+
+export function createEmitter() {
+  const listeners = new Map();
+
+  function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+  }
+
+  function off(type, fn) {
+    const set = listeners.get(type);
+    if (set) set.delete(fn);
+  }
+
+  function emit(type, detail) {
+    const set = listeners.get(type);
+    if (!set) return;
+    for (const fn of set) fn(detail);
+  }
+
+  return { on, off, emit };
+}
@@ -0,0 +1,9 @@
+// Errors the headless modules raise for the user to read: `code` is an i18n key ('error.…') and
+// `params` fill its placeholders. app.js translates them; the message is the code, for logs.
+
+export function codedError(code, params = {}) {
+  const error = new Error(code);
+  error.code = code;
+  error.params = params;
+  return error;
+}
@@ -0,0 +1,192 @@
+// Floors: vertical movement from a barometer where one exists, otherwise from the motion signal
+// (stair steps from the shape of each step's acceleration, elevator rides from the vertical
+// acceleration while standing). The barometer measures what the motion signal only suggests,
+// so once it reports it decides whether a walk goes up or down. The floor counter changes in
+// whole storeys, with hysteresis so hovering half-way up a staircase doesn't flicker.
+// No DOM access.
+
+export const STOREY_HEIGHT = 3.0; // m
+const STAIR_RISE = 0.17; // m per stair step
+const STAIR_RATIO = 2.5; // vertical over horizontal acceleration (RMS) of a stair step; level walking stays below 2
+const STAIR_DOWN_SKEW = 0.6; // skewness of the vertical acceleration: landing on each step downstairs is a sharp jolt
+const STAIR_STREAK = 2; // stair steps in the same direction before they count
+const HYSTERESIS = 0.6; // of a storey beyond the current floor before it changes
+const CLIMB_RATE = 0.12; // m/s of barometric altitude change that counts as going up or down
+const RIDE_SPEED = 0.4; // m/s vertical speed that marks an elevator ride
+const RIDE_MIN_HEIGHT = 1.5; // m; shorter rides are integration noise
+const ACCEL_DEADBAND = 0.08; // m/s²
+
+// International barometric formula, altitude of `hPa` relative to `refHPa`
+export function pressureToAltitude(hPa, refHPa) {
+  return 44330 * (1 - Math.pow(hPa / refHPa, 1 / 5.255));
+}
+
+export function createFloorTracker(options = {}) {
+  const storeyHeight = options.storeyHeight || STOREY_HEIGHT;
+  let source = 'motion'; // 'barometer' once pressure readings arrive
+  let lastPressure = null;
+  let refPressure = null;
+  let baroAltitude = 0; // low-passed
+  let baroRate = 0; // m/s, low-passed
+  let baroT = null;
+  let motionAltitude = 0;
+  let floor = 0;
+
+  // Elevator ride from the vertical acceleration while standing
+  let gravity = null; // low-passed; only its direction is used during a ride
+  let restG = null; // gravity magnitude at rest, not updated while riding
+  let lastMotionT = null;
+  let velocity = 0;
+  let rideHeight = 0;
+  let riding = false;
+  let stillSince = null; // no vertical acceleration since
+  let peakSpeed = 0; // of the current ride
+
+  // Stairs from the motion signal: moments of the linear acceleration since the last step
+  let stepWindow = { n: 0, v2: 0, v3: 0, h2: 0 };
+  let lastStairSign = 0;
+  let stairStreak = 0;
+
+  function altitude() {
+    return source === 'barometer' ? baroAltitude : motionAltitude;
+  }
+
+  // Returns the new floor when it changed, else null
+  function updateFloor() {
+    const alt = altitude();
+    if (Math.abs(alt - floor * storeyHeight) <= HYSTERESIS * storeyHeight) return null;
+    floor = Math.round(alt / storeyHeight);
+    return floor;
+  }
+
+  function feedPressure(t, hPa) {
+    if (!isFinite(hPa) || hPa <= 0) return null;
+    source = 'barometer';
+    lastPressure = hPa;
+    if (refPressure == null) refPressure = hPa;
+    const alt = pressureToAltitude(hPa, refPressure);
+    const previous = baroAltitude;
+    baroAltitude = baroT == null ? alt : baroAltitude + 0.2 * (alt - baroAltitude);
+    if (baroT != null && t > baroT) baroRate += 0.2 * ((baroAltitude - previous) / ((t - baroT) / 1000) - baroRate);
+    baroT = t;
+    return updateFloor();
+  }
+
+  // a: accelerationIncludingGravity; standing: no gait detected right now
+  function feedMotion(t, a, standing) {
+    const v = { x: a.x || 0, y: a.y || 0, z: a.z || 0 };
+    gravity = gravity ? { x: gravity.x + 0.02 * (v.x - gravity.x), y: gravity.y + 0.02 * (v.y - gravity.y), z: gravity.z + 0.02 * (v.z - gravity.z) } : v;
+    const dt = lastMotionT == null ? 0 : Math.min(0.2, Math.max(0, (t - lastMotionT) / 1000));
+    lastMotionT = t;
+    const g = Math.hypot(gravity.x, gravity.y, gravity.z);
+    if (!standing && g >= 1) {
+      // Split the linear acceleration along gravity (vertical) and across it (horizontal)
+      const lin = { x: v.x - gravity.x, y: v.y - gravity.y, z: v.z - gravity.z };
+      const vert = (lin.x * gravity.x + lin.y * gravity.y + lin.z * gravity.z) / g;
+      const h2 = lin.x * lin.x + lin.y * lin.y + lin.z * lin.z - vert * vert;
+      stepWindow.n += 1;
+      stepWindow.v2 += vert * vert;
+      stepWindow.v3 += vert * vert * vert;
+      stepWindow.h2 += Math.max(0, h2);
+    }
+    if (standing) { stepWindow = { n: 0, v2: 0, v3: 0, h2: 0 }; stairStreak = 0; }
+    if (source === 'barometer') {
+      riding = standing && Math.abs(baroRate) > CLIMB_RATE;
+      return null;
+    }
+    if (!standing) { velocity = 0; rideHeight = 0; riding = false; return null; }
+    if (g < 1) return null;
+    const along = (v.x * gravity.x + v.y * gravity.y + v.z * gravity.z) / g;
+    // A sustained ride acceleration would leak into a low-passed magnitude, so the rest value is frozen
+    if (restG == null) restG = along;
+    if (!riding && Math.abs(along - restG) < 0.3) restG += 0.01 * (along - restG);
+    let av = along - restG;
+    if (Math.abs(av) < ACCEL_DEADBAND) av = 0;
+    velocity = velocity * 0.9995 + av * dt; // slight leak against integration drift
+    rideHeight += velocity * dt;
+    if (!riding && Math.abs(velocity) > RIDE_SPEED) { riding = true; peakSpeed = 0; }
+    if (riding) peakSpeed = Math.max(peakSpeed, Math.abs(velocity));
+    if (av !== 0) stillSince = null; else if (stillSince == null) stillSince = t;
+    // Ride over once it has slowed down and the acceleration settled; what velocity is left is drift
+    if (riding && stillSince != null && t - stillSince > 1000 && Math.abs(velocity) < 0.5 * peakSpeed) {
+      // Keep it if it covered enough height
+      riding = false;
+      if (Math.abs(rideHeight) >= RIDE_MIN_HEIGHT) motionAltitude += rideHeight;
+      rideHeight = 0;
+      velocity = 0;
+      return updateFloor();
+    }
+    if (!riding && Math.abs(velocity) < 0.05) rideHeight = 0;
+    return null;
+  }
+
+  // Direction of one step from its acceleration: -1 or 1 on stairs, 0 on level ground. On
+  // stairs the body mostly rises and falls and hardly speeds up or slows down forwards.
+  function stairSign({ n, v2, v3, h2 }) {
+    if (n < 5 || v2 <= 0) return 0;
+    if (Math.sqrt(v2 / Math.max(h2, 1e-6)) < STAIR_RATIO) return 0;
+    const skew = (v3 / n) / Math.pow(v2 / n, 1.5);
+    return skew > STAIR_DOWN_SKEW ? -1 : 1;
+  }
+
+  // At every detected step. Without a barometer a stair step moves one rise up or down once
+  // STAIR_STREAK of them agree; returns the new floor when it changed, else null
+  function onStep() {
+    const moments = stepWindow;
+    stepWindow = { n: 0, v2: 0, v3: 0, h2: 0 };
+    // The steps counted retroactively when a gait is recognised have no samples of their own
+    if (moments.n === 0) return null;
+    const sign = stairSign(moments);
+    if (sign && sign === lastStairSign) stairStreak += 1; else stairStreak = sign ? 1 : 0;
+    lastStairSign = sign;
+    if (source === 'barometer' || stairStreak < STAIR_STREAK) return null;
+    motionAltitude += sign * STAIR_RISE;
+    return updateFloor();
+  }
+
+  // Going up or down right now: -1, 0 or 1. The barometer's rate where there is one, else the
+  // stair steps of the motion signal
+  function climbing() {
+    if (source === 'barometer') return Math.abs(baroRate) > CLIMB_RATE ? Math.sign(baroRate) : 0;
+    return stairStreak >= STAIR_STREAK ? lastStairSign : 0;
+  }
+
+  function isRiding() {
+    return riding;
+  }
+
+  // New reference at the start point
+  function reset() {
+    refPressure = lastPressure;
+    baroAltitude = 0;
+    baroRate = 0;
+    baroT = null;
+    motionAltitude = 0;
+    floor = 0;
+    velocity = 0;
+    rideHeight = 0;
+    riding = false;
+    stillSince = null;
+    stepWindow = { n: 0, v2: 0, v3: 0, h2: 0 };
+    stairStreak = 0;
+  }
+
+  function getState() {
+    return { floor, altitude: altitude(), source, riding };
+  }
+
+  function toJSON() {
+    return { floor, motionAltitude, refPressure, source };
+  }
+
+  function restore(s) {
+    if (!s) { reset(); return; }
+    floor = Number(s.floor) || 0;
+    motionAltitude = Number(s.motionAltitude) || 0;
+    refPressure = isFinite(s.refPressure) ? s.refPressure : null;
+    if (s.source === 'barometer') source = 'barometer';
+    baroT = null;
+  }
+
+  return { feedPressure, feedMotion, onStep, climbing, isRiding, reset, getState, toJSON, restore };
+}
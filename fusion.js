@@ -0,0 +1,150 @@
+// Optional GPS + dead-reckoning fusion. Fixes from geolocation.watchPosition correct the
+// tracker's position with a per-axis Kalman update weighted by the reported accuracy, and the
+// direction of travel between well-separated fixes slowly corrects the heading bias.
+// Fixes worse than `maxAccuracy` are ignored, so indoors the tracker falls back to pure PDR.
+// `geolocation` is injectable (see createMockGeolocation in geo.js). No DOM access.
+//
+// Events: 'source' ({ source: 'gps' | 'pdr' | 'off', accuracy, reason }).
+
+import { createEmitter } from './emitter.js';
+import { bearingDeg } from './tracker.js';
+import { latLonToLocal, localToLatLon } from './geo.js';
+import { codedError } from './errors.js';
+
+const STEP_VARIANCE = 0.04; // m² added to the position uncertainty per step
+const BIAS_MIN_DISTANCE = 15; // m of travel between fixes before comparing directions
+const BIAS_GAIN = 0.3;
+
+function wrap180(deg) {
+  let d = ((deg % 360) + 360) % 360;
+  if (d > 180) d -= 360;
+  return d;
+}
+
+export function createGpsFusion(options) {
+  const { tracker, geolocation } = options;
+  const now = options.now || (() => Date.now());
+  const maxAccuracy = options.maxAccuracy || 20; // m
+  const staleMs = options.staleMs || 10000;
+  const { on, off, emit } = createEmitter();
+
+  let watchId = null;
+  let variance = 1; // m², uncertainty of the dead-reckoned position
+  let source = 'off';
+  let accuracy = null;
+  let emittedAccuracy = null; // accuracy in the last 'source' event
+  let lastGoodFixTime = -Infinity;
+  let biasRef = null; // { x, y, accuracy } of the fix the PDR displacement is measured from
+  let pdrSinceRef = { x: 0, y: 0 };
+
+  // Emits on a new source, a reason or a changed accuracy (the readout shows it)
+  function setSource(next, reason) {
+    if (next === source && reason == null && accuracy === emittedAccuracy) return;
+    source = next;
+    emittedAccuracy = accuracy;
+    emit('source', { source, accuracy, reason: reason || null });
+  }
+
+  function checkStale(reason) {
+    if (watchId == null) return;
+    if (source === 'gps' && now() - lastGoodFixTime > staleMs) setSource('pdr', reason || 'stale');
+  }
+
+  // Also drops the learned heading bias: it belongs to the walk (and the fixes) it came from
+  function resetFilter() {
+    variance = 1;
+    biasRef = null;
+    pdrSinceRef = { x: 0, y: 0 };
+    tracker.setHeadingBias(0);
+  }
+
+  function updateHeadingBias(z, fixAccuracy) {
+    if (!biasRef) {
+      biasRef = { x: z.x, y: z.y, accuracy: fixAccuracy };
+      pdrSinceRef = { x: 0, y: 0 };
+      return;
+    }
+    const gx = z.x - biasRef.x;
+    const gy = z.y - biasRef.y;
+    const gpsDist = Math.hypot(gx, gy);
+    const pdrDist = Math.hypot(pdrSinceRef.x, pdrSinceRef.y);
+    // Only trust the GPS direction once both fixes are small compared to the distance between them
+    const minDist = Math.max(BIAS_MIN_DISTANCE, 2 * (fixAccuracy + biasRef.accuracy));
+    if (gpsDist < minDist || pdrDist < BIAS_MIN_DISTANCE) return;
+    const err = wrap180(bearingDeg(gx, gy) - bearingDeg(pdrSinceRef.x, pdrSinceRef.y));
+    tracker.setHeadingBias(tracker.getState().headingBiasDeg + BIAS_GAIN * err);
+    biasRef = { x: z.x, y: z.y, accuracy: fixAccuracy };
+    pdrSinceRef = { x: 0, y: 0 };
+  }
+
+  // fix: { lat, lon, accuracy, t }
+  function handleFix(fix) {
+    const state = tracker.getState();
+    if (!state.originSet || state.paused) return;
+    accuracy = fix.accuracy;
+    if (!isFinite(fix.accuracy) || fix.accuracy > maxAccuracy) {
+      setSource('pdr', source !== 'pdr' ? 'inaccurate' : null);
+      return;
+    }
+    const pos = state.position;
+    let anchor = state.anchor;
+    if (!anchor) {
+      // First usable fix without an anchor: place the origin so the current position lands on the fix
+      const origin = localToLatLon({ lat: fix.lat, lon: fix.lon, northOffsetDeg: 0 }, { x: -pos.x, y: -pos.y });
+      anchor = { lat: origin.lat, lon: origin.lon, accuracy: fix.accuracy, northOffsetDeg: 0 };
+      tracker.setAnchor(anchor);
+      variance = fix.accuracy * fix.accuracy;
+    } else {
+      const z = latLonToLocal(anchor, fix.lat, fix.lon);
+      const r = fix.accuracy * fix.accuracy;
+      const k = variance / (variance + r);
+      tracker.correctPosition(k * (z.x - pos.x), k * (z.y - pos.y));
+      variance = (1 - k) * variance;
+    }
+    updateHeadingBias(latLonToLocal(anchor, fix.lat, fix.lon), fix.accuracy);
+    lastGoodFixTime = now();
+    setSource('gps');
+  }
+
+  tracker.on('move', (e) => {
+    if (!e.step) return;
+    variance += STEP_VARIANCE;
+    pdrSinceRef.x += e.step.dx;
+    pdrSinceRef.y += e.step.dy;
+    checkStale();
+  });
+  tracker.on('origin', resetFilter);
+  tracker.on('reset', resetFilter);
+
+  function start() {
+    if (watchId != null) return;
+    if (!geolocation) throw codedError('error.noLocation');
+    resetFilter();
+    watchId = geolocation.watchPosition(
+      (pos) => handleFix({ lat: pos.coords.latitude, lon: pos.coords.longitude, accuracy: pos.coords.accuracy, t: pos.timestamp }),
+      () => { accuracy = null; setSource('pdr', 'error'); },
+      { enableHighAccuracy: true, maximumAge: 0 }
+    );
+    setSource('pdr', 'waiting');
+  }
+
+  function stop() {
+    if (watchId == null) return;
+    geolocation.clearWatch(watchId);
+    watchId = null;
+    accuracy = null;
+    resetFilter();
+    setSource('off');
+  }
+
+  // Call periodically: drops back to PDR when fixes stop arriving (e.g. indoors)
+  function tick() {
+    checkStale();
+  }
+
+  function getSource() {
+    return { source, accuracy };
+  }
+
+  return { on, off, start, stop, handleFix, tick, getSource };
+}
@@ -0,0 +1,149 @@
+// Geo anchoring and track export. A track is recorded in local meters relative to its start
+// point (x east, y south); an anchor ties that start point to latitude/longitude plus a north
+// alignment so the track can be exported as GPX or GeoJSON. No DOM access.
+
+import { dedupePath } from './route.js';
+import { codedError } from './errors.js';
+
+const EARTH_RADIUS_M = 6371008.8;
+const DEG = Math.PI / 180;
+
+export function isValidAnchor(anchor) {
+  return !!anchor &&
+    isFinite(anchor.lat) && Math.abs(anchor.lat) <= 90 &&
+    isFinite(anchor.lon) && Math.abs(anchor.lon) <= 180;
+}
+
+// anchor: { lat, lon, northOffsetDeg } — northOffsetDeg rotates the local frame clockwise
+// onto true north (e.g. magnetic declination, or a compass that is off by a fixed angle)
+export function localToLatLon(anchor, p) {
+  const r = (anchor.northOffsetDeg || 0) * DEG;
+  const east = p.x;
+  const north = -p.y;
+  const e = east * Math.cos(r) + north * Math.sin(r);
+  const n = north * Math.cos(r) - east * Math.sin(r);
+  const lat = anchor.lat + (n / EARTH_RADIUS_M) / DEG;
+  const lon = anchor.lon + (e / (EARTH_RADIUS_M * Math.cos(anchor.lat * DEG))) / DEG;
+  return { lat, lon };
+}
+
+export function latLonToLocal(anchor, lat, lon) {
+  const n = (lat - anchor.lat) * DEG * EARTH_RADIUS_M;
+  const e = (lon - anchor.lon) * DEG * EARTH_RADIUS_M * Math.cos(anchor.lat * DEG);
+  const r = (anchor.northOffsetDeg || 0) * DEG;
+  const east = e * Math.cos(r) - n * Math.sin(r);
+  const north = n * Math.cos(r) + e * Math.sin(r);
+  return { x: east, y: -north };
+}
+
+// Promise wrapper around geolocation.getCurrentPosition; `geolocation` is injectable for tests
+export function requestFix(geolocation, options = { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }) {
+  return new Promise((resolve, reject) => {
+    if (!geolocation) { reject(codedError('error.noLocation')); return; }
+    geolocation.getCurrentPosition(
+      (pos) => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude, accuracy: pos.coords.accuracy, t: pos.timestamp }),
+      (err) => reject(err && err.message ? new Error(err.message) : codedError('error.noLocation')),
+      options
+    );
+  });
+}
+
+function isoTime(t) {
+  return isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+function round7(v) {
+  return Math.round(v * 1e7) / 1e7;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+// track: { name, anchor, path: [{x, y, t?}], waypoints: [{x, y, t?, name, note?}] }
+export function toGpx(track) {
+  if (!isValidAnchor(track.anchor)) throw codedError('error.noAnchor');
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Brodkrumen" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    '    <name>' + escapeXml(track.name || 'Brodkrumen') + '</name>',
+  ];
+  const startTime = track.path.length ? isoTime(track.path[0].t) : null;
+  if (startTime) lines.push('    <time>' + startTime + '</time>');
+  lines.push('  </metadata>');
+  for (const w of track.waypoints || []) {
+    const ll = localToLatLon(track.anchor, w);
+    lines.push('  <wpt lat="' + round7(ll.lat) + '" lon="' + round7(ll.lon) + '">');
+    const time = isoTime(w.t);
+    if (time) lines.push('    <time>' + time + '</time>');
+    lines.push('    <name>' + escapeXml(w.name || '') + '</name>');
+    if (w.note) lines.push('    <desc>' + escapeXml(w.note) + '</desc>');
+    lines.push('  </wpt>');
+  }
+  lines.push('  <trk>', '    <name>' + escapeXml(track.name || 'Brodkrumen') + '</name>', '    <trkseg>');
+  for (const p of dedupePath(track.path)) {
+    const ll = localToLatLon(track.anchor, p);
+    const time = isoTime(p.t);
+    lines.push('      <trkpt lat="' + round7(ll.lat) + '" lon="' + round7(ll.lon) + '">' +
+      (time ? '<time>' + time + '</time>' : '') + '</trkpt>');
+  }
+  lines.push('    </trkseg>', '  </trk>', '</gpx>', '');
+  return lines.join('\n');
+}
+
+export function toGeoJson(track) {
+  if (!isValidAnchor(track.anchor)) throw codedError('error.noAnchor');
+  const path = dedupePath(track.path);
+  const coordinates = path.map((p) => {
+    const ll = localToLatLon(track.anchor, p);
+    return [round7(ll.lon), round7(ll.lat)];
+  });
+  const features = [{
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates },
+    properties: {
+      name: track.name || 'Brodkrumen',
+      // Same convention as togeojson/Mapbox for per-vertex timestamps
+      coordTimes: path.map((p) => isoTime(p.t)),
+    },
+  }];
+  for (const w of track.waypoints || []) {
+    const ll = localToLatLon(track.anchor, w);
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [round7(ll.lon), round7(ll.lat)] },
+      properties: { name: w.name || '', note: w.note || '', time: isoTime(w.t) },
+    });
+  }
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+// Stand-in for navigator.geolocation: fixes are delivered by calling push()/fail()
+export function createMockGeolocation() {
+  const watchers = new Map();
+  let nextId = 1;
+  let last = null;
+  return {
+    getCurrentPosition(success, error) {
+      if (last) success(last);
+      else if (error) error({ code: 2, message: 'Keine Position.' });
+    },
+    watchPosition(success, error) {
+      const id = nextId++;
+      watchers.set(id, { success, error });
+      if (last) success(last);
+      return id;
+    },
+    clearWatch(id) {
+      watchers.delete(id);
+    },
+    push({ lat, lon, accuracy = 5, t = Date.now() }) {
+      last = { coords: { latitude: lat, longitude: lon, accuracy }, timestamp: t };
+      for (const w of watchers.values()) w.success(last);
+    },
+    fail(message = 'Keine Position.') {
+      for (const w of watchers.values()) if (w.error) w.error({ code: 2, message });
+    },
+  };
+}
@@ -0,0 +1,137 @@
+// Heading fusion: the gyroscope (devicemotion rotationRate) carries the heading from sample to
+// sample, the compass slowly pulls it back against gyro drift (complementary filter). When the
+// compass turns without the gyro turning along — steel, cars, rebar — the field is treated as
+// disturbed and the heading rides on the gyro alone until the compass is consistent again.
+// Without gyro data it falls back to a plain low-pass on the compass. No DOM access.
+
+const COMPASS_TAU_MS = 2000; // how fast the compass corrects the gyro heading
+const FALLBACK_ALPHA = 0.15; // compass-only smoothing (no gyro)
+const MISMATCH_WINDOW_MS = 1000;
+const DISTURBED_DEG = 15; // compass vs. gyro turn within the window that marks an anomaly
+const STABLE_DEG = 4; // … and the agreement needed to trust the compass again
+const STABLE_MS = 2000;
+const AGREE_DEG = 20; // a stable compass this close to the gyro heading is trusted again …
+const GIVE_UP_MS = 30000; // … a stable one further off only after this long (gyro drift)
+const GYRO_TIMEOUT_MS = 1000; // no rotationRate for this long = no gyro
+const GYRO_DRIFT_MS = 60000; // time on gyro alone until confidence is at its floor
+
+function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+
+function normalizeDeg(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+function wrap180(deg) {
+  const d = normalizeDeg(deg);
+  return d > 180 ? d - 360 : d;
+}
+
+export function createHeadingFilter() {
+  let heading = null; // fused heading, 0..360 clockwise from north
+  let up = { x: 0, y: 0, z: 1 }; // device-frame up vector, low-passed from the orientation tilt
+  let lastGyroT = null;
+  let gyroTurnSinceCompass = 0; // gyro rotation since the previous compass sample
+  let lastCompass = null; // { t, deg }
+  let mismatch = []; // [{ t, deg }] compass turn minus gyro turn per compass sample
+  let disturbed = false;
+  let disturbedSince = null;
+  let stableSince = null;
+  let innovation = 0; // last compass − fused difference
+  let accuracy = null; // webkitCompassAccuracy in degrees, if reported
+
+  function hasGyro(t) {
+    return lastGyroT != null && t - lastGyroT < GYRO_TIMEOUT_MS;
+  }
+
+  // Device tilt from deviceorientation beta/gamma in degrees. The up vector comes from here and
+  // not from accelerationIncludingGravity, whose sign differs between iOS and Android.
+  function feedTilt({ beta, gamma }) {
+    if (!isFinite(beta) || !isFinite(gamma)) return;
+    const b = beta * Math.PI / 180;
+    const g = gamma * Math.PI / 180;
+    const next = { x: -Math.cos(b) * Math.sin(g), y: Math.sin(b), z: Math.cos(b) * Math.cos(g) };
+    up = {
+      x: up.x + 0.3 * (next.x - up.x),
+      y: up.y + 0.3 * (next.y - up.y),
+      z: up.z + 0.3 * (next.z - up.z),
+    };
+  }
+
+  // rotationRate in deg/s (alpha about z, beta about x, gamma about y)
+  function feedGyro({ t, rotationRate, intervalMs }) {
+    if (!rotationRate || !isFinite(rotationRate.alpha)) return false;
+    const dt = clamp(intervalMs || (lastGyroT != null ? t - lastGyroT : 20), 1, 200) / 1000;
+    lastGyroT = t;
+    // Rotation about the up axis; counter-clockwise is positive, the compass turns clockwise
+    const n = Math.hypot(up.x, up.y, up.z) || 1;
+    const yawRate = ((rotationRate.beta || 0) * up.x + (rotationRate.gamma || 0) * up.y + rotationRate.alpha * up.z) / n;
+    const turn = -yawRate * dt;
+    gyroTurnSinceCompass += turn;
+    if (heading != null) heading = normalizeDeg(heading + turn);
+    return true;
+  }
+
+  function feedCompass({ t, deg, accuracy: acc }) {
+    accuracy = isFinite(acc) && acc >= 0 ? acc : null;
+    if (heading == null) {
+      heading = deg;
+      lastCompass = { t, deg };
+      gyroTurnSinceCompass = 0;
+      return;
+    }
+    innovation = wrap180(deg - heading);
+    if (!hasGyro(t)) {
+      heading = normalizeDeg(heading + FALLBACK_ALPHA * innovation);
+      disturbed = false;
+      lastCompass = { t, deg };
+      gyroTurnSinceCompass = 0;
+      return;
+    }
+
+    const dt = clamp(t - lastCompass.t, 1, 200);
+    mismatch.push({ t, deg: wrap180(deg - lastCompass.deg) - gyroTurnSinceCompass });
+    while (mismatch.length && mismatch[0].t < t - MISMATCH_WINDOW_MS) mismatch.shift();
+    lastCompass = { t, deg };
+    gyroTurnSinceCompass = 0;
+    const drift = Math.abs(mismatch.reduce((s, m) => s + m.deg, 0));
+
+    if (!disturbed && drift > DISTURBED_DEG) {
+      disturbed = true;
+      disturbedSince = t;
+      stableSince = null;
+    } else if (disturbed) {
+      if (drift < STABLE_DEG) {
+        if (stableSince == null) stableSince = t;
+        const agrees = Math.abs(innovation) < AGREE_DEG || t - disturbedSince > GIVE_UP_MS;
+        if (t - stableSince >= STABLE_MS && agrees) { disturbed = false; disturbedSince = null; }
+      } else {
+        stableSince = null;
+      }
+    }
+    if (!disturbed) {
+      heading = normalizeDeg(heading + (dt / (COMPASS_TAU_MS + dt)) * innovation);
+    }
+  }
+
+  // 0..1: how far the heading can be trusted right now
+  function getConfidence(t) {
+    if (heading == null) return 0;
+    let c;
+    if (!hasGyro(t)) c = 0.6;
+    else if (disturbed) c = 0.7 - 0.5 * clamp((t - disturbedSince) / GYRO_DRIFT_MS, 0, 1);
+    else c = 0.95;
+    if (!disturbed) c *= 1 - Math.min(Math.abs(innovation), 45) / 90;
+    if (accuracy != null && accuracy > 20) c *= 0.7;
+    return clamp(c, 0, 1);
+  }
+
+  function getHeading() {
+    return heading;
+  }
+
+  function isDisturbed() {
+    return disturbed;
+  }
+
+  return { feedTilt, feedGyro, feedCompass, getHeading, getConfidence, isDisturbed, hasGyro };
+}
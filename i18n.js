@@ -0,0 +1,827 @@
+// UI texts in German and English. Messages are looked up by key; `{name}` placeholders are
+// filled from the params, and entries with `one`/`other` forms pick one by `params.count`.
+// Missing English entries fall back to German, missing keys to the key itself. No DOM access.
+
+export const LOCALES = { de: 'Deutsch', en: 'English' };
+
+const MESSAGES = {
+  de: {
+    'app.ready': 'Bereit',
+    'common.close': 'Schließen',
+    'common.cancel': 'Abbrechen',
+    'common.apply': 'Übernehmen',
+    'common.save': 'Speichern',
+    'common.delete': 'Löschen',
+    'common.auto': 'Automatisch',
+
+    'btn.permissions': 'Sensoren erlauben',
+    'btn.start': 'Startpunkt setzen',
+    'btn.reset': 'Zurücksetzen',
+    'btn.calibrate': 'Kalibrieren',
+    'btn.guide': 'Zurück zum Start',
+    'btn.guideOn': 'Zurück zum Start (an)',
+    'btn.retrace': 'Rückweg entlang der Spur',
+    'btn.retraceOn': 'Rückweg entlang der Spur (an)',
+    'btn.cues': 'Ansagen …',
+    'btn.carry': 'Trageweise …',
+    'btn.pause': 'Pause',
+    'btn.resume': 'Start',
+    'btn.waypoint': 'Wegpunkt setzen',
+    'btn.camera': 'Foto …',
+    'btn.playback': 'Wiedergabe',
+    'btn.stats': 'Statistik …',
+    'btn.edit': 'Spur bearbeiten',
+    'btn.closeLoop': 'Am Ziel angekommen',
+    'btn.closeLoopTitle': 'Bestätigt, dass du am Ziel (Start oder Wegpunkt) stehst, und korrigiert die Drift der Spur',
+    'btn.saveTrack': 'Spur speichern',
+    'btn.library': 'Spuren …',
+    'btn.record': 'Aufnahme starten',
+    'btn.recordStop': 'Aufnahme stoppen',
+    'btn.replay': 'Aufnahme abspielen',
+    'btn.geo': 'Geo-Anker …',
+    'btn.exportGpx': 'GPX exportieren',
+    'btn.exportGeoJson': 'GeoJSON exportieren',
+    'btn.share': 'Teilen / Importieren …',
+    'btn.announce': 'Position ansagen',
+    'btn.describe': 'Spur als Text …',
+
+    'settings.autoPause': 'Automatisch pausieren, wenn ich stehe',
+    'settings.geoAuto': 'Startpunkt per GPS verorten',
+    'settings.gpsFusion': 'GPS-Fusion (draußen)',
+    'settings.stepLength': 'Schritt-Länge ({unit})',
+    'settings.floorView': 'Etagen-Ansicht',
+    'settings.sensitivity': 'Schritt-Empfindlichkeit:',
+    'settings.language': 'Sprache',
+    'settings.units': 'Einheiten',
+    'settings.metric': 'Metrisch (m, km)',
+    'settings.imperial': 'Imperial (ft, yd, mi)',
+    'settings.contrast': 'Hoher Kontrast, große Schrift',
+
+    'info.distance': 'Distanz (gesamt):',
+    'info.heading': 'Richtung:',
+    'info.steps': 'Schritte:',
+    'info.altitude': 'Höhe (relativ):',
+    'info.loop': 'Drift-Korrektur:',
+    'info.geoAnchor': 'Geo-Anker:',
+    'target.start': 'Zum Start',
+    'target.waypoint': 'Zu {name}',
+
+    'activity.standing': 'Stehen',
+    'activity.walking': 'Gehen',
+    'activity.running': 'Laufen',
+    'activity.stairs': 'Treppe',
+    'activity.elevator': 'Aufzug',
+    'activity.mostly': 'überwiegend {activity}',
+    'heading.disturbed': 'Magnetfeld gestört',
+    'heading.high': 'sicher',
+    'heading.medium': 'ungenau',
+    'heading.low': 'unsicher',
+    'floor.all': 'Alle Etagen (gestapelt)',
+    'floor.current': 'Aktuelle Etage',
+    'floor.start': 'Etage 0 (Start)',
+    'floor.level': 'Etage {floor}',
+
+    'hud.steps': 'Schritte: {steps} · {distance}',
+    'hud.time': 'Zeit: {at} / {duration}',
+    'hud.heading': 'Heading: {heading}',
+
+    'map.zoomIn': 'Vergrößern',
+    'map.zoomOut': 'Verkleinern',
+    'map.fit': 'Einpassen',
+    'map.fitTitle': 'Ganze Spur zeigen',
+    'map.follow': 'Folgen',
+    'map.followTitle': 'Aktuelle Position mittig halten',
+    'map.rotateTitle': 'Norden oben oder Laufrichtung oben',
+    'map.northUp': 'N ↑',
+    'map.headingUp': 'Kurs ↑',
+
+    'view.label': 'Ansicht:',
+    'view.readOnly': '(nur lesen)',
+    'view.follow': 'Dieser Spur folgen',
+    'view.close': 'Zurück zur Live-Spur',
+
+    'status.permissionDenied': 'Erlaubnis abgelehnt. Tippe erneut und entsperre in Safari-Einstellungen.',
+    'status.sensorsActive': 'Sensoren aktiv. Setze Startpunkt.',
+    'status.permissionError': 'Fehler bei Berechtigungen: {error}',
+    'status.floorElevator': 'Aufzug: {floor}',
+    'status.floorStairs': 'Treppe: {floor}',
+    'status.startSet': 'Startpunkt gesetzt. Lauf los.',
+    'status.reset': 'Zurückgesetzt. Sensoren aktiv.',
+    'status.needSensors': 'Bitte zuerst Sensoren erlauben.',
+    'status.needStart': 'Bitte zuerst Startpunkt setzen.',
+    'status.readOnly': 'Gespeicherte Spuren sind nur lesbar.',
+    'status.autoPauseOn': 'Auto-Pause an: Stillstand pausiert die Spur, die ersten Schritte setzen sie fort.',
+    'status.autoPauseOff': 'Auto-Pause aus.',
+    'status.autoPaused': 'Automatisch pausiert – du stehst still. Geh einfach weiter.',
+    'status.autoResumed': 'Weiter – Schritte erkannt.',
+
+    'reset.title': 'Zurücksetzen?',
+    'reset.text': 'Die aktuelle Spur wird gelöscht.',
+    'reset.confirm': 'Ja, zurücksetzen',
+
+    'edit.stepCount': 'Anzahl Schritte',
+    'edit.undoSteps': 'Schritte zurücknehmen',
+    'edit.delete': 'Abschnitt löschen',
+    'edit.trim': 'Auf Auswahl kürzen',
+    'edit.undo': 'Rückgängig',
+    'edit.redo': 'Wiederholen',
+    'edit.done': 'Fertig',
+    'edit.started': 'Bearbeiten: Aufzeichnung pausiert.',
+    'edit.finished': 'Bearbeiten beendet.',
+    'edit.hintRange': 'Abschnitt gewählt. Tippe erneut, um neu zu wählen.',
+    'edit.hintEnd': 'Tippe auf das Ende des Abschnitts.',
+    'edit.hintStart': 'Positionsmarker ziehen oder zwei Punkte der Spur antippen.',
+    'edit.moved': 'Position verschoben',
+    'edit.stepsUndone': { one: '1 Schritt zurückgenommen', other: '{count} Schritte zurückgenommen' },
+    'edit.deleted': 'Abschnitt gelöscht',
+    'edit.trimmed': 'Spur gekürzt',
+    'edit.undone': 'Rückgängig: {label}',
+    'edit.redone': 'Wiederholt: {label}',
+
+    'playback.play': 'Abspielen',
+    'playback.pause': 'Pause',
+    'playback.seek': 'Wiedergabeposition',
+    'playback.speed': 'Geschwindigkeit',
+    'playback.export': 'Als Video',
+    'playback.nothing': 'Keine Spur zum Abspielen.',
+    'playback.videoUnsupported': 'Videoexport wird von diesem Browser nicht unterstützt.',
+    'playback.videoFileName': 'brodkrumen-wiedergabe-{stamp}.webm',
+    'playback.videoRecording': 'Video wird aufgenommen …',
+    'playback.videoExported': 'Video exportiert.',
+
+    'calib.title': 'Kalibrieren',
+    'calib.intro': 'Geh eine bekannte Strecke, z. B. zwischen zwei markierten Punkten: Start am ersten Punkt, Stop am zweiten, dann die Strecke eintragen. Mehrere Läufe in unterschiedlichem Tempo verbessern das Modell.',
+    'calib.profile': 'Profil',
+    'calib.newProfile': 'Neues Profil',
+    'calib.addProfile': 'Anlegen',
+    'calib.defaultProfile': 'Standard',
+    'calib.steps': 'Schritte:',
+    'calib.time': 'Zeit:',
+    'calib.distance': 'Gelaufene Strecke ({unit})',
+    'calib.distanceExample': 'z. B. {value}',
+    'calib.adaptive': 'Schrittlänge an Tempo anpassen',
+    'calib.start': 'Start',
+    'calib.stop': 'Stop',
+    'calib.notCalibrated': 'Noch nicht kalibriert – feste Schrittlänge {length}.',
+    'calib.runs': { one: '1 Lauf', other: '{count} Läufe' },
+    'calib.model': '{runs} · Ø {length} bei {cadence} Schritten/min',
+    'calib.paceDependent': ' · tempoabhängig',
+    'calib.profileNameMissing': 'Bitte einen Profilnamen eingeben.',
+    'calib.running': 'Kalibrierung läuft … Gehe normal bis zum Zielpunkt.',
+    'calib.enterDistance': 'Strecke eintragen und übernehmen.',
+    'calib.noSteps': 'Keine Schritte erkannt.',
+    'calib.distanceMissing': 'Bitte die gelaufene Strecke in {unit} eintragen.',
+    'calib.tooFewSteps': 'Zu wenige Schritte für eine Kalibrierung.',
+    'calib.done': 'Schrittlänge kalibriert: Ø {length} ({profile})',
+
+    'record.running': 'Sensoraufnahme läuft …',
+    'record.saved': 'Aufnahme gespeichert: {count} Messwerte.',
+    'record.replayed': 'Wiedergabe: {steps} Schritte, {distance}, Ende bei ({x}, {y})',
+    'record.stopFirst': 'Erst die Aufnahme stoppen.',
+    'record.replayFailed': 'Wiedergabe fehlgeschlagen: {error}',
+
+    'library.title': 'Gespeicherte Spuren',
+    'library.defaultName': 'Spur {date}',
+    'library.nothingToSave': 'Keine Spur zum Speichern.',
+    'library.saved': 'Spur gespeichert.',
+    'library.saveFailed': 'Speichern fehlgeschlagen: {error}',
+    'library.previousSaved': 'Vorherige Spur gespeichert. {status}',
+    'library.previousNotSaved': 'Vorherige Spur nicht gespeichert ({error}). {status}',
+    'library.unavailable': 'Bibliothek nicht verfügbar: {error}',
+    'library.empty': 'Noch keine Spuren gespeichert.',
+    'library.name': 'Name der Spur',
+    'library.meta': '{date} · {distance} · {steps} Schritte · {duration}',
+    'library.open': 'Öffnen',
+    'library.rename': 'Umbenennen',
+    'library.confirmDelete': 'Wirklich löschen?',
+    'library.renamed': 'Spur umbenannt.',
+    'library.renameFailed': 'Umbenennen fehlgeschlagen: {error}',
+    'library.deleteFailed': 'Löschen fehlgeschlagen: {error}',
+    'library.notFound': 'Spur nicht gefunden.',
+    'library.viewing': 'Ansicht: {name} (nur lesen). Aufzeichnung läuft im Hintergrund weiter.',
+    'library.openFailed': 'Öffnen fehlgeschlagen: {error}',
+
+    'stats.title': 'Statistik',
+    'stats.altitude': 'Höhe (relativ)',
+    'stats.distanceOverTime': 'Strecke über die Zeit',
+    'stats.splits': 'Zwischenzeiten',
+    'stats.splitByDistance': 'je {length}',
+    'stats.splitByTime': 'je Minute',
+    'stats.cadence': '{value} Schritte/min',
+    'stats.noAltitude': 'Keine Höhendaten.',
+    'stats.noTimes': 'Keine Zeitangaben.',
+    'stats.distance': 'Strecke',
+    'stats.steps': 'Schritte',
+    'stats.elapsed': 'Gesamtzeit',
+    'stats.moving': 'In Bewegung',
+    'stats.paused': 'Pausiert',
+    'stats.avgPace': 'Tempo (Schnitt)',
+    'stats.currentPace': 'Tempo (aktuell)',
+    'stats.avgCadence': 'Kadenz (Schnitt)',
+    'stats.currentCadence': 'Kadenz (aktuell)',
+    'stats.noSplits': 'Noch keine Zwischenzeiten.',
+    'stats.untimedSplits': 'Ohne Zeitangaben keine Zwischenzeiten.',
+    'stats.time': 'Zeit',
+    'stats.pace': 'Tempo',
+    'stats.nothing': 'Keine Spur für eine Statistik.',
+
+    'share.title': 'Spur teilen',
+    'share.intro': 'Den Code mit der Kamera des anderen Handys scannen oder den Link schicken. Ist die App dort installiert, klappt der Import ohne Netz.',
+    'share.link': 'Link',
+    'share.copy': 'Link kopieren',
+    'share.send': 'Senden …',
+    'share.scan': 'Code scannen',
+    'share.scanStop': 'Scannen beenden',
+    'share.nothing': 'Keine Spur zum Teilen.',
+    'share.simplified': 'Für den QR-Code vereinfacht (Abweichung bis {tolerance}). Der Link enthält die volle Spur.',
+    'share.tooLong': 'Die Spur ist zu lang für einen QR-Code. Bitte den Link teilen.',
+    'share.copied': 'Link kopiert.',
+    'share.selected': 'Link markiert – bitte kopieren.',
+    'share.sendTitle': 'Brodkrumen-Spur',
+    'share.noScanner': 'Dieser Browser kann keine Codes scannen. Bitte die Kamera-App verwenden – der Link öffnet Brodkrumen.',
+    'share.importFailed': 'Import fehlgeschlagen: {error}',
+    'share.defaultName': 'Geteilte Spur',
+    'share.imported': 'Spur importiert: {name} (nur lesen).',
+
+    'route.retraceLabel': 'Rückweg (Spur)',
+    'route.followLabel': 'Entlang „{name}“',
+    'route.stop': 'Führung beenden',
+    'route.info': 'Punkt {point}/{count} · {percent} % · noch {remaining} · Abweichung {offset}',
+    'route.nextTurn': ' · in {distance} {turn}',
+    'route.offRoute': ' · abseits der Spur!',
+    'route.noTrack': 'Keine Spur für den Rückweg.',
+    'route.pointReached': 'Punkt {point}/{count} erreicht.',
+    'route.offTrack': 'Abseits der Spur ({distance}). Folge dem blauen Pfeil.',
+    'route.backOnTrack': 'Wieder auf der Spur.',
+    'route.startReached': 'Startpunkt erreicht.',
+    'route.retraceStarted': 'Rückweg entlang der Spur: {count} Abschnitte, {distance}.',
+    'route.followTooShort': 'Die Spur ist zu kurz zum Folgen.',
+    'route.offFollowed': 'Abseits von „{name}“ ({distance}). Folge dem blauen Pfeil.',
+    'route.goal': 'Ziel',
+    'route.followArrived': 'Ende von „{name}“ erreicht.',
+    'route.followStarted': 'Stell dich an den Anfang von „{name}“ und lauf los: {distance}.',
+    'turn.right': 'rechts',
+    'turn.left': 'links',
+    'turn.sharp': 'scharf {side}',
+    'turn.slight': 'leicht {side}',
+
+    'cues.title': 'Ansagen',
+    'cues.intro': 'Sprach- und Vibrationshinweise beim Zurückführen, damit das Handy in der Tasche bleiben kann.',
+    'cues.voice': 'Sprachansagen',
+    'cues.vibration': 'Vibration (kurz-kurz = links, lang = rechts)',
+    'cues.lang': 'Sprache',
+    'cues.interval': 'Mindestabstand zwischen Ansagen (Sekunden)',
+    'cues.repeat': 'Erinnerung ohne Änderung (Sekunden)',
+    'cues.test': 'Testen',
+    'cues.off': 'Erst Sprachansagen oder Vibration einschalten.',
+
+    'carry.title': 'Trageweise',
+    'carry.intro': 'Wo steckt das Handy? In Tasche oder Hosentasche wird die Gehrichtung aus dem Schrittmuster geschätzt.',
+    'carry.mode': 'Trageweise',
+    'carry.offset': 'Richtungskorrektur (°, im Uhrzeigersinn)',
+    'carry.declination': 'Missweisung (°, Ost positiv)',
+    'carry.hand': 'In der Hand',
+    'carry.pocket': 'Hosentasche',
+    'carry.bag': 'Tasche / Rucksack',
+    'carry.fixed': 'Gehrichtung = Richtung der Handy-Oberkante.',
+    'carry.estimating': 'Gehrichtung wird nach einigen Schritten geschätzt …',
+    'carry.estimated': 'Geschätzte Gehrichtung: {offset}° zur Handy-Ausrichtung',
+
+    'waypoint.title': 'Wegpunkt setzen',
+    'waypoint.name': 'Name',
+    'waypoint.namePlaceholder': 'z. B. Abzweigung',
+    'waypoint.note': 'Notiz (optional)',
+    'waypoint.start': 'Start',
+    'waypoint.defaultName': 'Wegpunkt {id}',
+    'waypoint.target': 'Ziel',
+    'waypoint.targetActive': 'Ziel ✓',
+    'waypoint.here': 'Bin hier',
+    'waypoint.hereTitle': 'Position hier festlegen und Drift der Spur korrigieren',
+    'waypoint.remove': 'Wegpunkt {name} löschen',
+    'waypoint.set': 'Wegpunkt gesetzt: {name}',
+    'loop.corrected': 'Drift korrigiert bei {name}: {correction}',
+    'loop.course': ' · Kurs {deg}°',
+    'loop.scale': ' · Schrittlänge ×{scale}',
+    'loop.impossible': 'Drift-Korrektur nicht möglich.',
+
+    'geo.title': 'Geo-Anker',
+    'geo.intro': 'Verortet den Startpunkt, damit die Spur als GPX/GeoJSON exportiert werden kann.',
+    'geo.lat': 'Breitengrad',
+    'geo.lon': 'Längengrad',
+    'geo.north': 'Nord-Ausrichtung (° im Uhrzeigersinn)',
+    'geo.useGps': 'GPS übernehmen',
+    'geo.clear': 'Entfernen',
+    'geo.locating': 'Startpunkt gesetzt. Suche GPS-Position …',
+    'geo.located': 'Startpunkt verortet (±{accuracy}). Lauf los.',
+    'geo.locateFailed': 'GPS-Verortung fehlgeschlagen: {error}',
+    'geo.searching': 'Suche GPS-Position …',
+    'geo.applied': 'GPS-Position übernommen (±{accuracy}).',
+    'geo.unavailable': 'GPS nicht verfügbar: {error}',
+    'geo.invalid': 'Ungültige Koordinaten.',
+    'geo.set': 'Geo-Anker gesetzt.',
+    'geo.removed': 'Geo-Anker entfernt.',
+
+    'export.nothing': 'Keine Spur zum Exportieren.',
+    'export.saved': 'Export gespeichert.',
+    'export.failed': 'Export fehlgeschlagen: {error}',
+
+    'fusion.gps': 'Position: GPS + Schritte{accuracy}',
+    'fusion.stepsOnly': 'Position: nur Schritte, GPS zu ungenau{accuracy}',
+    'fusion.noGps': 'Position: nur Schritte, kein GPS',
+    'fusion.failed': 'GPS-Fusion nicht möglich: {error}',
+
+    'camera.title': 'Foto aufnehmen',
+    'camera.intro': 'Das Foto wird mit Position und Richtung an die Spur geheftet.',
+    'camera.capture': 'Foto aufnehmen',
+    'camera.video': 'Video',
+    'camera.videoStop': 'Stop',
+    'camera.unavailable': 'Kamera nicht verfügbar: {error}',
+    'camera.notReady': 'Kamera noch nicht bereit.',
+    'camera.encodeFailed': 'Bild konnte nicht erzeugt werden.',
+    'camera.videoRecording': 'Videoaufnahme läuft …',
+    'camera.videoSaved': 'Video gespeichert.',
+    'camera.videoUnavailable': 'Video nicht verfügbar: {error}',
+    'photo.title': 'Foto',
+    'photo.alt': 'Foto an der Spur',
+    'photo.saved': 'Foto an der Spur gespeichert.',
+    'photo.failed': 'Foto fehlgeschlagen: {error}',
+    'photo.missing': 'Foto nicht mehr vorhanden.',
+    'photo.direction': 'Richtung {deg}°',
+    'photo.away': '{distance} entfernt',
+    'photo.unavailable': 'Foto kann nicht angezeigt werden: {error}',
+    'photo.removed': 'Foto entfernt.',
+
+    'a11y.canvas': 'Karte der Spur. Pfeiltasten verschieben, Plus und Minus zoomen, 0 passt ein, F folgt, Eingabe schaltet auf Vollbild.',
+    'a11y.guidance': '{label}: {distance}, {direction}.',
+    'a11y.clock': 'auf {clock} Uhr',
+    'a11y.compass': 'Richtung {compass}',
+    'a11y.heading': 'Du gehst nach {compass} ({heading}°).',
+    'a11y.noHeading': 'Noch keine Richtung.',
+    'a11y.noOrigin': 'Noch kein Startpunkt gesetzt.',
+    'a11y.arrived': '{label}: erreicht.',
+    'compass.n': 'Norden',
+    'compass.ne': 'Nordosten',
+    'compass.e': 'Osten',
+    'compass.se': 'Südosten',
+    'compass.s': 'Süden',
+    'compass.sw': 'Südwesten',
+    'compass.w': 'Westen',
+    'compass.nw': 'Nordwesten',
+    'describe.title': 'Spur als Text',
+    'describe.summary': { one: '1 Abschnitt, insgesamt {distance}.', other: '{count} Abschnitte, insgesamt {distance}.' },
+    'describe.end': 'Das Ende liegt {distance} Luftlinie in Richtung {compass} vom Start.',
+    'describe.first': '{distance} nach {compass}',
+    'describe.leg': '{turn}, dann {distance} nach {compass}',
+    'describe.floor': ' · {floor}',
+    'describe.photo': 'Foto ansehen',
+    'describe.empty': 'Die Spur ist noch leer.',
+
+    'update.available': 'Neue Version verfügbar. Die Spur bleibt beim Neuladen erhalten.',
+    'update.reload': 'Neu laden',
+    'update.later': 'Später',
+    'update.busy': 'Erst Aufnahme oder Video beenden, dann neu laden.',
+    'offline.ready': 'Offline bereit',
+    'offline.missing': { one: 'Offline unvollständig: 1 Datei fehlt', other: 'Offline unvollständig: {count} Dateien fehlen' },
+    'offline.unavailable': 'Offline nicht verfügbar',
+
+    'error.noLocation': 'Standort nicht verfügbar.',
+    'error.noAnchor': 'Kein Geo-Anker gesetzt.',
+    'error.noStorage': 'IndexedDB nicht verfügbar.',
+    'error.trackNotFound': 'Spur nicht gefunden.',
+    'error.sessionJson': 'Keine gültige JSON-Datei.',
+    'error.sessionFormat': 'Keine Brodkrumen-Aufnahme.',
+    'error.sessionVersion': 'Nicht unterstützte Version {version}.',
+    'error.sessionEmpty': 'Aufnahme enthält keine Messwerte.',
+    'error.shareChars': 'Freigabe-Daten enthalten ungültige Zeichen.',
+    'error.shareCorrupt': 'Freigabe-Daten sind beschädigt.',
+    'error.shareTruncated': 'Freigabe-Daten sind unvollständig.',
+    'error.shareChecksum': 'Freigabe-Daten sind beschädigt (Prüfsumme falsch).',
+    'error.shareVersion': 'Freigabe-Format Version {version} wird nicht unterstützt. Bitte die App aktualisieren.',
+    'error.shareNoTrack': 'Freigabe enthält keine gültige Spur.',
+    'error.qrLevel': 'Unbekannte Fehlerkorrekturstufe: {level}',
+    'error.qrTooLong': 'Zu viele Daten für einen QR-Code.',
+  },
+
+  en: {
+    'app.ready': 'Ready',
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.apply': 'Apply',
+    'common.save': 'Save',
+    'common.delete': 'Delete',
+    'common.auto': 'Automatic',
+
+    'btn.permissions': 'Allow sensors',
+    'btn.start': 'Set start point',
+    'btn.reset': 'Reset',
+    'btn.calibrate': 'Calibrate',
+    'btn.guide': 'Back to start',
+    'btn.guideOn': 'Back to start (on)',
+    'btn.retrace': 'Retrace the track',
+    'btn.retraceOn': 'Retrace the track (on)',
+    'btn.cues': 'Voice cues …',
+    'btn.carry': 'Carrying …',
+    'btn.pause': 'Pause',
+    'btn.resume': 'Resume',
+    'btn.waypoint': 'Add waypoint',
+    'btn.camera': 'Photo …',
+    'btn.playback': 'Replay',
+    'btn.stats': 'Statistics …',
+    'btn.edit': 'Edit track',
+    'btn.closeLoop': 'Arrived at target',
+    'btn.closeLoopTitle': 'Confirms that you are standing at the target (start or waypoint) and corrects the drift of the track',
+    'btn.saveTrack': 'Save track',
+    'btn.library': 'Tracks …',
+    'btn.record': 'Start recording',
+    'btn.recordStop': 'Stop recording',
+    'btn.replay': 'Replay recording',
+    'btn.geo': 'Geo anchor …',
+    'btn.exportGpx': 'Export GPX',
+    'btn.exportGeoJson': 'Export GeoJSON',
+    'btn.share': 'Share / import …',
+    'btn.announce': 'Announce position',
+    'btn.describe': 'Track as text …',
+
+    'settings.autoPause': 'Pause automatically while I stand still',
+    'settings.geoAuto': 'Locate the start point by GPS',
+    'settings.gpsFusion': 'GPS fusion (outdoors)',
+    'settings.stepLength': 'Step length ({unit})',
+    'settings.floorView': 'Floor view',
+    'settings.sensitivity': 'Step sensitivity:',
+    'settings.language': 'Language',
+    'settings.units': 'Units',
+    'settings.metric': 'Metric (m, km)',
+    'settings.imperial': 'Imperial (ft, yd, mi)',
+    'settings.contrast': 'High contrast, large text',
+
+    'info.distance': 'Distance (total):',
+    'info.heading': 'Heading:',
+    'info.steps': 'Steps:',
+    'info.altitude': 'Altitude (relative):',
+    'info.loop': 'Drift correction:',
+    'info.geoAnchor': 'Geo anchor:',
+    'target.start': 'To start',
+    'target.waypoint': 'To {name}',
+
+    'activity.standing': 'Standing',
+    'activity.walking': 'Walking',
+    'activity.running': 'Running',
+    'activity.stairs': 'Stairs',
+    'activity.elevator': 'Elevator',
+    'activity.mostly': 'mostly {activity}',
+    'heading.disturbed': 'Magnetic interference',
+    'heading.high': 'reliable',
+    'heading.medium': 'imprecise',
+    'heading.low': 'unreliable',
+    'floor.all': 'All floors (stacked)',
+    'floor.current': 'Current floor',
+    'floor.start': 'Floor 0 (start)',
+    'floor.level': 'Floor {floor}',
+
+    'hud.steps': 'Steps: {steps} · {distance}',
+    'hud.time': 'Time: {at} / {duration}',
+    'hud.heading': 'Heading: {heading}',
+
+    'map.zoomIn': 'Zoom in',
+    'map.zoomOut': 'Zoom out',
+    'map.fit': 'Fit',
+    'map.fitTitle': 'Show the whole track',
+    'map.follow': 'Follow',
+    'map.followTitle': 'Keep the current position centred',
+    'map.rotateTitle': 'North up or walking direction up',
+    'map.northUp': 'N ↑',
+    'map.headingUp': 'Course ↑',
+
+    'view.label': 'Viewing:',
+    'view.readOnly': '(read-only)',
+    'view.follow': 'Follow this track',
+    'view.close': 'Back to the live track',
+
+    'status.permissionDenied': 'Permission denied. Tap again and allow it in the Safari settings.',
+    'status.sensorsActive': 'Sensors active. Set the start point.',
+    'status.permissionError': 'Permission error: {error}',
+    'status.floorElevator': 'Elevator: {floor}',
+    'status.floorStairs': 'Stairs: {floor}',
+    'status.startSet': 'Start point set. Off you go.',
+    'status.reset': 'Reset. Sensors active.',
+    'status.needSensors': 'Please allow the sensors first.',
+    'status.needStart': 'Please set the start point first.',
+    'status.readOnly': 'Saved tracks are read-only.',
+    'status.autoPauseOn': 'Auto-pause on: standing still pauses the track, the first steps resume it.',
+    'status.autoPauseOff': 'Auto-pause off.',
+    'status.autoPaused': 'Paused automatically – you are standing still. Just walk on.',
+    'status.autoResumed': 'Resumed – steps detected.',
+
+    'reset.title': 'Reset?',
+    'reset.text': 'The current track will be deleted.',
+    'reset.confirm': 'Yes, reset',
+
+    'edit.stepCount': 'Number of steps',
+    'edit.undoSteps': 'Take back steps',
+    'edit.delete': 'Delete stretch',
+    'edit.trim': 'Trim to selection',
+    'edit.undo': 'Undo',
+    'edit.redo': 'Redo',
+    'edit.done': 'Done',
+    'edit.started': 'Editing: recording paused.',
+    'edit.finished': 'Editing finished.',
+    'edit.hintRange': 'Stretch selected. Tap again to choose a new one.',
+    'edit.hintEnd': 'Tap the end of the stretch.',
+    'edit.hintStart': 'Drag the position marker or tap two points of the track.',
+    'edit.moved': 'Position moved',
+    'edit.stepsUndone': { one: '1 step taken back', other: '{count} steps taken back' },
+    'edit.deleted': 'Stretch deleted',
+    'edit.trimmed': 'Track trimmed',
+    'edit.undone': 'Undone: {label}',
+    'edit.redone': 'Redone: {label}',
+
+    'playback.play': 'Play',
+    'playback.pause': 'Pause',
+    'playback.seek': 'Replay position',
+    'playback.speed': 'Speed',
+    'playback.export': 'As video',
+    'playback.nothing': 'No track to replay.',
+    'playback.videoUnsupported': 'This browser cannot export video.',
+    'playback.videoFileName': 'brodkrumen-playback-{stamp}.webm',
+    'playback.videoRecording': 'Recording video …',
+    'playback.videoExported': 'Video exported.',
+
+    'calib.title': 'Calibrate',
+    'calib.intro': 'Walk a known distance, e.g. between two marked points: Start at the first point, Stop at the second, then enter the distance. Several runs at different paces improve the model.',
+    'calib.profile': 'Profile',
+    'calib.newProfile': 'New profile',
+    'calib.addProfile': 'Add',
+    'calib.defaultProfile': 'Default',
+    'calib.steps': 'Steps:',
+    'calib.time': 'Time:',
+    'calib.distance': 'Distance walked ({unit})',
+    'calib.distanceExample': 'e.g. {value}',
+    'calib.adaptive': 'Adapt the step length to the pace',
+    'calib.start': 'Start',
+    'calib.stop': 'Stop',
+    'calib.notCalibrated': 'Not calibrated yet – fixed step length {length}.',
+    'calib.runs': { one: '1 run', other: '{count} runs' },
+    'calib.model': '{runs} · avg {length} at {cadence} steps/min',
+    'calib.paceDependent': ' · pace-dependent',
+    'calib.profileNameMissing': 'Please enter a profile name.',
+    'calib.running': 'Calibrating … walk normally to the end point.',
+    'calib.enterDistance': 'Enter the distance and apply.',
+    'calib.noSteps': 'No steps detected.',
+    'calib.distanceMissing': 'Please enter the distance walked in {unit}.',
+    'calib.tooFewSteps': 'Too few steps for a calibration.',
+    'calib.done': 'Step length calibrated: avg {length} ({profile})',
+
+    'record.running': 'Recording sensors …',
+    'record.saved': 'Recording saved: {count} samples.',
+    'record.replayed': 'Replay: {steps} steps, {distance}, ending at ({x}, {y})',
+    'record.stopFirst': 'Stop the recording first.',
+    'record.replayFailed': 'Replay failed: {error}',
+
+    'library.title': 'Saved tracks',
+    'library.defaultName': 'Track {date}',
+    'library.nothingToSave': 'No track to save.',
+    'library.saved': 'Track saved.',
+    'library.saveFailed': 'Saving failed: {error}',
+    'library.previousSaved': 'Previous track saved. {status}',
+    'library.previousNotSaved': 'Previous track not saved ({error}). {status}',
+    'library.unavailable': 'Library not available: {error}',
+    'library.empty': 'No saved tracks yet.',
+    'library.name': 'Track name',
+    'library.meta': '{date} · {distance} · {steps} steps · {duration}',
+    'library.open': 'Open',
+    'library.rename': 'Rename',
+    'library.confirmDelete': 'Really delete?',
+    'library.renamed': 'Track renamed.',
+    'library.renameFailed': 'Renaming failed: {error}',
+    'library.deleteFailed': 'Deleting failed: {error}',
+    'library.notFound': 'Track not found.',
+    'library.viewing': 'Viewing: {name} (read-only). Recording continues in the background.',
+    'library.openFailed': 'Opening failed: {error}',
+
+    'stats.title': 'Statistics',
+    'stats.altitude': 'Altitude (relative)',
+    'stats.distanceOverTime': 'Distance over time',
+    'stats.splits': 'Splits',
+    'stats.splitByDistance': 'every {length}',
+    'stats.splitByTime': 'every minute',
+    'stats.cadence': '{value} steps/min',
+    'stats.noAltitude': 'No altitude data.',
+    'stats.noTimes': 'No timestamps.',
+    'stats.distance': 'Distance',
+    'stats.steps': 'Steps',
+    'stats.elapsed': 'Total time',
+    'stats.moving': 'Moving',
+    'stats.paused': 'Paused',
+    'stats.avgPace': 'Pace (average)',
+    'stats.currentPace': 'Pace (current)',
+    'stats.avgCadence': 'Cadence (average)',
+    'stats.currentCadence': 'Cadence (current)',
+    'stats.noSplits': 'No splits yet.',
+    'stats.untimedSplits': 'No splits without timestamps.',
+    'stats.time': 'Time',
+    'stats.pace': 'Pace',
+    'stats.nothing': 'No track for statistics.',
+
+    'share.title': 'Share track',
+    'share.intro': 'Scan the code with the other phone\'s camera or send the link. If the app is installed there, the import works without a network.',
+    'share.link': 'Link',
+    'share.copy': 'Copy link',
+    'share.send': 'Send …',
+    'share.scan': 'Scan code',
+    'share.scanStop': 'Stop scanning',
+    'share.nothing': 'No track to share.',
+    'share.simplified': 'Simplified for the QR code (off by up to {tolerance}). The link has the full track.',
+    'share.tooLong': 'The track is too long for a QR code. Please share the link.',
+    'share.copied': 'Link copied.',
+    'share.selected': 'Link selected – please copy it.',
+    'share.sendTitle': 'Brodkrumen track',
+    'share.noScanner': 'This browser cannot scan codes. Please use the camera app – the link opens Brodkrumen.',
+    'share.importFailed': 'Import failed: {error}',
+    'share.defaultName': 'Shared track',
+    'share.imported': 'Track imported: {name} (read-only).',
+
+    'route.retraceLabel': 'Way back (track)',
+    'route.followLabel': 'Along “{name}”',
+    'route.stop': 'Stop guidance',
+    'route.info': 'Point {point}/{count} · {percent} % · {remaining} to go · off by {offset}',
+    'route.nextTurn': ' · {turn} in {distance}',
+    'route.offRoute': ' · off the track!',
+    'route.noTrack': 'No track to retrace.',
+    'route.pointReached': 'Point {point}/{count} reached.',
+    'route.offTrack': 'Off the track ({distance}). Follow the blue arrow.',
+    'route.backOnTrack': 'Back on the track.',
+    'route.startReached': 'Start point reached.',
+    'route.retraceStarted': 'Retracing the track: {count} legs, {distance}.',
+    'route.followTooShort': 'The track is too short to follow.',
+    'route.offFollowed': 'Off “{name}” ({distance}). Follow the blue arrow.',
+    'route.goal': 'Destination',
+    'route.followArrived': 'Reached the end of “{name}”.',
+    'route.followStarted': 'Stand at the start of “{name}” and walk: {distance}.',
+    'turn.right': 'right',
+    'turn.left': 'left',
+    'turn.sharp': 'sharp {side}',
+    'turn.slight': 'slight {side}',
+
+    'cues.title': 'Voice cues',
+    'cues.intro': 'Spoken and vibration prompts while guiding back, so the phone can stay in the pocket.',
+    'cues.voice': 'Spoken prompts',
+    'cues.vibration': 'Vibration (short-short = left, long = right)',
+    'cues.lang': 'Language',
+    'cues.interval': 'Minimum gap between prompts (seconds)',
+    'cues.repeat': 'Reminder while nothing changes (seconds)',
+    'cues.test': 'Test',
+    'cues.off': 'Turn on spoken prompts or vibration first.',
+
+    'carry.title': 'Carrying',
+    'carry.intro': 'Where is the phone? In a bag or trouser pocket the walking direction is estimated from the step pattern.',
+    'carry.mode': 'Carried',
+    'carry.offset': 'Direction correction (°, clockwise)',
+    'carry.declination': 'Magnetic declination (°, east positive)',
+    'carry.hand': 'In the hand',
+    'carry.pocket': 'Trouser pocket',
+    'carry.bag': 'Bag / backpack',
+    'carry.fixed': 'Walking direction = direction of the top edge of the phone.',
+    'carry.estimating': 'The walking direction is estimated after a few steps …',
+    'carry.estimated': 'Estimated walking direction: {offset}° from the phone orientation',
+
+    'waypoint.title': 'Add waypoint',
+    'waypoint.name': 'Name',
+    'waypoint.namePlaceholder': 'e.g. junction',
+    'waypoint.note': 'Note (optional)',
+    'waypoint.start': 'Start',
+    'waypoint.defaultName': 'Waypoint {id}',
+    'waypoint.target': 'Target',
+    'waypoint.targetActive': 'Target ✓',
+    'waypoint.here': 'I\'m here',
+    'waypoint.hereTitle': 'Set the position here and correct the drift of the track',
+    'waypoint.remove': 'Delete waypoint {name}',
+    'waypoint.set': 'Waypoint added: {name}',
+    'loop.corrected': 'Drift corrected at {name}: {correction}',
+    'loop.course': ' · course {deg}°',
+    'loop.scale': ' · step length ×{scale}',
+    'loop.impossible': 'Drift correction not possible.',
+
+    'geo.title': 'Geo anchor',
+    'geo.intro': 'Places the start point on the map so the track can be exported as GPX/GeoJSON.',
+    'geo.lat': 'Latitude',
+    'geo.lon': 'Longitude',
+    'geo.north': 'North offset (° clockwise)',
+    'geo.useGps': 'Use GPS',
+    'geo.clear': 'Remove',
+    'geo.locating': 'Start point set. Looking for a GPS position …',
+    'geo.located': 'Start point located (±{accuracy}). Off you go.',
+    'geo.locateFailed': 'GPS positioning failed: {error}',
+    'geo.searching': 'Looking for a GPS position …',
+    'geo.applied': 'GPS position applied (±{accuracy}).',
+    'geo.unavailable': 'GPS not available: {error}',
+    'geo.invalid': 'Invalid coordinates.',
+    'geo.set': 'Geo anchor set.',
+    'geo.removed': 'Geo anchor removed.',
+
+    'export.nothing': 'No track to export.',
+    'export.saved': 'Export saved.',
+    'export.failed': 'Export failed: {error}',
+
+    'fusion.gps': 'Position: GPS + steps{accuracy}',
+    'fusion.stepsOnly': 'Position: steps only, GPS too imprecise{accuracy}',
+    'fusion.noGps': 'Position: steps only, no GPS',
+    'fusion.failed': 'GPS fusion not possible: {error}',
+
+    'camera.title': 'Take photo',
+    'camera.intro': 'The photo is pinned to the track with position and direction.',
+    'camera.capture': 'Take photo',
+    'camera.video': 'Video',
+    'camera.videoStop': 'Stop',
+    'camera.unavailable': 'Camera not available: {error}',
+    'camera.notReady': 'Camera not ready yet.',
+    'camera.encodeFailed': 'Could not create the image.',
+    'camera.videoRecording': 'Recording video …',
+    'camera.videoSaved': 'Video saved.',
+    'camera.videoUnavailable': 'Video not available: {error}',
+    'photo.title': 'Photo',
+    'photo.alt': 'Photo on the track',
+    'photo.saved': 'Photo pinned to the track.',
+    'photo.failed': 'Photo failed: {error}',
+    'photo.missing': 'Photo no longer available.',
+    'photo.direction': 'Facing {deg}°',
+    'photo.away': '{distance} away',
+    'photo.unavailable': 'Cannot show the photo: {error}',
+    'photo.removed': 'Photo removed.',
+
+    'a11y.canvas': 'Track map. Arrow keys pan, plus and minus zoom, 0 fits the track, F follows, Enter toggles fullscreen.',
+    'a11y.guidance': '{label}: {distance}, {direction}.',
+    'a11y.clock': 'at {clock} o’clock',
+    'a11y.compass': 'towards {compass}',
+    'a11y.heading': 'You are heading {compass} ({heading}°).',
+    'a11y.noHeading': 'No heading yet.',
+    'a11y.noOrigin': 'No starting point set yet.',
+    'a11y.arrived': '{label}: reached.',
+    'compass.n': 'north',
+    'compass.ne': 'north-east',
+    'compass.e': 'east',
+    'compass.se': 'south-east',
+    'compass.s': 'south',
+    'compass.sw': 'south-west',
+    'compass.w': 'west',
+    'compass.nw': 'north-west',
+    'describe.title': 'Track as text',
+    'describe.summary': { one: '1 leg, {distance} in total.', other: '{count} legs, {distance} in total.' },
+    'describe.end': 'The end is {distance} in a straight line {compass} of the start.',
+    'describe.first': '{distance} heading {compass}',
+    'describe.leg': '{turn}, then {distance} heading {compass}',
+    'describe.floor': ' · {floor}',
+    'describe.photo': 'View photo',
+    'describe.empty': 'The track is still empty.',
+
+    'update.available': 'A new version is available. Your track is kept when reloading.',
+    'update.reload': 'Reload',
+    'update.later': 'Later',
+    'update.busy': 'Stop the recording or video first, then reload.',
+    'offline.ready': 'Ready offline',
+    'offline.missing': { one: 'Not fully offline: 1 file missing', other: 'Not fully offline: {count} files missing' },
+    'offline.unavailable': 'Not available offline',
+
+    'error.noLocation': 'Location not available.',
+    'error.noAnchor': 'No geo anchor set.',
+    'error.noStorage': 'IndexedDB not available.',
+    'error.trackNotFound': 'Track not found.',
+    'error.sessionJson': 'Not a valid JSON file.',
+    'error.sessionFormat': 'Not a Brodkrumen recording.',
+    'error.sessionVersion': 'Unsupported version {version}.',
+    'error.sessionEmpty': 'The recording contains no sensor readings.',
+    'error.shareChars': 'The shared data contains invalid characters.',
+    'error.shareCorrupt': 'The shared data is corrupted.',
+    'error.shareTruncated': 'The shared data is incomplete.',
+    'error.shareChecksum': 'The shared data is corrupted (checksum mismatch).',
+    'error.shareVersion': 'Share format version {version} is not supported. Please update the app.',
+    'error.shareNoTrack': 'The share contains no valid track.',
+    'error.qrLevel': 'Unknown error correction level: {level}',
+    'error.qrTooLong': 'Too much data for a QR code.',
+  },
+};
+
+// 'auto' follows the browser language, falling back to German
+export function pickLocale(pref, navigatorLanguage) {
+  if (pref && MESSAGES[pref]) return pref;
+  const base = String(navigatorLanguage || '').slice(0, 2).toLowerCase();
+  return MESSAGES[base] ? base : 'de';
+}
+
+// BCP 47 tag for dates and numbers: the browser's own tag when it matches the locale
+// (en-US keeps its date order), otherwise a sensible default
+export function localeTag(locale, navigatorLanguage) {
+  const nav = String(navigatorLanguage || '');
+  if (nav.slice(0, 2).toLowerCase() === locale) return nav;
+  return locale === 'en' ? 'en-GB' : 'de-DE';
+}
+
+// t(key, params) for one locale
+export function createTranslator(locale) {
+  const messages = MESSAGES[locale] || MESSAGES.de;
+  return function t(key, params = {}) {
+    let msg = key in messages ? messages[key] : MESSAGES.de[key];
+    if (msg == null) return key;
+    if (typeof msg === 'object') msg = params.count === 1 ? msg.one : msg.other;
+    return msg.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+}
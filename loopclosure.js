@@ -0,0 +1,113 @@
+// Loop closure: when the walker confirms being back at a known point (the start or a waypoint),
+// the distance between that point and the dead-reckoned position is accumulated error. It is
+// spread back over the path walked since the point was last known, as a heading drift that grows
+// linearly with the distance walked plus a step length scale:
+//   p'(s) = p₀ + k · Σ R(δ · s/S) · dᵢ
+// δ and k are fitted so the path ends as close to the fix as they can bring it; what is left, or
+// all of the error where the fit fails or comes out implausible, is shifted out linearly along
+// the path. No DOM access.
+
+const MAX_DRIFT_DEG = 60;
+const MIN_SCALE = 0.6;
+const MAX_SCALE = 1.4;
+const MIN_LENGTH = 2; // m of path below which only a shift is applied
+const SCALE_MIN_SPAN = 0.25; // of the walked length between the known points before k is fitted
+
+function rotate(v, rad) {
+  const c = Math.cos(rad);
+  const s = Math.sin(rad);
+  return { x: v.x * c - v.y * s, y: v.x * s + v.y * c };
+}
+
+// Steps of the segment with their position along it (0..1, at the step's middle)
+function segmentSteps(points, fromIndex) {
+  const steps = [];
+  let length = 0;
+  for (let i = fromIndex + 1; i < points.length; i++) {
+    const d = { x: points[i].x - points[i - 1].x, y: points[i].y - points[i - 1].y };
+    const len = Math.hypot(d.x, d.y);
+    steps.push({ d, mid: length + len / 2 });
+    length += len;
+  }
+  for (const s of steps) s.s = length > 0 ? s.mid / length : 0;
+  return { steps, length };
+}
+
+// End offset of the corrected segment relative to its first point, and its derivative in δ
+function walk(steps, drift, scale) {
+  let x = 0, y = 0, dx = 0, dy = 0;
+  for (const { d, s } of steps) {
+    const r = rotate(d, drift * s);
+    x += scale * r.x;
+    y += scale * r.y;
+    // d/dδ of R(δs)·d is s·R(δs + π/2)·d
+    dx -= scale * s * r.y;
+    dy += scale * s * r.x;
+  }
+  return { x, y, dx, dy };
+}
+
+// Least squares for δ and k so the segment ends at `target` (relative to its first point).
+// Around a closed loop the scale can't be observed (a scaled loop is still closed), so k is
+// only fitted when the target is a good part of the walked length away.
+function fitDrift(steps, length, target) {
+  const fitScale = Math.hypot(target.x, target.y) >= SCALE_MIN_SPAN * length;
+  let drift = 0;
+  let scale = 1;
+  for (let i = 0; i < 30; i++) {
+    const e = walk(steps, drift, scale);
+    const gx = e.x - target.x;
+    const gy = e.y - target.y;
+    const dd = e.dx * e.dx + e.dy * e.dy;
+    if (dd < 1e-12) return null;
+    drift -= (gx * e.dx + gy * e.dy) / dd; // Gauss-Newton step in δ
+    if (fitScale) {
+      const v = walk(steps, drift, 1);
+      const vv = v.x * v.x + v.y * v.y;
+      if (vv > 1e-12) scale = (v.x * target.x + v.y * target.y) / vv;
+    }
+    if (!isFinite(drift) || !isFinite(scale) || scale <= 0) return null;
+  }
+  return { drift, scale };
+}
+
+// points: path [{x, y, ...}]; fromIndex: last point that is known to be right; fix: {x, y}
+// where the last point actually is. Returns { points, errorMeters, headingDeg, scale, method }
+// with a new array (points before fromIndex unchanged, other fields of each point kept).
+export function closeLoop(points, fromIndex, fix) {
+  const last = points.length - 1;
+  const from = Math.max(0, Math.min(fromIndex, last));
+  const end = points[last];
+  const errorMeters = end ? Math.hypot(end.x - fix.x, end.y - fix.y) : 0;
+  if (!end || from === last) return { points: points.slice(), errorMeters, headingDeg: 0, scale: 1, method: 'none' };
+
+  const start = points[from];
+  const { steps, length } = segmentSteps(points, from);
+  const target = { x: fix.x - start.x, y: fix.y - start.y };
+  let fit = length >= MIN_LENGTH ? fitDrift(steps, length, target) : null;
+  if (fit && (Math.abs(fit.drift) * 180 / Math.PI > MAX_DRIFT_DEG || fit.scale < MIN_SCALE || fit.scale > MAX_SCALE)) fit = null;
+  const drift = fit ? fit.drift : 0;
+  const scale = fit ? fit.scale : 1;
+
+  // Whatever the fit leaves (all of it without a fit) is shifted out along the path
+  const e = walk(steps, drift, scale);
+  const residual = { x: target.x - e.x, y: target.y - e.y };
+  const out = points.slice(0, from + 1);
+  let x = start.x, y = start.y, walked = 0;
+  for (let i = 0; i < steps.length; i++) {
+    const { d, s } = steps[i];
+    const r = rotate(d, drift * s);
+    walked += Math.hypot(d.x, d.y);
+    const share = length > 0 ? walked / length : (i + 1) / steps.length;
+    x += scale * r.x;
+    y += scale * r.y;
+    out.push({ ...points[from + 1 + i], x: x + residual.x * share, y: y + residual.y * share });
+  }
+  return {
+    points: out,
+    errorMeters,
+    headingDeg: drift * 180 / Math.PI,
+    scale,
+    method: fit ? 'drift' : 'shift',
+  };
+}
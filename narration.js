@@ -0,0 +1,104 @@
+// Track and guidance in words, for screen readers: a track as a list of straight legs with
+// length, compass direction and the turn into each leg, clock positions relative to the
+// heading, and the pacing of guidance announcements. Texts are left to the caller; this
+// module returns numbers and compass keys only. No DOM access.
+
+import { bearingDeg } from './tracker.js';
+import { simplifyPath } from './route.js';
+
+export const COMPASS_POINTS = ['n', 'ne', 'e', 'se', 's', 'sw', 'w', 'nw'];
+
+function normalizeDeg(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+function wrap180(deg) {
+  const d = normalizeDeg(deg);
+  return d > 180 ? d - 360 : d;
+}
+
+// One of the eight compass points for a bearing
+export function compassPoint(deg) {
+  return COMPASS_POINTS[Math.round(normalizeDeg(deg) / 45) % 8];
+}
+
+// Clock position (1–12) of a bearing seen from the heading: 12 ahead, 3 right, 6 behind
+export function clockPosition(bearing, heading) {
+  const hour = Math.round(normalizeDeg(bearing - heading) / 30) % 12;
+  return hour === 0 ? 12 : hour;
+}
+
+// Straight legs of a path after simplification (tolerance in meters):
+// { legs: [{ index, from, to, length, bearingDeg, turnDeg, floor }], distance, end: { distance, bearingDeg } }.
+// turnDeg is the change of direction into the leg (positive = right), null for the first one;
+// end is where the path ends, seen from its first point.
+export function describeTrack(points, options = {}) {
+  const pts = simplifyPath(points, options.tolerance || 2);
+  const legs = [];
+  let distance = 0;
+  for (let i = 1; i < pts.length; i++) {
+    const dx = pts[i].x - pts[i - 1].x;
+    const dy = pts[i].y - pts[i - 1].y;
+    const length = Math.hypot(dx, dy);
+    const bearing = bearingDeg(dx, dy);
+    const prev = legs[legs.length - 1];
+    legs.push({
+      index: legs.length + 1,
+      from: { x: pts[i - 1].x, y: pts[i - 1].y },
+      to: { x: pts[i].x, y: pts[i].y },
+      length,
+      bearingDeg: bearing,
+      turnDeg: prev ? wrap180(bearing - prev.bearingDeg) : null,
+      floor: pts[i].floor || 0,
+    });
+    distance += length;
+  }
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+  const end = first && last
+    ? { distance: Math.hypot(last.x - first.x, last.y - first.y), bearingDeg: bearingDeg(last.x - first.x, last.y - first.y) }
+    : { distance: 0, bearingDeg: 0 };
+  return { legs, distance, end };
+}
+
+// Index into `legs` of the leg passing closest to a point (e.g. a photo pin), -1 without legs
+export function nearestLeg(legs, point) {
+  let best = -1;
+  let bestDist = Infinity;
+  legs.forEach((leg, i) => {
+    const dx = leg.to.x - leg.from.x;
+    const dy = leg.to.y - leg.from.y;
+    const len2 = dx * dx + dy * dy;
+    const k = len2 > 0 ? Math.max(0, Math.min(1, ((point.x - leg.from.x) * dx + (point.y - leg.from.y) * dy) / len2)) : 0;
+    const d = Math.hypot(point.x - (leg.from.x + k * dx), point.y - (leg.from.y + k * dy));
+    if (d < bestDist) { best = i; bestDist = d; }
+  });
+  return best;
+}
+
+// Decides when guidance is worth announcing again: never more often than every
+// minIntervalMs, on a new clock position or a distance change of 20 % (at least 5 m),
+// and at the latest after repeatMs.
+export function createAnnouncePacer(options = {}) {
+  const minIntervalMs = options.minIntervalMs || 10000;
+  const repeatMs = options.repeatMs || 30000;
+  let last = null; // { at, distance, clock }
+
+  // g: { distance, clock }; true (and remembered as announced) when it is time
+  function check(g, now) {
+    if (last) {
+      const since = now - last.at;
+      if (since < minIntervalMs) return false;
+      const changed = g.clock !== last.clock || Math.abs(g.distance - last.distance) >= Math.max(5, last.distance * 0.2);
+      if (!changed && since < repeatMs) return false;
+    }
+    last = { at: now, distance: g.distance, clock: g.clock };
+    return true;
+  }
+
+  function reset() {
+    last = null;
+  }
+
+  return { check, reset };
+}
@@ -0,0 +1,77 @@
+// Playback timeline of a recorded track: where the walker was, which way they went, and how many
+// steps and meters they had covered at any moment of the walk. Long standstills are shortened
+// so a replay doesn't sit idle, and tracks without usable timestamps get an even step rhythm.
+// No DOM access.
+
+const MAX_GAP_MS = 3000; // pauses longer than this play as MAX_GAP_MS
+const FALLBACK_STEP_MS = 500;
+
+function normalizeDeg(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+// points: tracker path [{ x, y, t, floor }]
+export function createTimeline(points) {
+  const frames = []; // per point: { at (ms into the replay), distance, steps, headingDeg }
+  const timed = points.every((p, i) => isFinite(p.t) && (i === 0 || p.t >= points[i - 1].t));
+  let at = 0;
+  let distance = 0;
+  let steps = 0;
+  let headingDeg = null;
+  points.forEach((p, i) => {
+    if (i > 0) {
+      const prev = points[i - 1];
+      const d = Math.hypot(p.x - prev.x, p.y - prev.y);
+      if (d > 0) {
+        distance += d;
+        steps += 1;
+        headingDeg = normalizeDeg(Math.atan2(p.x - prev.x, -(p.y - prev.y)) * 180 / Math.PI);
+      }
+      // Both ends of a step share a timestamp; the step itself takes the time since the last one
+      const dt = timed ? Math.min(p.t - prev.t, MAX_GAP_MS) : (d > 0 ? FALLBACK_STEP_MS : 0);
+      at += dt;
+    }
+    frames.push({ at, distance, steps, headingDeg });
+  });
+  // Headings before the first step look ahead to it
+  const firstHeading = frames.find((f) => f.headingDeg != null);
+  for (const f of frames) {
+    if (f.headingDeg != null) break;
+    f.headingDeg = firstHeading ? firstHeading.headingDeg : 0;
+  }
+
+  const duration = at;
+
+  // State at `ms` into the replay: { index (last point reached), position, floor, headingDeg, distance, steps }
+  function frameAt(ms) {
+    if (!points.length) return null;
+    const t = Math.max(0, Math.min(duration, ms));
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) { // last frame with at <= t
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid].at <= t) lo = mid; else hi = mid - 1;
+    }
+    // Point lo is reached; move towards the first later point that lies elsewhere
+    let next = lo + 1;
+    while (next < points.length && points[next].x === points[lo].x && points[next].y === points[lo].y) next += 1;
+    const a = points[lo];
+    const f = frames[lo];
+    if (next >= points.length || frames[next].at <= f.at) {
+      return { index: lo, position: { x: a.x, y: a.y }, floor: a.floor || 0, headingDeg: f.headingDeg, distance: f.distance, steps: f.steps };
+    }
+    const b = points[next];
+    const k = (t - f.at) / (frames[next].at - f.at);
+    const d = Math.hypot(b.x - a.x, b.y - a.y);
+    return {
+      index: lo,
+      position: { x: a.x + k * (b.x - a.x), y: a.y + k * (b.y - a.y) },
+      floor: a.floor || 0,
+      headingDeg: frames[next].headingDeg,
+      distance: f.distance + k * d,
+      steps: f.steps,
+    };
+  }
+
+  return { duration, frameAt };
+}
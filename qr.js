@@ -0,0 +1,296 @@
+// QR code encoder (byte mode, error correction level L or M) so tracks can be shared without any
+// network or library. Follows ISO/IEC 18004: Reed-Solomon codes over GF(256), block
+// interleaving, and all eight masks scored with the standard penalty rules. Returns the module
+// matrix; drawing it is up to the caller. No DOM access.
+
+import { codedError } from './errors.js';
+
+// Index = version (1..40)
+const ECC_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+};
+const NUM_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+};
+const FORMAT_ECL = { L: 1, M: 0 };
+
+function bit(value, i) {
+  return ((value >>> i) & 1) !== 0;
+}
+
+// Modules left for data and error correction after all function patterns
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, ecl) {
+  return Math.floor(rawDataModules(version) / 8) - ECC_PER_BLOCK[ecl][version] * NUM_BLOCKS[ecl][version];
+}
+
+// Largest payload in bytes for an error correction level (version 40)
+export function qrCapacity(ecl = 'M') {
+  return dataCodewords(40, ecl) - 3; // mode indicator and 16-bit length
+}
+
+// ---- Reed-Solomon over GF(2^8) with the polynomial x^8 + x^4 + x^3 + x^2 + 1 ----
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+export function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+export function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// ---- Codewords ----
+
+function dataBits(bytes, version, ecl) {
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0x4, 4); // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+  const capacity = dataCodewords(version, ecl) * 8;
+  push(0, Math.min(4, capacity - bits.length)); // terminator
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const out = [];
+  for (let i = 0; i < bits.length; i += 8) out.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+  return out;
+}
+
+// Split into blocks, append each block's error correction, interleave
+function withErrorCorrection(data, version, ecl) {
+  const numBlocks = NUM_BLOCKS[ecl][version];
+  const eccLength = ECC_PER_BLOCK[ecl][version];
+  const raw = Math.floor(rawDataModules(version) / 8);
+  const numShort = numBlocks - (raw % numBlocks);
+  const shortLength = Math.floor(raw / numBlocks);
+  const divisor = reedSolomonDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortLength - eccLength + (i < numShort ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShort) block.push(0); // placeholder, skipped when interleaving
+    blocks.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= numShort) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ---- Matrix ----
+
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+export function formatBits(ecl, mask) {
+  const data = (FORMAT_ECL[ecl] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+export function versionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (version << 12) | rem;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function createMatrix(version, ecl) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
+
+  function drawFormat(mask) {
+    const bits = formatBits(ecl, mask);
+    for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+    set(8, 7, bit(bits, 6));
+    set(8, 8, bit(bits, 7));
+    set(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+    set(8, size - 8, true); // always dark
+  }
+
+  // Timing patterns, finders, alignment patterns, format and version info
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+      }
+    }
+  }
+  const align = alignmentPositions(version, size);
+  const last = align.length - 1;
+  align.forEach((ax, i) => {
+    align.forEach((ay, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+  drawFormat(0); // reserves the area; redrawn with the chosen mask
+  if (version >= 7) {
+    const bits = versionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bit(bits, i));
+      set(b, a, bit(bits, i));
+    }
+  }
+
+  function drawCodewords(codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing column
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+            i += 1;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask(mask) {
+    const test = MASKS[mask];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && test(x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  return { size, modules, drawFormat, drawCodewords, applyMask };
+}
+
+// Standard mask penalty: long runs, 2×2 blocks, finder look-alikes, dark/light balance
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  const finderA = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0];
+  const finderB = finderA.slice().reverse();
+  const lines = [];
+  for (let y = 0; y < size; y++) lines.push(modules[y]);
+  for (let x = 0; x < size; x++) lines.push(modules.map((row) => row[x]));
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) { run += 1; continue; }
+      if (run >= 5) score += 3 + (run - 5);
+      run = 1;
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      const matches = (pattern) => pattern.every((v, k) => line[i + k] === (v === 1));
+      if (matches(finderA) || matches(finderB)) score += 40;
+    }
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark += 1;
+      if (x + 1 < size && y + 1 < size) {
+        const c = modules[y][x];
+        if (modules[y][x + 1] === c && modules[y + 1][x] === c && modules[y + 1][x + 1] === c) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+// bytes: Uint8Array or array of 0..255; ecl: 'L' or 'M'. Returns { version, size, modules[y][x] }
+export function encodeQr(bytes, { ecl = 'M' } = {}) {
+  if (!ECC_PER_BLOCK[ecl]) throw codedError('error.qrLevel', { level: ecl });
+  let version = 1;
+  while (version <= 40 && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, ecl) * 8) version += 1;
+  if (version > 40) throw codedError('error.qrTooLong');
+  const codewords = withErrorCorrection(dataBits(Array.from(bytes), version, ecl), version, ecl);
+  const matrix = createMatrix(version, ecl);
+  matrix.drawCodewords(codewords);
+  let best = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormat(mask);
+    const score = penalty(matrix.modules);
+    if (score < bestScore) { bestScore = score; best = mask; }
+    matrix.applyMask(mask); // XOR again to undo
+  }
+  matrix.applyMask(best);
+  matrix.drawFormat(best);
+  return { version, size: matrix.size, modules: matrix.modules };
+}
@@ -0,0 +1,159 @@
+// Route geometry and route following: simplify a breadcrumb path into segments and guide
+// along it point by point (progress, next point, next turn, off-route detection).
+// Used for retracing the own track and for following an imported one. No DOM access.
+//
+// Follower events: 'segment', 'offroute', 'onroute', 'arrived'.
+
+import { createEmitter } from './emitter.js';
+import { bearingDeg } from './tracker.js';
+
+// Path with consecutive duplicates removed (the tracker pushes both ends of every step)
+export function dedupePath(path) {
+  const out = [];
+  for (const p of path) {
+    const last = out[out.length - 1];
+    if (last && last.x === p.x && last.y === p.y) continue;
+    out.push(p);
+  }
+  return out;
+}
+
+function distToSegment(p, a, b) {
+  const vx = b.x - a.x;
+  const vy = b.y - a.y;
+  const len2 = vx * vx + vy * vy;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * vx + (p.y - a.y) * vy) / len2)) : 0;
+  return { t, distance: Math.hypot(p.x - (a.x + t * vx), p.y - (a.y + t * vy)) };
+}
+
+// Douglas–Peucker; tolerance in meters
+export function simplifyPath(points, tolerance = 1.5) {
+  const pts = dedupePath(points);
+  if (pts.length < 3) return pts.slice();
+  const keep = new Uint8Array(pts.length);
+  keep[0] = 1;
+  keep[pts.length - 1] = 1;
+  const stack = [[0, pts.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = distToSegment(pts[i], pts[first], pts[last]).distance;
+      if (d > maxDist) { maxDist = d; index = i; }
+    }
+    if (index !== -1 && maxDist > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return pts.filter((_, i) => keep[i]);
+}
+
+function wrap180(deg) {
+  let d = ((deg % 360) + 360) % 360;
+  if (d > 180) d -= 360;
+  return d;
+}
+
+// route: [{x, y}] in walking order (at least two points)
+export function createRouteFollower(route, options = {}) {
+  const arriveRadius = options.arriveRadius || 3; // m
+  const offRouteDistance = options.offRouteDistance || 8; // m
+  const lookahead = options.lookahead || 4; // segments searched beyond the current one
+  const { on, off, emit } = createEmitter();
+
+  const points = route.map((p) => ({ x: p.x, y: p.y }));
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+  }
+  const total = cumulative[cumulative.length - 1];
+  const segmentCount = points.length - 1;
+
+  let segIndex = 0;
+  let offRoute = false;
+  let arrived = false;
+  let progress = null;
+
+  // Signed turn at route point i (positive = right), null at the ends
+  function turnAt(i) {
+    if (i <= 0 || i >= points.length - 1) return null;
+    const inBearing = bearingDeg(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    const outBearing = bearingDeg(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+    return wrap180(outBearing - inBearing);
+  }
+
+  function update(pos) {
+    if (segmentCount < 1) return null;
+    // Closest segment at or ahead of the current one; never jump backwards
+    let best = null;
+    const lastSeg = Math.min(segmentCount - 1, segIndex + lookahead);
+    for (let i = segIndex; i <= lastSeg; i++) {
+      const proj = distToSegment(pos, points[i], points[i + 1]);
+      if (!best || proj.distance < best.distance - 0.5) best = { index: i, ...proj };
+    }
+    if (best.index > segIndex) {
+      segIndex = best.index;
+      emit('segment', { index: segIndex, segmentCount });
+    }
+    // Reaching the end of the current segment moves on to the next one
+    const next = points[segIndex + 1];
+    if (segIndex < segmentCount - 1 && Math.hypot(next.x - pos.x, next.y - pos.y) <= arriveRadius) {
+      segIndex += 1;
+      best = { index: segIndex, ...distToSegment(pos, points[segIndex], points[segIndex + 1]) };
+      emit('segment', { index: segIndex, segmentCount });
+    }
+
+    const target = points[segIndex + 1];
+    const toTarget = Math.hypot(target.x - pos.x, target.y - pos.y);
+    const segLen = cumulative[segIndex + 1] - cumulative[segIndex];
+    const along = cumulative[segIndex] + best.t * segLen;
+    const crossTrack = best.distance;
+
+    if (!offRoute && crossTrack > offRouteDistance) { offRoute = true; emit('offroute', { crossTrack }); }
+    else if (offRoute && crossTrack < offRouteDistance * 0.6) { offRoute = false; emit('onroute', { crossTrack }); }
+
+    if (!arrived && segIndex === segmentCount - 1 && toTarget <= arriveRadius) {
+      arrived = true;
+      emit('arrived', {});
+    }
+
+    // Next turn: the first route point ahead with a noticeable direction change
+    let nextTurn = null;
+    for (let i = segIndex + 1; i < points.length - 1; i++) {
+      const angle = turnAt(i);
+      if (angle != null && Math.abs(angle) >= 30) {
+        nextTurn = { angleDeg: angle, distance: cumulative[i] - along, index: i };
+        break;
+      }
+    }
+
+    progress = {
+      segIndex,
+      segmentCount,
+      target: { ...target },
+      distanceToTarget: toTarget,
+      bearingToTarget: bearingDeg(target.x - pos.x, target.y - pos.y),
+      crossTrack,
+      offRoute,
+      arrived,
+      along,
+      remaining: Math.max(0, total - along),
+      total,
+      fraction: total > 0 ? Math.min(1, along / total) : 1,
+      nextTurn,
+    };
+    return progress;
+  }
+
+  function getProgress() {
+    return progress;
+  }
+
+  function getRoute() {
+    return points;
+  }
+
+  return { on, off, update, getProgress, getRoute };
+}
@@ -1,37 +1,215 @@
-const CACHE_NAME = 'brodkrumen-cache-v3';
+// Bump with every release: a changed worker is how installed apps learn about a new version
+const CACHE_NAME = 'brodkrumen-cache-v26';
+// Everything the app needs to run offline; the install fails unless all of them are cached
 const ASSETS = [
   '/',
   '/index.html',
   '/styles.css',
   '/app.js',
+  '/tracker.js',
+  '/session.js',
+  '/geo.js',
+  '/emitter.js',
+  '/errors.js',
+  '/fusion.js',
+  '/store.js',
+  '/route.js',
+  '/cues.js',
+  '/steplength.js',
+  '/stepdetector.js',
+  '/heading.js',
+  '/carry.js',
+  '/floors.js',
+  '/loopclosure.js',
+  '/trackedit.js',
+  '/playback.js',
+  '/share.js',
+  '/qr.js',
+  '/stats.js',
+  '/i18n.js',
+  '/units.js',
+  '/narration.js',
   '/manifest.webmanifest'
 ];
+// Cached when present, but a missing icon must not keep the app from working offline
+const OPTIONAL_ASSETS = [
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+
+// Which cache serves the app: CACHE_NAME after an install, later a revision staged from it
+const META_CACHE = 'brodkrumen-meta';
+const CURRENT_KEY = '/__current-cache';
+const CHECK_INTERVAL_MS = 60000; // between two comparisons with the server
+
+let currentName = null;
+let checking = null; // comparison in progress
+let lastCheck = 0;
+// Page (client id) to the cache it was loaded from. Gone when the browser stops the worker;
+// those pages then load from the serving cache like new ones
+const clientCaches = new Map();
+
+function fresh(url) {
+  return new Request(url, { cache: 'reload' }); // past the HTTP cache, which may still hold the old release
+}
 
+// No skipWaiting here: a new version waits until the page asks for it (update banner)
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS)).then(() => self.skipWaiting())
+    caches.open(CACHE_NAME).then((cache) => Promise.all([
+      cache.addAll(ASSETS.map(fresh)),
+      ...OPTIONAL_ASSETS.map((url) => cache.add(fresh(url)).catch(() => {})),
+    ]))
   );
 });
 
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((keys) => Promise.all(keys.filter((k) => k !== CACHE_NAME).map((k) => caches.delete(k)))).then(() => self.clients.claim())
+    setCurrent(CACHE_NAME)
+      .then(() => caches.keys())
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE_NAME && k !== META_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
   );
 });
 
+// The serving cache. A revision pointer left by an older worker version doesn't count
+function currentCache() {
+  if (currentName) return caches.open(currentName);
+  return caches.open(META_CACHE)
+    .then((meta) => meta.match(CURRENT_KEY))
+    .then((resp) => (resp ? resp.text() : null))
+    .then((name) => {
+      currentName = name && (name === CACHE_NAME || name.startsWith(CACHE_NAME + '-r')) ? name : CACHE_NAME;
+      return caches.open(currentName);
+    });
+}
+
+// Switching caches is this one write
+function setCurrent(name) {
+  currentName = name;
+  return caches.open(META_CACHE).then((meta) => meta.put(CURRENT_KEY, new Response(name)));
+}
+
+function sameBytes(a, b) {
+  if (a.byteLength !== b.byteLength) return false;
+  const x = new Uint8Array(a);
+  const y = new Uint8Array(b);
+  for (let i = 0; i < x.length; i++) if (x[i] !== y[i]) return false;
+  return true;
+}
+
+// Cache first, then compare the whole asset set with the server in the background (at most
+// once a minute)
+function revalidate() {
+  if (checking || Date.now() - lastCheck < CHECK_INTERVAL_MS) return checking || Promise.resolve();
+  lastCheck = Date.now();
+  checking = stageUpdate().catch(() => {}).then(() => { checking = null; }); // offline: the cached set stays
+  return checking;
+}
+
+// A page keeps loading from the cache it was opened from, so it never mixes two releases
+function cacheFor(clientId) {
+  const name = clientId && clientCaches.get(clientId);
+  return name ? caches.open(name) : currentCache();
+}
+
+// Whether the server still has this worker's release. A new release bumps CACHE_NAME and comes
+// as a new worker: it installs its own cache, waits, and the page's update banner switches to it.
+// Staging its files here as well would announce the update twice and run the new app code under
+// this old worker until then, so while a new worker is installing or waiting, or the server's
+// worker names another cache, this one leaves the switch to it.
+async function sameRelease() {
+  const reg = self.registration;
+  if (reg.installing || reg.waiting) return false;
+  const resp = await fetch(self.location.href, { cache: 'no-cache' });
+  if (!resp.ok) return false;
+  const match = /const CACHE_NAME = '([^']+)'/.exec(await resp.text());
+  if (match && match[1] === CACHE_NAME) return true;
+  reg.update().catch(() => {});
+  return false;
+}
+
+// Drop revisions neither the serving cache nor a page that is still open uses
+async function pruneRevisions() {
+  const open = new Set((await self.clients.matchAll({ type: 'window' })).map((client) => client.id));
+  for (const id of clientCaches.keys()) if (!open.has(id)) clientCaches.delete(id);
+  const inUse = new Set([currentName, ...clientCaches.values()]);
+  const keys = await caches.keys();
+  await Promise.all(keys
+    .filter((k) => (k === CACHE_NAME || k.startsWith(CACHE_NAME + '-r')) && !inUse.has(k))
+    .map((k) => caches.delete(k)));
+}
+
+// Changed files are not written into the serving cache one by one, which would hand a page a
+// mix of releases. A new revision gets the complete set; only then does the worker switch over
+// to it and tell the pages, so they offer a reload instead of running stale code. Pages still
+// open keep their revision until they are gone.
+async function stageUpdate() {
+  if (!(await sameRelease())) return;
+  const live = await currentCache();
+  const fetched = await Promise.all(ASSETS.map((url) => fetch(url, { cache: 'no-cache' })));
+  if (fetched.some((resp) => !resp.ok)) return; // e.g. half deployed: try again later
+  const changed = await Promise.all(fetched.map(async (resp, i) => {
+    const cached = await live.match(ASSETS[i]);
+    return !cached || !sameBytes(await cached.arrayBuffer(), await resp.clone().arrayBuffer());
+  }));
+  if (!changed.some(Boolean)) return;
+  const stagedName = CACHE_NAME + '-r' + Date.now();
+  try {
+    const staged = await caches.open(stagedName);
+    await Promise.all(fetched.map((resp, i) => staged.put(ASSETS[i], resp)));
+    // Icons and other files cached on the way move over as they are
+    for (const request of await live.keys()) {
+      if (!(await staged.match(request))) await staged.put(request, await live.match(request));
+    }
+  } catch (e) {
+    await caches.delete(stagedName);
+    throw e;
+  }
+  await setCurrent(stagedName);
+  await pruneRevisions();
+  const clients = await self.clients.matchAll({ type: 'window' });
+  for (const client of clients) client.postMessage({ type: 'updated' });
+}
+
 self.addEventListener('fetch', (event) => {
   const request = event.request;
-  if (request.method !== 'GET') return;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  const navigate = request.mode === 'navigate';
+  // A page opened with a query string is still the cached page
+  const url = navigate ? request.url.split('?')[0] : request.url;
+  const opened = navigate
+    ? currentCache().then((cache) => {
+      if (event.resultingClientId) clientCaches.set(event.resultingClientId, currentName);
+      return cache;
+    })
+    : cacheFor(event.clientId);
   event.respondWith(
-    caches.match(request).then((cached) => {
-      if (cached) return cached;
+    opened.then((cache) => cache.match(url).then((cached) => {
+      if (cached) {
+        event.waitUntil(revalidate());
+        return cached;
+      }
       return fetch(request).then((resp) => {
-        const copy = resp.clone();
-        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        if (resp.ok) cache.put(url, resp.clone());
         return resp;
-      }).catch(() => caches.match('/index.html'));
-    })
+      }).catch(() => (navigate ? cache.match('/index.html') : Response.error()));
+    }))
   );
 });
 
+// Which of the required files are in the cache: { ready, missing }
+function offlineStatus() {
+  return currentCache()
+    .then((cache) => Promise.all(ASSETS.map((url) => cache.match(url))))
+    .then((hits) => {
+      const missing = ASSETS.filter((_, i) => !hits[i]);
+      return { ready: missing.length === 0, missing };
+    });
+}
 
+self.addEventListener('message', (event) => {
+  const msg = event.data || {};
+  if (msg.type === 'skipWaiting') self.skipWaiting();
+  else if (msg.type === 'status') event.waitUntil(offlineStatus().then((status) => event.source.postMessage({ type: 'status', ...status })));
+});
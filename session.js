@@ -0,0 +1,70 @@
+// Sensor session files: the raw devicemotion/deviceorientation samples with timestamps.
+// Replaying one through a tracker reproduces a walk exactly, so step counts and end positions
+// can be compared across detector versions. No DOM access, usable under Node.
+
+import { codedError } from './errors.js';
+
+export const SESSION_FORMAT = 'brodkrumen-session';
+export const SESSION_VERSION = 1;
+
+function copyXyz(v) {
+  return v ? { x: v.x, y: v.y, z: v.z } : null;
+}
+
+// Plain, JSON-safe copy of a DeviceMotionEvent / DeviceOrientationEvent, or of a barometer
+// reading ({ pressure } in hPa)
+export function sampleFromEvent(kind, e, t = Date.now()) {
+  const sample = { kind, t, timeStamp: e.timeStamp };
+  if (kind === 'pressure') {
+    sample.pressure = e.pressure;
+  } else if (kind === 'motion') {
+    const rr = e.rotationRate;
+    sample.accelerationIncludingGravity = copyXyz(e.accelerationIncludingGravity);
+    sample.acceleration = copyXyz(e.acceleration);
+    sample.rotationRate = rr ? { alpha: rr.alpha, beta: rr.beta, gamma: rr.gamma } : null;
+    sample.interval = e.interval;
+  } else {
+    sample.alpha = e.alpha;
+    sample.beta = e.beta;
+    sample.gamma = e.gamma;
+    sample.absolute = e.absolute;
+    sample.webkitCompassHeading = e.webkitCompassHeading;
+    sample.webkitCompassAccuracy = e.webkitCompassAccuracy;
+  }
+  return sample;
+}
+
+// stepModel / sensitivity / carry: step length model, detector setting and carrying mode in use while recording
+export function createSession({ startedAt, stepLength, stepModel = null, sensitivity = null, carry = null, userAgent, samples }) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    startedAt,
+    stepLength,
+    stepModel,
+    sensitivity,
+    carry,
+    userAgent,
+    samples,
+  };
+}
+
+export function parseSession(text) {
+  let s;
+  try { s = JSON.parse(text); } catch (_) { throw codedError('error.sessionJson'); }
+  if (!s || s.format !== SESSION_FORMAT) throw codedError('error.sessionFormat');
+  if (s.version !== SESSION_VERSION) throw codedError('error.sessionVersion', { version: s.version });
+  if (!Array.isArray(s.samples) || s.samples.length === 0) throw codedError('error.sessionEmpty');
+  return s;
+}
+
+// Feed every sample into `tracker` in order, with the origin set at the first sample
+export function replaySession(tracker, session) {
+  tracker.setOrigin({ t: session.samples[0].t });
+  for (const sample of session.samples) {
+    if (sample.kind === 'motion') tracker.feedMotion(sample);
+    else if (sample.kind === 'orientation') tracker.feedOrientation(sample);
+    else if (sample.kind === 'pressure') tracker.feedPressure(sample);
+  }
+  return tracker;
+}
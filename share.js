@@ -0,0 +1,226 @@
+// Offline track sharing: a compact, versioned binary form of a track (path, waypoints, step
+// length settings, geo anchor) as base64url text for a URL fragment or a QR code. Coordinates
+// are delta-coded decimeters in varints; a CRC-32 at the end catches corrupted or truncated
+// payloads. No DOM access.
+//
+// Layout (version 1): version byte · varint meta length · meta JSON (UTF-8) · varint point count
+// · per point zigzag varints dx, dy (and dFloor when meta.f) · CRC-32 of everything before.
+
+import { simplifyPath } from './route.js';
+import { isValidAnchor } from './geo.js';
+import { DEFAULT_LABELS } from './tracker.js';
+import { codedError } from './errors.js';
+
+export const SHARE_VERSION = 1;
+export const SHARE_PARAM = 't'; // URL fragment: #t=<payload>
+const SCALE = 10; // decimeters
+const MAX_POINTS = 200000;
+
+let crcTable = null;
+
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toBase64Url(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) throw codedError('error.shareChars');
+  let bin;
+  try {
+    bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch (_) {
+    throw codedError('error.shareCorrupt');
+  }
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function writer() {
+  const out = [];
+  function varint(n) {
+    while (n >= 0x80) { out.push((n & 0x7f) | 0x80); n = Math.floor(n / 128); }
+    out.push(n);
+  }
+  function zigzag(n) {
+    varint(n < 0 ? -2 * n - 1 : 2 * n);
+  }
+  return { out, varint, zigzag };
+}
+
+function reader(bytes, end) {
+  let pos = 0;
+  function varint() {
+    let result = 0;
+    let factor = 1;
+    for (;;) {
+      if (pos >= end) throw codedError('error.shareTruncated');
+      const b = bytes[pos++];
+      result += (b & 0x7f) * factor;
+      if (!(b & 0x80)) return result;
+      factor *= 128;
+      if (factor > 2 ** 49) throw codedError('error.shareCorrupt');
+    }
+  }
+  function zigzag() {
+    const n = varint();
+    return n % 2 ? -(n + 1) / 2 : n / 2;
+  }
+  function take(n) {
+    if (pos + n > end) throw codedError('error.shareTruncated');
+    const slice = bytes.subarray(pos, pos + n);
+    pos += n;
+    return slice;
+  }
+  return { varint, zigzag, take, done: () => pos === end };
+}
+
+// Simplify each floor's stretch on its own so floor changes survive
+function compactPath(path, tolerance) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length) out.push(...simplifyPath(run, tolerance).map((p) => ({ x: p.x, y: p.y, floor: run[0].floor || 0 })));
+    run = [];
+  };
+  for (const p of path) {
+    if (run.length && (run[0].floor || 0) !== (p.floor || 0)) flush();
+    run.push(p);
+  }
+  flush();
+  return out;
+}
+
+const dm = (v) => Math.round(v * SCALE);
+
+// track: { name, state (tracker.toJSON() or getState()), stepLength, stepModel };
+// tolerance: path simplification in meters. Returns the base64url payload.
+export function encodeShare(track, tolerance = 0.1) {
+  const state = track.state;
+  const points = compactPath(state.pathPoints || state.path || [], tolerance);
+  const hasFloors = points.some((p) => p.floor !== 0);
+  const meta = {
+    n: track.name || '',
+    s: track.stepLength,
+    d: Math.round((Number(state.totalDistance) || 0) * 10) / 10,
+    c: Number(state.stepCount) || 0,
+    w: (state.waypoints || []).map((w) => [dm(w.x), dm(w.y), w.floor || 0, w.name, w.note || '']),
+  };
+  if (track.stepModel) meta.m = track.stepModel;
+  if (isValidAnchor(state.anchor)) meta.a = state.anchor;
+  if (hasFloors) meta.f = 1;
+  const metaBytes = new TextEncoder().encode(JSON.stringify(meta));
+
+  const buf = writer();
+  buf.out.push(SHARE_VERSION);
+  buf.varint(metaBytes.length);
+  buf.out.push(...metaBytes);
+  buf.varint(points.length);
+  let x = 0, y = 0, floor = 0;
+  for (const p of points) {
+    const px = dm(p.x);
+    const py = dm(p.y);
+    buf.zigzag(px - x);
+    buf.zigzag(py - y);
+    if (hasFloors) buf.zigzag(p.floor - floor);
+    x = px; y = py; floor = p.floor;
+  }
+  const crc = crc32(buf.out);
+  buf.out.push(crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff);
+  return toBase64Url(buf.out);
+}
+
+// Shortest payload that fits `maxChars`, simplifying the path further as needed; null if none does
+export function encodeShareWithin(track, maxChars) {
+  for (const tolerance of [0.1, 0.25, 0.5, 1, 2, 4, 8]) {
+    const payload = encodeShare(track, tolerance);
+    if (payload.length <= maxChars) return { payload, tolerance };
+  }
+  return null;
+}
+
+// Returns { name, stepLength, stepModel, state } with a restorable tracker state; throws a coded
+// error (errors.js) on anything corrupt or unsupported. labels name unnamed waypoints (see tracker.js)
+export function decodeShare(payload, labels = DEFAULT_LABELS) {
+  const bytes = fromBase64Url(String(payload || '').trim());
+  if (bytes.length < 6) throw codedError('error.shareTruncated');
+  if (bytes[0] !== SHARE_VERSION) {
+    throw codedError('error.shareVersion', { version: bytes[0] });
+  }
+  const end = bytes.length - 4;
+  const stored = ((bytes[end] << 24) | (bytes[end + 1] << 16) | (bytes[end + 2] << 8) | bytes[end + 3]) >>> 0;
+  if (crc32(bytes.subarray(0, end)) !== stored) throw codedError('error.shareChecksum');
+
+  const r = reader(bytes, end);
+  r.take(1);
+  let meta;
+  try {
+    meta = JSON.parse(new TextDecoder().decode(r.take(r.varint())));
+  } catch (_) {
+    throw codedError('error.shareCorrupt');
+  }
+  if (!meta || typeof meta !== 'object') throw codedError('error.shareCorrupt');
+  const count = r.varint();
+  if (count < 1 || count > MAX_POINTS) throw codedError('error.shareNoTrack');
+  const pathPoints = [];
+  let x = 0, y = 0, floor = 0;
+  for (let i = 0; i < count; i++) {
+    x += r.zigzag();
+    y += r.zigzag();
+    if (meta.f) floor += r.zigzag();
+    pathPoints.push({ x: x / SCALE, y: y / SCALE, t: null, floor });
+  }
+  if (!r.done()) throw codedError('error.shareCorrupt');
+
+  const waypoints = (Array.isArray(meta.w) ? meta.w : []).map((w, i) => ({
+    id: i + 1,
+    name: String(w[3] || labels.waypoint(i + 1)),
+    note: String(w[4] || ''),
+    x: Number(w[0]) / SCALE || 0,
+    y: Number(w[1]) / SCALE || 0,
+    t: null,
+    floor: Number(w[2]) || 0,
+  }));
+  const last = pathPoints[pathPoints.length - 1];
+  return {
+    name: typeof meta.n === 'string' ? meta.n : '',
+    stepLength: isFinite(meta.s) ? meta.s : null,
+    stepModel: meta.m && isFinite(meta.m.k) ? meta.m : null,
+    state: {
+      pathPoints,
+      originSet: true,
+      currentPosition: { x: last.x, y: last.y },
+      totalDistance: Number(meta.d) || 0,
+      stepCount: Number(meta.c) || 0,
+      floors: { floor: last.floor },
+      anchor: isValidAnchor(meta.a) ? meta.a : null,
+      waypoints,
+      targetId: null,
+    },
+  };
+}
+
+// Payload from a location hash like "#t=…", or null
+export function readShareFragment(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  return params.get(SHARE_PARAM);
+}
+
+export function shareLink(baseUrl, payload) {
+  return baseUrl.split('#')[0] + '#' + SHARE_PARAM + '=' + payload;
+}
@@ -0,0 +1,143 @@
+// Walk statistics of a recorded track: elapsed and moving time, pace, cadence, splits and the
+// time series behind the altitude and distance charts. Works on tracker state (toJSON() or
+// getState()); pause intervals come from `pauses`. No DOM access.
+
+const IDLE_GAP_MS = 10000; // a longer gap between two steps counts as standing, not moving
+const CURRENT_WINDOW_MS = 60000; // current pace and cadence cover the last minute
+const MAX_SERIES = 400; // chart points
+
+function overlap(a0, a1, b0, b1) {
+  return Math.max(0, Math.min(a1, b1) - Math.max(a0, b0));
+}
+
+// Step ends along the path: [{ t, distance, alt }], distance cumulative in meters
+function stepsOf(points) {
+  const steps = [];
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    const d = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    if (d <= 0) continue;
+    distance += d;
+    steps.push({ t: points[i].t, distance, alt: points[i].alt });
+  }
+  return steps;
+}
+
+// Every `stride`-th entry plus the last one, so a chart never has to draw more than `max` points
+function thin(series, max) {
+  if (series.length <= max) return series;
+  const stride = Math.ceil(series.length / max);
+  const out = series.filter((_, i) => i % stride === 0);
+  if (out[out.length - 1] !== series[series.length - 1]) out.push(series[series.length - 1]);
+  return out;
+}
+
+function pace(ms, meters) {
+  return meters >= 1 && ms > 0 ? (ms / 1000) / (meters / 1000) : null;
+}
+
+// state: tracker state; options.now: end of a walk still being recorded (defaults to its last point);
+// options.splitBy: 'distance' (every splitMeters) or 'time' (every splitMs of walking time).
+// Times are null for tracks without timestamps (e.g. imported ones).
+export function trackStats(state, options = {}) {
+  const points = state.pathPoints || state.path || [];
+  const splitBy = options.splitBy === 'time' ? 'time' : 'distance';
+  const splitMeters = options.splitMeters || 100;
+  const splitMs = options.splitMs || 60000;
+  const steps = stepsOf(points);
+  const distance = steps.length ? steps[steps.length - 1].distance : 0;
+  const timed = points.length > 0 && points.every((p) => isFinite(p.t));
+  const hasAltitude = points.some((p) => isFinite(p.alt));
+  const base = { distance, steps: steps.length, hasAltitude, timed };
+  if (!timed) {
+    return {
+      ...base,
+      elapsedMs: null, movingMs: null, pausedMs: null, avgPace: null, avgCadence: null,
+      currentPace: null, currentCadence: null, splits: [],
+      series: thin([{ t: null, distance: 0, alt: points[0] ? points[0].alt || 0 : 0 }, ...steps.map((s) => ({ ...s, t: null }))], MAX_SERIES),
+    };
+  }
+
+  const start = points[0].t;
+  const end = Math.max(points[points.length - 1].t, isFinite(options.now) ? options.now : -Infinity);
+  const pauses = (state.pauses || []).map((p) => ({ start: p.start, end: p.end == null ? end : p.end }));
+  const pausedIn = (a, b) => pauses.reduce((sum, p) => sum + overlap(a, b, p.start, p.end), 0);
+  // Walking time from the start to t, pauses left out
+  const activeAt = (t) => t - start - pausedIn(start, t);
+
+  const pausedMs = pausedIn(start, end);
+  let movingMs = 0;
+  let prevT = start;
+  for (const s of steps) {
+    const gap = s.t - prevT - pausedIn(prevT, s.t);
+    if (gap <= IDLE_GAP_MS) movingMs += gap;
+    prevT = s.t;
+  }
+
+  // Current pace and cadence over the last minute of walking time
+  const windowStart = Math.max(start, end - CURRENT_WINDOW_MS);
+  const windowMs = end - windowStart - pausedIn(windowStart, end);
+  const recent = steps.filter((s) => s.t > windowStart);
+  const before = steps.filter((s) => s.t <= windowStart);
+  const recentMeters = recent.length ? distance - (before.length ? before[before.length - 1].distance : 0) : 0;
+  const hasWindow = windowMs >= 5000;
+
+  return {
+    ...base,
+    elapsedMs: end - start,
+    movingMs,
+    pausedMs,
+    avgPace: pace(movingMs, distance),
+    avgCadence: movingMs > 0 ? steps.length / (movingMs / 60000) : null,
+    currentPace: hasWindow ? pace(windowMs, recentMeters) : null,
+    currentCadence: hasWindow ? recent.length / (windowMs / 60000) : null,
+    splits: splitBy === 'time' ? timeSplits(steps, activeAt, activeAt(end), splitMs) : distanceSplits(steps, start, activeAt, splitMeters),
+    series: thin([{ t: 0, distance: 0, alt: points[0].alt || 0 }, ...steps.map((s) => ({ ...s, t: s.t - start }))], MAX_SERIES),
+  };
+}
+
+// One split per `size` meters; the time a boundary was crossed is interpolated between two steps.
+// Each split: { index, distance, durationMs, pace, steps }
+function distanceSplits(steps, start, activeAt, size) {
+  const splits = [];
+  let splitStart = activeAt(start);
+  let splitSteps = 0;
+  let prev = { t: start, distance: 0 };
+  let boundary = size;
+  for (const s of steps) {
+    splitSteps += 1;
+    while (s.distance >= boundary) {
+      const k = (boundary - prev.distance) / (s.distance - prev.distance);
+      const at = activeAt(prev.t + k * (s.t - prev.t));
+      splits.push({ index: splits.length + 1, distance: size, durationMs: at - splitStart, pace: pace(at - splitStart, size), steps: splitSteps });
+      splitStart = at;
+      splitSteps = 0;
+      boundary += size;
+    }
+    prev = s;
+  }
+  const rest = prev.distance - (boundary - size);
+  if (rest >= 1) {
+    const durationMs = activeAt(prev.t) - splitStart;
+    splits.push({ index: splits.length + 1, distance: rest, durationMs, pace: pace(durationMs, rest), steps: splitSteps });
+  }
+  return splits;
+}
+
+// One split per `size` ms of walking time; the last one may be shorter
+function timeSplits(steps, activeAt, total, size) {
+  const count = Math.max(1, Math.ceil(total / size));
+  const splits = [];
+  for (let i = 0; i < count; i++) {
+    splits.push({ index: i + 1, distance: 0, durationMs: Math.min(size, total - i * size), pace: null, steps: 0 });
+  }
+  let prevDistance = 0;
+  for (const s of steps) {
+    const split = splits[Math.min(count - 1, Math.floor(activeAt(s.t) / size))];
+    split.distance += s.distance - prevDistance;
+    split.steps += 1;
+    prevDistance = s.distance;
+  }
+  for (const split of splits) split.pace = pace(split.durationMs, split.distance);
+  return splits;
+}
@@ -0,0 +1,187 @@
+// Step detector: band-pass filtered acceleration magnitude, peak picking with an adaptive
+// threshold, and a periodicity check so only regular step sequences count (phone shakes and
+// single bumps don't). Timing comes from the sensor events themselves, never from the wall
+// clock at processing time. No DOM access.
+
+export const DEFAULT_SENSITIVITY = 5; // 1 = only firm steps … 10 = soft, shuffling steps
+
+const MIN_STEP_MS = 250; // 4 steps/s, sprinting
+const MAX_STEP_MS = 2000; // slower than this is no gait any more
+const CONFIRM_STEPS = 3; // regular candidates needed before steps are counted
+const REGULARITY = 0.4; // allowed deviation of a step interval from the recent median
+const RUN_CADENCE_HZ = 2.5;
+const RUN_PEAK = 9; // m/s², filtered peak typical for running
+const GRAVITY_CUTOFF_HZ = 0.5; // band-pass: below is gravity and posture …
+const SMOOTH_CUTOFF_HZ = 4; // … above is hand jitter and sensor noise
+
+function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+
+function lowPassAlpha(cutoffHz, dtMs) {
+  const rc = 1000 / (2 * Math.PI * cutoffHz);
+  return dtMs / (rc + dtMs);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Minimum filtered peak (m/s²) a step has to reach
+export function thresholdForSensitivity(sensitivity) {
+  return 2.0 * Math.pow(0.8, clamp(sensitivity, 1, 10) - DEFAULT_SENSITIVITY);
+}
+
+// DeviceMotionEvent.interval is specified in ms; older iOS versions report seconds
+export function intervalMs(interval) {
+  if (!isFinite(interval) || interval <= 0) return null;
+  return interval < 1 ? interval * 1000 : interval;
+}
+
+// inclined: going up or down while walking (barometer or stair steps, see floors.js); riding: vertical movement while standing (see floors.js)
+export function classifyActivity({ moving, cadenceHz, peak, inclined, riding }) {
+  if (!moving) return riding ? 'elevator' : 'standing';
+  if (cadenceHz >= RUN_CADENCE_HZ || peak >= RUN_PEAK) return 'running';
+  if (inclined) return 'stairs';
+  return 'walking';
+}
+
+// Time per activity from a change log [{ t, activity }] up to endT, and the dominant moving one
+export function summarizeActivities(log, endT) {
+  const durations = {};
+  for (let i = 0; i < log.length; i++) {
+    const until = i + 1 < log.length ? log[i + 1].t : endT;
+    const ms = Math.max(0, (until || log[i].t) - log[i].t);
+    durations[log[i].activity] = (durations[log[i].activity] || 0) + ms;
+  }
+  let dominant = null;
+  for (const [activity, ms] of Object.entries(durations)) {
+    if (activity !== 'standing' && (!dominant || ms > durations[dominant])) dominant = activity;
+  }
+  return { durations, dominant };
+}
+
+export function createStepDetector(options = {}) {
+  let sensitivity = clamp(options.sensitivity || DEFAULT_SENSITIVITY, 1, 10);
+  let baseThreshold = thresholdForSensitivity(sensitivity);
+
+  let gravity = null; // slow low-pass of the magnitude
+  let smooth1 = 0; // first low-pass stage
+  let smooth = 0; // band-passed signal (two low-pass stages for a steeper roll-off)
+  let peakLevel = 0; // decaying envelope for the adaptive threshold
+  let prev = 0;
+  let prev2 = 0;
+  let prevT = null;
+  let armed = false; // a valley was seen since the last peak
+  let lastCandidateT = null;
+  let intervals = []; // recent regular step intervals (ms)
+  let pending = 0; // regular candidates not yet confirmed as a gait
+  let fastPeaks = 0; // peaks in a row that came too soon after the previous candidate
+  let moving = false;
+
+  function restartSequence() {
+    intervals = [];
+    pending = 1;
+    moving = false;
+  }
+
+  // Returns { count, interval, t } when steps are confirmed; count > 1 when a gait was just
+  // recognised and the candidates leading up to it are counted retroactively
+  function candidate(t) {
+    // A single early peak is a bounce within the step; repeated ones are shaking
+    if (lastCandidateT != null && t - lastCandidateT < MIN_STEP_MS) {
+      fastPeaks += 1;
+      if (fastPeaks >= 2) {
+        lastCandidateT = t;
+        restartSequence();
+      }
+      return null;
+    }
+    fastPeaks = 0;
+    const gap = lastCandidateT == null ? Infinity : t - lastCandidateT;
+    lastCandidateT = t;
+    if (gap > MAX_STEP_MS) { restartSequence(); return null; }
+    if (intervals.length >= 2) {
+      const expected = median(intervals);
+      // One peak lost in noise: the gap spans two regular steps
+      if (moving && Math.abs(gap / 2 - expected) <= REGULARITY * expected) {
+        return { count: 2, interval: gap / 2, t };
+      }
+      if (Math.abs(gap - expected) > REGULARITY * expected) {
+        restartSequence();
+        return null;
+      }
+    }
+    intervals.push(gap);
+    if (intervals.length > 6) intervals.shift();
+    if (moving) return { count: 1, interval: gap, t };
+    pending += 1;
+    if (pending < CONFIRM_STEPS) return null;
+    moving = true;
+    const count = pending;
+    pending = 0;
+    return { count, interval: gap, t };
+  }
+
+  // sample: { t (ms, event time), m (|acceleration| in m/s²), interval (event.interval) }
+  function feed({ t, m, interval }) {
+    const dt = clamp(intervalMs(interval) || (prevT != null ? t - prevT : 20), 5, 200);
+    if (lastCandidateT != null && t - lastCandidateT > MAX_STEP_MS) {
+      moving = false;
+      pending = 0;
+      intervals = [];
+    }
+    if (gravity == null) gravity = m;
+    gravity += lowPassAlpha(GRAVITY_CUTOFF_HZ, dt) * (m - gravity);
+    const smoothAlpha = lowPassAlpha(SMOOTH_CUTOFF_HZ, dt);
+    smooth1 += smoothAlpha * ((m - gravity) - smooth1);
+    smooth += smoothAlpha * (smooth1 - smooth);
+    peakLevel = Math.max(Math.abs(smooth), peakLevel * Math.exp(-dt / 1500));
+    const threshold = Math.max(baseThreshold, 0.35 * peakLevel);
+
+    let result = null;
+    if (smooth < -0.5 * threshold) armed = true;
+    // Local maximum of the band-passed signal, one sample late
+    if (armed && prev > threshold && prev > prev2 && prev >= smooth && prevT != null) {
+      armed = false;
+      result = candidate(prevT);
+    }
+    prev2 = prev;
+    prev = smooth;
+    prevT = t;
+    return result;
+  }
+
+  function getGait() {
+    const cadenceHz = moving && intervals.length ? 1000 / median(intervals) : 0;
+    return { moving, cadenceHz, peak: peakLevel };
+  }
+
+  function setSensitivity(value) {
+    if (!isFinite(value)) return;
+    sensitivity = clamp(value, 1, 10);
+    baseThreshold = thresholdForSensitivity(sensitivity);
+  }
+
+  function getSensitivity() {
+    return sensitivity;
+  }
+
+  function reset() {
+    gravity = null;
+    smooth1 = 0;
+    smooth = 0;
+    peakLevel = 0;
+    prev = 0;
+    prev2 = 0;
+    prevT = null;
+    armed = false;
+    lastCandidateT = null;
+    intervals = [];
+    pending = 0;
+    fastPeaks = 0;
+    moving = false;
+  }
+
+  return { feed, getGait, setSensitivity, getSensitivity, reset };
+}
@@ -0,0 +1,65 @@
+// Step length model. Instead of one fixed length per step, each step gets
+//   L = k·w + c·w·(f − fRef),  w = (aMax − aMin)^¼  (Weinberg), f = cadence in Hz,
+// so brisk steps with strong acceleration swings come out longer than slow shuffling.
+// k and c are fitted by least squares from calibration walks over known distances.
+// No DOM access.
+
+export const MIN_STEP_LENGTH = 0.3;
+export const MAX_STEP_LENGTH = 1.5;
+const DEFAULT_CADENCE_HZ = 1.8;
+
+function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+
+export function weinbergWeight(amplitude) {
+  return Math.pow(Math.max(0, amplitude || 0), 0.25);
+}
+
+// model: { k, c, fRef }; cadenceHz may be null (first step after a pause)
+export function stepLengthFromModel(model, amplitude, cadenceHz) {
+  const w = weinbergWeight(amplitude);
+  const f = isFinite(cadenceHz) && cadenceHz > 0 ? cadenceHz : model.fRef;
+  return clamp(model.k * w + model.c * w * (f - model.fRef), MIN_STEP_LENGTH, MAX_STEP_LENGTH);
+}
+
+// Reduce one calibration walk to the sums the fit needs.
+// steps: [{ amplitude, cadenceHz }] as emitted with the tracker's 'step' events
+export function calibrationRun(distance, steps) {
+  const cadences = steps.map((s) => s.cadenceHz).filter((f) => isFinite(f) && f > 0);
+  const meanF = cadences.length ? cadences.reduce((a, b) => a + b, 0) / cadences.length : DEFAULT_CADENCE_HZ;
+  let sumW = 0;
+  let sumWF = 0;
+  for (const s of steps) {
+    const w = weinbergWeight(s.amplitude);
+    const f = isFinite(s.cadenceHz) && s.cadenceHz > 0 ? s.cadenceHz : meanF;
+    sumW += w;
+    sumWF += w * f;
+  }
+  return { distance, steps: steps.length, sumW, sumWF, cadenceHz: meanF, at: Date.now() };
+}
+
+// Least-squares fit of k and c over all runs; c stays 0 until runs at different cadences exist
+export function fitStepModel(runs) {
+  const usable = runs.filter((r) => r.distance > 0 && r.sumW > 0);
+  if (!usable.length) return null;
+  const totalW = usable.reduce((s, r) => s + r.sumW, 0);
+  const fRef = usable.reduce((s, r) => s + r.sumWF, 0) / totalW;
+  let saa = 0, sab = 0, sbb = 0, sda = 0, sdb = 0;
+  for (const r of usable) {
+    const a = r.sumW;
+    const b = r.sumWF - fRef * r.sumW;
+    saa += a * a; sab += a * b; sbb += b * b;
+    sda += r.distance * a; sdb += r.distance * b;
+  }
+  const det = saa * sbb - sab * sab;
+  let k;
+  let c = 0;
+  if (usable.length >= 2 && Math.abs(det) > 1e-9 * saa * sbb && sbb > 1e-6) {
+    k = (sda * sbb - sdb * sab) / det;
+    c = (sdb * saa - sda * sab) / det;
+  } else {
+    k = sda / saa;
+  }
+  if (!isFinite(k) || k <= 0) return null;
+  if (!isFinite(c)) c = 0;
+  return { k, c, fRef };
+}
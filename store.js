@@ -0,0 +1,176 @@
+// Track library in IndexedDB: named, dated walks with their persisted tracker state
+// (tracker.toJSON()). Summaries are kept in a store of their own, written in the same
+// transaction, so the list never has to load paths.
+// Photos live in their own store; tracks only keep pins that point to them by id. A photo is
+// deleted once no stored track pins it any more (and the caller doesn't still use it).
+
+import { summarizeActivities } from './stepdetector.js';
+import { codedError } from './errors.js';
+
+const DB_NAME = 'brodkrumen';
+const DB_VERSION = 3;
+const TRACKS = 'tracks';
+const SUMMARIES = 'summaries';
+const PHOTOS = 'photos';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(codedError('error.noStorage')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(TRACKS)) {
+          const store = db.createObjectStore(TRACKS, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(PHOTOS)) {
+          db.createObjectStore(PHOTOS, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(SUMMARIES)) {
+          const summaries = db.createObjectStore(SUMMARIES, { keyPath: 'id' });
+          summaries.createIndex('createdAt', 'createdAt');
+          // Tracks saved before version 3: one pass, a record at a time
+          req.transaction.objectStore(TRACKS).openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            summaries.put(summaryRecord(cursor.value));
+            cursor.continue();
+          };
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run fn(tx) in one transaction over `storeNames`; resolves once it is complete, with the
+// result of the request fn returns (if any)
+function transaction(storeNames, mode, fn) {
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const req = fn(tx);
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+// transaction() with fn(...objectStores) for the common case of plain store requests
+function run(storeNames, mode, fn) {
+  const names = [].concat(storeNames);
+  return transaction(names, mode, (tx) => fn(...names.map((name) => tx.objectStore(name))));
+}
+
+export function summarizeTrack(state) {
+  const path = Array.isArray(state.pathPoints) ? state.pathPoints : [];
+  const first = path[0];
+  const last = path[path.length - 1];
+  const durationMs = (first && last && isFinite(first.t) && isFinite(last.t)) ? Math.max(0, last.t - first.t) : 0;
+  const activityLog = Array.isArray(state.activityLog) ? state.activityLog : [];
+  return {
+    distance: Number(state.totalDistance) || 0,
+    steps: Number(state.stepCount) || 0,
+    durationMs,
+    activity: summarizeActivities(activityLog, last && last.t).dominant,
+  };
+}
+
+// The list entry of a track record: everything but the state
+function summaryRecord({ state, ...summary }) {
+  return summary;
+}
+
+// Within tx: delete the photos among `ids` that neither a track left in the store nor `keep` pins
+function deleteUnpinnedPhotos(tx, ids, keep) {
+  const unpinned = new Set(ids.filter((id) => id != null && !keep.includes(id)));
+  if (!unpinned.size) return;
+  tx.objectStore(TRACKS).openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) {
+      const pins = cursor.value.state && cursor.value.state.photos;
+      if (Array.isArray(pins)) pins.forEach((pin) => unpinned.delete(pin.id));
+      cursor.continue();
+      return;
+    }
+    const photos = tx.objectStore(PHOTOS);
+    unpinned.forEach((id) => photos.delete(id));
+  };
+}
+
+// Put a track record and its summary in one transaction; resolves with the id
+function putTrack(record) {
+  return transaction([TRACKS, SUMMARIES], 'readwrite', (tx) => {
+    const req = tx.objectStore(TRACKS).put(record);
+    req.onsuccess = () => tx.objectStore(SUMMARIES).put(summaryRecord({ ...record, id: req.result }));
+    return req;
+  });
+}
+
+// Insert a new track, or overwrite the one with `id`. The name is `name`, else the stored
+// one, else `defaultName` (a new track, or an id that no longer exists); resolves with the id
+export async function saveTrack({ id, name, defaultName, state }) {
+  const now = Date.now();
+  const existing = id != null ? await getTrack(id) : null;
+  const record = {
+    name: name != null ? name : existing ? existing.name : defaultName,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    ...summarizeTrack(state),
+    state,
+  };
+  if (existing) record.id = existing.id;
+  return putTrack(record);
+}
+
+// Newest first, read from the summaries only
+export async function listTracks() {
+  const all = await run(SUMMARIES, 'readonly', (store) => store.getAll());
+  return all.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function getTrack(id) {
+  return run(TRACKS, 'readonly', (store) => store.get(id)).then((r) => r || null);
+}
+
+export async function renameTrack(id, name) {
+  const record = await getTrack(id);
+  if (!record) throw codedError('error.trackNotFound');
+  record.name = name;
+  record.updatedAt = Date.now();
+  await putTrack(record);
+}
+
+// Delete a track and the photos only it pinned; keepPhotoIds: photos still in use elsewhere
+// (the live walk)
+export function deleteTrack(id, keepPhotoIds = []) {
+  return transaction([TRACKS, SUMMARIES, PHOTOS], 'readwrite', (tx) => {
+    const tracks = tx.objectStore(TRACKS);
+    tracks.get(id).onsuccess = (e) => {
+      const record = e.target.result;
+      tracks.delete(id);
+      tx.objectStore(SUMMARIES).delete(id);
+      const pins = record && record.state && Array.isArray(record.state.photos) ? record.state.photos : [];
+      deleteUnpinnedPhotos(tx, pins.map((pin) => pin.id), keepPhotoIds);
+    };
+  });
+}
+
+// photo: { blob (JPEG), thumb (small data URL), takenAt }; resolves with the new id
+export function savePhoto(photo) {
+  return run(PHOTOS, 'readwrite', (store) => store.add({ ...photo }));
+}
+
+export function getPhoto(id) {
+  return run(PHOTOS, 'readonly', (store) => store.get(id)).then((r) => r || null);
+}
+
+// Delete the photos among `ids` that no stored track pins, unless `keep` lists them
+export function deletePhotos(ids, keep = []) {
+  return transaction([TRACKS, PHOTOS], 'readwrite', (tx) => { deleteUnpinnedPhotos(tx, ids, keep); });
+}
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGuidanceCues } from '../cues.js';
+
+// The prompt spoken for a right turn `distance` meters from the start
+function spoken(lang, units, distance) {
+  const out = [];
+  let t = 0;
+  const cues = createGuidanceCues({ speak: (text) => out.push(text), units, settings: { voice: true, lang }, now: () => t });
+  const g = { headingDeg: 0, bearingDeg: 90, distance, target: { kind: 'start', name: 'Start' } };
+  cues.update(g);
+  t = 1000;
+  cues.update(g);
+  return out[0];
+}
+
+test('prompts speak distances in the unit system', () => {
+  assert.equal(spoken('de', 'metric', 20), 'rechts abbiegen, noch 20 Meter zum Start');
+  assert.equal(spoken('en', 'metric', 20), 'turn right, 20 metres to start');
+  assert.equal(spoken('en', 'imperial', 20), 'turn right, 65 feet to start');
+  assert.equal(spoken('en', 'imperial', 400), 'turn right, 440 yards to start');
+  assert.equal(spoken('de', 'imperial', 2000), 'rechts abbiegen, noch 1,2 Meilen zum Start');
+});
+
+test('the unit system can change while guiding', () => {
+  const out = [];
+  const cues = createGuidanceCues({ speak: (text) => out.push(text), settings: { voice: true, lang: 'en' } });
+  cues.setUnits('imperial');
+  cues.announceSample();
+  assert.equal(out[0], 'turn right, 65 feet to start');
+});
+
+test("'auto' cues speak the app's language and follow it when it changes", () => {
+  const out = [];
+  const cues = createGuidanceCues({ speak: (text, lang) => out.push(lang + ' ' + text), locale: 'en', settings: { voice: true, lang: 'auto' } });
+  cues.announceSample();
+  cues.setLocale('de');
+  cues.announceSample();
+  assert.deepEqual(out, ['en-GB turn right, 20 metres to start', 'de-DE rechts abbiegen, noch 20 Meter zum Start']);
+  assert.equal(cues.getSpeechLang(), 'de-DE');
+  cues.setSettings({ lang: 'en' });
+  assert.equal(cues.getSpeechLang(), 'en-GB');
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTracker, bearingDeg } from '../tracker.js';
+import { createGpsFusion } from '../fusion.js';
+import { createMockGeolocation } from '../geo.js';
+import { walkSamples } from './walk.js';
+
+const LAT = 48.1;
+const LON = 11.5;
+const M_PER_DEG_LAT = 111320;
+
+// lat/lon `north` and `east` meters from the reference point
+function offset(north, east) {
+  return { lat: LAT + north / M_PER_DEG_LAT, lon: LON + east / (M_PER_DEG_LAT * Math.cos(LAT * Math.PI / 180)) };
+}
+
+function setup() {
+  let clock = 0;
+  const tracker = createTracker({ now: () => clock });
+  const geolocation = createMockGeolocation();
+  const fusion = createGpsFusion({ tracker, geolocation, now: () => clock });
+  const events = [];
+  fusion.on('source', (e) => events.push(e));
+  tracker.setOrigin({ t: 0 });
+  return { tracker, geolocation, fusion, events, advance: (ms) => { clock += ms; } };
+}
+
+test('bearingDeg() is the compass bearing of a world vector (x east, y south)', () => {
+  assert.equal(bearingDeg(0, -1), 0);
+  assert.equal(bearingDeg(1, 0), 90);
+  assert.equal(bearingDeg(0, 1), 180);
+  assert.equal(bearingDeg(-1, 0), 270);
+  assert.ok(Math.abs(bearingDeg(1, -1) - 45) < 1e-9);
+});
+
+test('the first fix anchors the origin, later fixes pull the position towards them', () => {
+  const { tracker, geolocation, fusion, events } = setup();
+  fusion.start();
+  assert.deepEqual(events.at(-1), { source: 'pdr', accuracy: null, reason: 'waiting' });
+  geolocation.push({ ...offset(0, 0), accuracy: 5 });
+  assert.equal(events.at(-1).source, 'gps');
+  const anchor = tracker.getState().anchor;
+  assert.ok(Math.abs(anchor.lat - LAT) < 1e-6 && Math.abs(anchor.lon - LON) < 1e-6);
+  // Equal uncertainty on both sides: half way to a fix 10 m north
+  geolocation.push({ ...offset(10, 0), accuracy: 5 });
+  const p = tracker.getPosition();
+  assert.ok(Math.abs(p.y + 5) < 0.1, 'y: ' + p.y);
+  assert.ok(Math.abs(p.x) < 0.1, 'x: ' + p.x);
+});
+
+test('every change of the accuracy is reported, also while the source stays the same', () => {
+  const { geolocation, fusion, events } = setup();
+  fusion.start();
+  geolocation.push({ ...offset(0, 0), accuracy: 5 });
+  const n = events.length;
+  geolocation.push({ ...offset(0, 0), accuracy: 8 });
+  assert.equal(events.length, n + 1);
+  assert.deepEqual(events.at(-1), { source: 'gps', accuracy: 8, reason: null });
+  geolocation.push({ ...offset(0, 0), accuracy: 8 });
+  assert.equal(events.length, n + 1, 'nothing new to report');
+  geolocation.push({ ...offset(0, 0), accuracy: 50 });
+  assert.deepEqual(events.at(-1), { source: 'pdr', accuracy: 50, reason: 'inaccurate' });
+  geolocation.push({ ...offset(0, 0), accuracy: 80 });
+  assert.deepEqual(events.at(-1), { source: 'pdr', accuracy: 80, reason: null });
+});
+
+test('without fixes the source falls back to dead reckoning', () => {
+  const { geolocation, fusion, events, advance } = setup();
+  fusion.start();
+  geolocation.push({ ...offset(0, 0), accuracy: 5 });
+  advance(11000);
+  fusion.tick();
+  assert.equal(events.at(-1).source, 'pdr');
+  assert.equal(events.at(-1).reason, 'stale');
+  fusion.stop();
+  assert.equal(events.at(-1).source, 'off');
+});
+
+test('GPS travel direction corrects the heading bias, which a new walk or stopping clears', () => {
+  const { tracker, geolocation, fusion, advance } = setup();
+  fusion.start();
+  geolocation.push({ ...offset(0, 0), accuracy: 5 });
+  // The compass says north, GPS says the walk went east
+  const samples = walkSamples({ steps: 40, headingDeg: 0, t0: 0 });
+  let last = 0;
+  for (const s of samples) {
+    advance(s.t - last);
+    last = s.t;
+    if (s.kind === 'motion') tracker.feedMotion(s); else tracker.feedOrientation(s);
+  }
+  assert.ok(tracker.getPosition().y < -25);
+  geolocation.push({ ...offset(0, 30), accuracy: 5 });
+  const bias = tracker.getState().headingBiasDeg;
+  assert.ok(bias > 20 && bias < 35, 'bias: ' + bias);
+  tracker.setOrigin();
+  assert.equal(tracker.getState().headingBiasDeg, 0);
+
+  tracker.setHeadingBias(10);
+  fusion.stop();
+  assert.equal(tracker.getState().headingBiasDeg, 0);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadingFilter } from '../heading.js';
+
+// One second of a turn by `degrees` about the vertical, seen by a phone held at beta/gamma
+function turn(filter, { beta, gamma, degrees }) {
+  const b = beta * Math.PI / 180;
+  const g = gamma * Math.PI / 180;
+  const up = { x: -Math.cos(b) * Math.sin(g), y: Math.sin(b), z: Math.cos(b) * Math.cos(g) };
+  const yawRate = -degrees; // counter-clockwise positive, the heading turns clockwise
+  for (let t = 0; t <= 2000; t += 20) filter.feedTilt({ beta, gamma });
+  filter.feedCompass({ t: 0, deg: 0 });
+  for (let t = 20; t <= 1000; t += 20) {
+    filter.feedGyro({ t, rotationRate: { alpha: yawRate * up.z, beta: yawRate * up.x, gamma: yawRate * up.y }, intervalMs: 20 });
+  }
+  return filter.getHeading();
+}
+
+for (const [beta, gamma] of [[0, 0], [45, 0], [70, 0], [40, 30], [60, -45]]) {
+  test(`a gyro turn counts in full with the phone at beta ${beta}°, gamma ${gamma}°`, () => {
+    const heading = turn(createHeadingFilter(), { beta, gamma, degrees: 90 });
+    assert.ok(Math.abs(heading - 90) < 1, 'heading: ' + heading);
+  });
+}
+
+test('without a tilt the phone is assumed flat', () => {
+  const filter = createHeadingFilter();
+  filter.feedCompass({ t: 0, deg: 10 });
+  filter.feedGyro({ t: 20, rotationRate: { alpha: -500, beta: 0, gamma: 0 }, intervalMs: 20 });
+  assert.ok(Math.abs(filter.getHeading() - 20) < 1e-9);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { closeLoop } from '../loopclosure.js';
+
+// A path of 1 m steps along the legs [dx, dy] from the origin
+function path(legs) {
+  const points = [{ x: 0, y: 0, t: 0 }];
+  for (const [dx, dy] of legs) {
+    const n = Math.round(Math.hypot(dx, dy));
+    for (let i = 0; i < n; i++) {
+      const p = points[points.length - 1];
+      points.push({ x: p.x + dx / n, y: p.y + dy / n, t: points.length });
+    }
+  }
+  return points;
+}
+
+// The same path as dead reckoning would draw it: a heading drift growing to `driftDeg` over the
+// walk and a step length off by `scale`
+function distort(points, driftDeg, scale) {
+  const length = points.length - 1;
+  const out = [{ ...points[0] }];
+  for (let i = 1; i < points.length; i++) {
+    const rad = (driftDeg * Math.PI / 180) * ((i - 0.5) / length);
+    const dx = points[i].x - points[i - 1].x;
+    const dy = points[i].y - points[i - 1].y;
+    const prev = out[i - 1];
+    out.push({ ...points[i], x: prev.x + scale * (dx * Math.cos(rad) - dy * Math.sin(rad)), y: prev.y + scale * (dx * Math.sin(rad) + dy * Math.cos(rad)) });
+  }
+  return out;
+}
+
+function maxDeviation(a, b) {
+  return Math.max(...a.map((p, i) => Math.hypot(p.x - b[i].x, p.y - b[i].y)));
+}
+
+test('closing a drifted loop at the start brings back the walked loop', () => {
+  const truth = path([[20, 0], [0, 20], [-20, 0], [0, -20]]);
+  const walked = distort(truth, 15, 1);
+  const result = closeLoop(walked, 0, { x: 0, y: 0 });
+  assert.equal(result.method, 'drift');
+  assert.ok(result.errorMeters > 3);
+  assert.ok(Math.abs(result.headingDeg + 15) < 0.5, 'headingDeg: ' + result.headingDeg);
+  assert.ok(maxDeviation(result.points, truth) < 0.05);
+  const end = result.points[result.points.length - 1];
+  assert.ok(Math.hypot(end.x, end.y) < 1e-6);
+});
+
+test('a fix well away from the known point also corrects the step length', () => {
+  const truth = path([[30, 0], [0, 10]]);
+  const walked = distort(truth, -10, 0.8);
+  const result = closeLoop(walked, 0, truth[truth.length - 1]);
+  assert.equal(result.method, 'drift');
+  assert.ok(Math.abs(result.scale - 1.25) < 0.01, 'scale: ' + result.scale);
+  assert.ok(maxDeviation(result.points, truth) < 0.05);
+});
+
+test('only the path after the known point changes and points keep their fields', () => {
+  const truth = path([[10, 0], [0, 10], [-10, 0]]);
+  const walked = [...truth.slice(0, 11), ...distort(truth.slice(10), 20, 1).slice(1)];
+  const result = closeLoop(walked, 10, truth[truth.length - 1]);
+  assert.equal(result.points.length, walked.length);
+  assert.deepEqual(result.points.slice(0, 11), walked.slice(0, 11));
+  assert.ok(result.points.every((p, i) => p.t === walked[i].t));
+  assert.ok(maxDeviation(result.points, truth) < 0.05);
+});
+
+test('an implausible drift is shifted out instead', () => {
+  const walked = path([[10, 0]]);
+  const result = closeLoop(walked, 0, { x: -10, y: 0 });
+  assert.equal(result.method, 'shift');
+  const end = result.points[result.points.length - 1];
+  assert.ok(Math.hypot(end.x + 10, end.y) < 1e-6);
+});
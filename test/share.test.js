@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShare, encodeShareWithin, decodeShare, readShareFragment, shareLink } from '../share.js';
+import { createTracker } from '../tracker.js';
+import { replaySession } from '../session.js';
+import { walkSession } from './walk.js';
+
+function sharedTrack() {
+  const tracker = createTracker({ stepLength: 0.7, now: () => 0 });
+  replaySession(tracker, walkSession({ steps: 30, headingDeg: 30 }));
+  tracker.addWaypoint({ name: 'Brücke', note: 'links halten' });
+  tracker.setAnchor({ lat: 48.137, lon: 11.575, accuracy: 6 });
+  return { name: 'Runde um den Block', state: tracker.toJSON(), stepLength: 0.7, stepModel: { k: 0.45 } };
+}
+
+test('a shared track decodes to what was encoded', () => {
+  const track = sharedTrack();
+  const decoded = decodeShare(encodeShare(track));
+  assert.equal(decoded.name, track.name);
+  assert.equal(decoded.stepLength, 0.7);
+  assert.deepEqual(decoded.stepModel, { k: 0.45 });
+  assert.deepEqual(decoded.state.anchor, track.state.anchor);
+  assert.equal(decoded.state.stepCount, track.state.stepCount);
+  assert.ok(Math.abs(decoded.state.totalDistance - track.state.totalDistance) <= 0.05);
+  const [wp] = decoded.state.waypoints;
+  assert.equal(wp.name, 'Brücke');
+  assert.equal(wp.note, 'links halten');
+  assert.ok(Math.abs(wp.x - track.state.waypoints[0].x) <= 0.05 && Math.abs(wp.y - track.state.waypoints[0].y) <= 0.05);
+  const end = track.state.currentPosition;
+  assert.ok(Math.hypot(decoded.state.currentPosition.x - end.x, decoded.state.currentPosition.y - end.y) <= 0.1);
+  assert.deepEqual(decoded.state.pathPoints[0], { x: 0, y: 0, t: null, floor: 0 });
+});
+
+test('a decoded track restores into a tracker', () => {
+  const decoded = decodeShare(encodeShare(sharedTrack()));
+  const tracker = createTracker({ now: () => 0 });
+  tracker.restore(decoded.state);
+  const state = tracker.getState();
+  assert.ok(state.originSet);
+  assert.equal(state.waypoints.length, 1);
+  assert.ok(state.path.length >= 2);
+});
+
+test('floors survive the round trip', () => {
+  const state = {
+    pathPoints: [{ x: 0, y: 0, floor: 0 }, { x: 5, y: 0, floor: 0 }, { x: 5, y: 0, floor: 1 }, { x: 5, y: -4, floor: 1 }],
+    totalDistance: 9,
+    stepCount: 12,
+  };
+  const decoded = decodeShare(encodeShare({ name: 'Treppenhaus', state, stepLength: 0.75 }));
+  assert.deepEqual(decoded.state.pathPoints.map((p) => [p.x, p.y, p.floor]), [[0, 0, 0], [5, 0, 0], [5, 0, 1], [5, -4, 1]]);
+  assert.equal(decoded.state.floors.floor, 1);
+});
+
+test('corrupt or truncated payloads are rejected', () => {
+  const payload = encodeShare(sharedTrack());
+  const flipped = payload.slice(0, 10) + (payload[10] === 'A' ? 'B' : 'A') + payload.slice(11);
+  assert.throws(() => decodeShare(flipped), { code: 'error.shareChecksum' });
+  assert.throws(() => decodeShare(payload.slice(0, payload.length - 6)), { code: 'error.shareChecksum' });
+  assert.throws(() => decodeShare(''), { code: 'error.shareTruncated' });
+  assert.throws(() => decodeShare('a+b'), { code: 'error.shareChars' });
+});
+
+test('a payload limit is met by simplifying the path further', () => {
+  // A wavy path the finest tolerance keeps most of
+  const pathPoints = Array.from({ length: 400 }, (_, i) => ({ x: i * 0.5, y: 0.3 * Math.sin(i / 3), floor: 0 }));
+  const track = { name: 'Welle', state: { pathPoints, totalDistance: 200, stepCount: 270 }, stepLength: 0.75 };
+  const full = encodeShare(track);
+  const fitted = encodeShareWithin(track, full.length - 1);
+  assert.ok(fitted && fitted.payload.length < full.length && fitted.tolerance > 0.1);
+  assert.equal(encodeShareWithin(track, 10), null);
+});
+
+test('the payload travels in the URL fragment', () => {
+  const payload = encodeShare(sharedTrack());
+  const link = shareLink('https://example.org/app/#old', payload);
+  assert.equal(readShareFragment(new URL(link).hash), payload);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTracker } from '../tracker.js';
+import { createEditHistory } from '../trackedit.js';
+import { walkSamples } from './walk.js';
+
+function feed(tracker, samples) {
+  for (const s of samples) {
+    if (s.kind === 'motion') tracker.feedMotion(s); else tracker.feedOrientation(s);
+  }
+}
+
+function edit(tracker, history, label, fn) {
+  const before = JSON.stringify(tracker.toJSON());
+  fn();
+  history.record(label, before, JSON.stringify(tracker.toJSON()));
+}
+
+function setup() {
+  const tracker = createTracker({ stepLength: 0.75, now: () => 0 });
+  tracker.setOrigin({ t: 1000000 });
+  feed(tracker, walkSamples({ steps: 20, headingDeg: 0, t0: 1000000 }));
+  return { tracker, history: createEditHistory() };
+}
+
+test('undo and redo keep the steps walked after the edit', () => {
+  const { tracker, history } = setup();
+  const walked = tracker.getState().stepCount;
+  const end = tracker.getPosition();
+  edit(tracker, history, 'undo steps', () => tracker.undoSteps(5));
+  const edited = tracker.getPosition();
+  assert.equal(tracker.getState().stepCount, walked - 5);
+
+  feed(tracker, walkSamples({ steps: 10, headingDeg: 90, t0: 1100000 }));
+  const more = tracker.getState().stepCount - (walked - 5);
+  assert.ok(more > 5);
+  const leg = { x: tracker.getPosition().x - edited.x, y: tracker.getPosition().y - edited.y };
+  const points = tracker.getState().path.length;
+
+  assert.ok(history.canUndo());
+  tracker.restore(history.undo(tracker.toJSON()).snapshot);
+  let state = tracker.getState();
+  assert.equal(state.stepCount, walked + more);
+  assert.ok(Math.abs(state.position.x - (end.x + leg.x)) < 1e-9);
+  assert.ok(Math.abs(state.position.y - (end.y + leg.y)) < 1e-9);
+  assert.ok(state.path.length > points);
+
+  tracker.restore(history.redo(tracker.toJSON()).snapshot);
+  state = tracker.getState();
+  assert.equal(state.stepCount, walked - 5 + more);
+  assert.equal(state.path.length, points);
+  assert.ok(Math.abs(state.position.x - (edited.x + leg.x)) < 1e-9);
+  assert.ok(Math.abs(state.position.y - (edited.y + leg.y)) < 1e-9);
+});
+
+test('waypoints dropped after the edit move along with the walk', () => {
+  const { tracker, history } = setup();
+  edit(tracker, history, 'undo steps', () => tracker.undoSteps(4));
+  feed(tracker, walkSamples({ steps: 6, headingDeg: 90, t0: 1100000 }));
+  const wp = tracker.addWaypoint({ name: 'Tür' });
+  const snapshot = history.undo(tracker.toJSON()).snapshot;
+  const moved = snapshot.waypoints.find((w) => w.id === wp.id);
+  assert.ok(Math.abs(moved.x - snapshot.currentPosition.x) < 1e-9);
+  assert.ok(Math.abs(moved.y - snapshot.currentPosition.y) < 1e-9);
+});
+
+test('a path rewritten since the edit ends the history', () => {
+  const { tracker, history } = setup();
+  edit(tracker, history, 'undo steps', () => tracker.undoSteps(4));
+  feed(tracker, walkSamples({ steps: 6, headingDeg: 90, t0: 1100000 }));
+  tracker.closeLoopAt(null);
+  assert.equal(history.undo(tracker.toJSON()), null);
+  assert.ok(!history.canUndo() && !history.canRedo());
+});
+
+test('a photo unpinned after the edit stays unpinned on undo', () => {
+  const { tracker, history } = setup();
+  tracker.addPhoto(7);
+  edit(tracker, history, 'undo steps', () => tracker.undoSteps(4));
+  tracker.removePhoto(7);
+  const snapshot = history.undo(tracker.toJSON()).snapshot;
+  assert.deepEqual(snapshot.photos, []);
+});
@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTracker } from '../tracker.js';
+import { replaySession } from '../session.js';
+import { CARRY_MODES } from '../carry.js';
+import { walkSession } from './walk.js';
+
+function replay(options, trackerOptions = {}) {
+  const tracker = createTracker({ stepLength: 0.75, now: () => 0, ...trackerOptions });
+  const events = { step: 0, move: 0 };
+  tracker.on('step', () => { events.step += 1; });
+  tracker.on('move', () => { events.move += 1; });
+  replaySession(tracker, walkSession(options));
+  return { tracker, state: tracker.getState(), events };
+}
+
+test('a replayed walk north counts its steps and ends north of the start', () => {
+  const { state, events } = replay({ steps: 30, headingDeg: 0 });
+  assert.ok(Math.abs(state.stepCount - 30) <= 2, 'steps: ' + state.stepCount);
+  assert.equal(events.step, state.stepCount);
+  assert.equal(events.move, state.stepCount);
+  assert.ok(Math.abs(state.totalDistance - state.stepCount * 0.75) < 1e-6);
+  assert.ok(state.position.y < -20, 'y: ' + state.position.y);
+  assert.ok(Math.abs(state.position.x) < 1, 'x: ' + state.position.x);
+  assert.ok(state.backToStart.bearingDeg > 170 && state.backToStart.bearingDeg < 190);
+});
+
+test('a walk east ends east of the start', () => {
+  const { state } = replay({ steps: 20, headingDeg: 90 });
+  assert.ok(state.position.x > 12, 'x: ' + state.position.x);
+  assert.ok(Math.abs(state.position.y) < 1, 'y: ' + state.position.y);
+});
+
+test('standing still counts no steps', () => {
+  const { state } = replay({ steps: 0 });
+  assert.equal(state.stepCount, 0);
+  assert.deepEqual(state.position, { x: 0, y: 0 });
+});
+
+test('toJSON() and restore() carry a walk over to a new tracker', () => {
+  const { tracker } = replay({ steps: 12, headingDeg: 45 });
+  const copy = createTracker({ now: () => 0 });
+  copy.restore(JSON.parse(JSON.stringify(tracker.toJSON())));
+  const a = tracker.getState();
+  const b = copy.getState();
+  assert.equal(b.stepCount, a.stepCount);
+  assert.deepEqual(b.position, a.position);
+  assert.equal(b.path.length, a.path.length);
+});
+
+test('walking with the phone held at a reading angle is walking, not stairs', () => {
+  const tracker = createTracker({ stepLength: 0.75, now: () => 0 });
+  const activities = new Set();
+  tracker.on('activity', ({ activity }) => activities.add(activity));
+  replaySession(tracker, walkSession({ steps: 40, headingDeg: 0, beta: 40 }));
+  assert.ok(activities.has('walking'));
+  assert.ok(!activities.has('stairs'), [...activities].join(', '));
+});
+
+test('a stair walk is stairs, on a phone held flat or at a reading angle', () => {
+  for (const beta of [5, 40]) {
+    for (const stairs of ['up', 'down']) {
+      const tracker = createTracker({ stepLength: 0.3, now: () => 0 });
+      const activities = new Set();
+      tracker.on('activity', ({ activity }) => activities.add(activity));
+      replaySession(tracker, walkSession({ steps: 30, beta, stairs, stepHz: 1.5 }));
+      assert.ok(activities.has('stairs'), stairs + ' at ' + beta + '°: ' + [...activities].join(', '));
+    }
+  }
+});
+
+test('heading events are throttled below the sensor rate', () => {
+  const tracker = createTracker({ stepLength: 0.75, now: () => 0 });
+  const times = [];
+  tracker.on('heading', ({ t }) => times.push(t));
+  const session = walkSession({ steps: 30, headingDeg: 45 });
+  replaySession(tracker, session);
+  const motionSamples = session.samples.filter((s) => s.kind === 'motion').length;
+  assert.ok(times.length > 0);
+  assert.ok(times.length < motionSamples / 20, times.length + ' of ' + motionSamples);
+  for (let i = 1; i < times.length; i++) assert.ok(times[i] - times[i - 1] >= 100);
+});
+
+test('restoring a snapshot keeps the live carrying mode and the track keeps its own', () => {
+  const tracker = createTracker({ stepLength: 0.75, now: () => 0, carry: { mode: 'pocket', manualOffsetDeg: 10 } });
+  const other = createTracker({ stepLength: 0.75, now: () => 0, carry: { mode: 'bag' } });
+  replaySession(other, walkSession({ steps: 10 }));
+  tracker.restore(other.toJSON());
+  const carry = tracker.getCarry();
+  assert.equal(carry.mode, 'pocket');
+  assert.equal(carry.manualOffsetDeg, 10);
+  assert.equal(tracker.toJSON().carry.mode, 'bag');
+  tracker.setOrigin();
+  assert.equal(tracker.toJSON().carry.mode, 'pocket');
+});
+
+test('a carrying mode changed during a walk is saved with it', () => {
+  const tracker = createTracker({ now: () => 0 });
+  tracker.setOrigin();
+  tracker.setCarry({ mode: 'bag' });
+  assert.equal(tracker.toJSON().carry.mode, 'bag');
+});
+
+test('bag is a carrying mode of its own with the phone facing backwards', () => {
+  assert.equal(createTracker({ now: () => 0, carry: { mode: 'bag' } }).getCarry().mode, 'bag');
+  assert.equal(CARRY_MODES.bag.offsetDeg, 180);
+  assert.equal(CARRY_MODES.pocket.offsetDeg, 0);
+});
+
+test('flat walking at a typical hand-held pitch stays on floor 0', () => {
+  const tracker = createTracker({ stepLength: 0.75, now: () => 0 });
+  const floors = [];
+  tracker.on('floor', ({ floor }) => floors.push(floor));
+  replaySession(tracker, walkSession({ steps: 53, headingDeg: 90, beta: 40 }));
+  const state = tracker.getState();
+  assert.deepEqual(floors, []);
+  assert.equal(state.floor, 0);
+  assert.equal(state.altitudeMeters, 0);
+  assert.ok(tracker.toJSON().pathPoints.every((p) => (p.floor || 0) === 0));
+});
+
+test('a stair walk without a barometer changes floors in the direction of the stairs', () => {
+  for (const [stairs, expected] of [['up', [1, 2]], ['down', [-1, -2]]]) {
+    const tracker = createTracker({ stepLength: 0.3, now: () => 0 });
+    const floors = [];
+    tracker.on('floor', ({ floor, via }) => floors.push(floor + ' ' + via));
+    replaySession(tracker, walkSession({ steps: 40, stairs, stepHz: 1.5 }));
+    assert.deepEqual(floors, expected.map((floor) => floor + ' stairs'));
+    assert.equal(tracker.getState().floor, expected[1]);
+  }
+});
+
+test('a steady barometer overrules stair steps from the motion signal', () => {
+  const session = walkSession({ steps: 40, stairs: 'up', stepHz: 1.5 });
+  const motion = session.samples.filter((s) => s.kind === 'motion');
+  motion.forEach((s, i) => { if (i % 50 === 0) session.samples.push({ kind: 'pressure', t: s.t, pressure: 1013.25 }); });
+  session.samples.sort((a, b) => a.t - b.t);
+  const tracker = createTracker({ stepLength: 0.3, now: () => 0 });
+  const activities = new Set();
+  tracker.on('activity', ({ activity }) => activities.add(activity));
+  replaySession(tracker, session);
+  assert.equal(tracker.getState().floor, 0);
+  assert.ok(!activities.has('stairs'), [...activities].join(', '));
+});
+
+test('unnamed waypoints and the start take their names from the labels', () => {
+  const tracker = createTracker({ now: () => 0, labels: { start: () => 'Ausgang', waypoint: (id) => 'Punkt ' + id } });
+  tracker.setOrigin();
+  assert.equal(tracker.addWaypoint().name, 'Punkt 1');
+  assert.equal(tracker.getTarget().name, 'Ausgang');
+  assert.equal(createTracker({ now: () => 0 }).getTarget().name, 'Start');
+});
@@ -0,0 +1,57 @@
+// Synthetic sensor sessions for the tests: a steady walk with the phone held at a fixed pitch,
+// on level ground or on stairs, as devicemotion/deviceorientation samples in the session file
+// format (see session.js).
+
+import { createSession } from '../session.js';
+
+const G = 9.81;
+
+// steps: number of steps; headingDeg: compass heading; beta: device pitch in degrees
+// (0 = flat, 90 = upright); stepHz: cadence; amplitude: vertical bounce in m/s²;
+// sway: forward acceleration in m/s² (speeding up and slowing down within a step);
+// stairs: 'up' or 'down' for a staircase, where the forward sway is small and going down
+// lands on each step with a jolt; standMs: standing still before and after the walk
+export function walkSamples({ steps = 30, headingDeg = 0, beta = 5, stepHz = 1.8, amplitude = 4, sway = null, stairs = null, standMs = 2000, t0 = 1000000, rateHz = 50 } = {}) {
+  const dt = 1000 / rateHz;
+  const walkMs = (steps / stepHz) * 1000;
+  const total = standMs + walkMs + standMs;
+  const b = beta * Math.PI / 180;
+  const up = { x: 0, y: Math.sin(b), z: Math.cos(b) }; // device frame
+  const forward = { x: 0, y: Math.cos(b), z: -Math.sin(b) };
+  const swayAmplitude = sway != null ? sway : stairs ? 0.8 : 3;
+  const samples = [];
+  for (let ms = 0; ms <= total; ms += dt) {
+    const t = t0 + ms;
+    const walking = ms >= standMs && ms < standMs + walkMs;
+    const phase = stepHz * (ms - standMs) / 1000;
+    let bounce = 0;
+    let push = 0;
+    if (walking) {
+      bounce = amplitude * Math.sin(2 * Math.PI * phase);
+      if (stairs === 'down') bounce += amplitude * 2 * (landing(phase % 1) - 0.125);
+      push = swayAmplitude * Math.cos(2 * Math.PI * phase);
+    }
+    const m = G + bounce;
+    samples.push({
+      kind: 'motion',
+      t,
+      timeStamp: t,
+      accelerationIncludingGravity: { x: up.x * m + forward.x * push, y: up.y * m + forward.y * push, z: up.z * m + forward.z * push },
+      acceleration: null,
+      rotationRate: { alpha: 0, beta: 0, gamma: 0 },
+      interval: dt,
+    });
+    samples.push({ kind: 'orientation', t, timeStamp: t, alpha: (360 - headingDeg) % 360, beta, gamma: 0, absolute: true });
+  }
+  return samples;
+}
+
+// A short raised-cosine jolt around the top of each step's bounce (phase 0..1), zero elsewhere
+function landing(phase) {
+  const p = phase - 0.125;
+  return p >= 0 && p < 0.25 ? (1 - Math.cos(2 * Math.PI * p / 0.25)) / 2 : 0;
+}
+
+export function walkSession(options = {}) {
+  return createSession({ startedAt: options.t0 || 1000000, stepLength: options.stepLength || 0.75, userAgent: 'test', samples: walkSamples(options) });
+}
@@ -0,0 +1,129 @@
+// Track editing: pure operations on a breadcrumb path (undo steps, delete a stretch, trim) and
+// a snapshot-based undo/redo history. The tracker applies the path operations to its own state;
+// the history stores whole track snapshots (tracker.toJSON()) around each edit and carries what
+// was walked after an edit over to the snapshot it goes back to. No DOM access.
+
+// Length and number of steps (non-zero segments) between points a and b
+export function pathStats(points, a, b) {
+  let length = 0;
+  let steps = 0;
+  for (let i = Math.max(1, a + 1); i <= b && i < points.length; i++) {
+    const d = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    if (d > 0) { length += d; steps += 1; }
+  }
+  return { length, steps };
+}
+
+// Drop the last n steps. Returns { points, length, steps } (what was removed)
+export function dropLastSteps(points, n) {
+  let i = points.length - 1;
+  let steps = 0;
+  let length = 0;
+  while (i > 0 && steps < n) {
+    const d = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    if (d > 0) { steps += 1; length += d; }
+    i -= 1;
+  }
+  return { points: points.slice(0, i + 1), length, steps };
+}
+
+// Cut out the stretch between points from and to (from < to): everything after `to` moves
+// back by the stretch's displacement so the path stays connected at `from`.
+// Returns { points, shift, length, steps }.
+export function deleteStretch(points, from, to) {
+  const shift = { x: points[from].x - points[to].x, y: points[from].y - points[to].y };
+  const rest = points.slice(to + 1).map((p) => ({ ...p, x: p.x + shift.x, y: p.y + shift.y }));
+  return { points: points.slice(0, from + 1).concat(rest), shift, ...pathStats(points, from, to) };
+}
+
+// Keep only points from..to. Returns { points, length, steps } (what was cut off)
+export function trimPath(points, from, to) {
+  const head = pathStats(points, 0, from);
+  const tail = pathStats(points, to, points.length - 1);
+  return { points: points.slice(from, to + 1), length: head.length + tail.length, steps: head.steps + tail.steps };
+}
+
+// Walking on only appends to a track. Given the snapshot `base` the live track grew from, the
+// walk since then is moved onto `target` (both tracker.toJSON()): the new points, waypoints and
+// photos shift by the difference of the two end positions, steps and distance add up, and what
+// only grows with time (activity log, pauses, floors) is taken from `live`. Waypoints and photos
+// removed since stay removed.
+// Returns the combined snapshot, or null when `live` changed in another way than by walking
+// (e.g. a loop closure rewrote the path).
+export function rebaseSnapshot(target, base, live) {
+  const basePath = base.pathPoints || [];
+  const livePath = live.pathPoints || [];
+  if (livePath.length < basePath.length) return null;
+  for (let i = 0; i < basePath.length; i++) {
+    if (livePath[i].x !== basePath[i].x || livePath[i].y !== basePath[i].y) return null;
+  }
+  const shift = {
+    x: target.currentPosition.x - base.currentPosition.x,
+    y: target.currentPosition.y - base.currentPosition.y,
+  };
+  const move = (p) => ({ ...p, x: p.x + shift.x, y: p.y + shift.y });
+  const addedSince = (list, baseList) => {
+    const known = new Set((baseList || []).map((item) => item.id));
+    return (list || []).filter((item) => !known.has(item.id)).map(move);
+  };
+  const stillThere = (list, liveList) => {
+    const ids = new Set((liveList || []).map((item) => item.id));
+    return (list || []).filter((item) => ids.has(item.id));
+  };
+  const rawOffset = live.rawOffset || { x: 0, y: 0 };
+  return {
+    ...live,
+    pathPoints: (target.pathPoints || []).concat(livePath.slice(basePath.length).map(move)),
+    currentPosition: move(live.currentPosition),
+    totalDistance: target.totalDistance + (live.totalDistance - base.totalDistance),
+    stepCount: target.stepCount + (live.stepCount - base.stepCount),
+    waypoints: stillThere(target.waypoints, live.waypoints).concat(addedSince(live.waypoints, base.waypoints)),
+    photos: stillThere(target.photos, live.photos).concat(addedSince(live.photos, base.photos)),
+    loopClosures: target.loopClosures,
+    rawOffset: { x: rawOffset.x - shift.x, y: rawOffset.y - shift.y },
+  };
+}
+
+// Undo/redo of whole-track snapshots. Each entry is { label, before, after }; the snapshots
+// are JSON strings the caller takes right before and after the edit, so later changes to the
+// live state can't leak into them. undo() and redo() take the live snapshot and keep what was
+// walked since; a history that no longer fits the live track is dropped.
+export function createEditHistory({ limit = 50 } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+
+  function record(label, before, after) {
+    undoStack.push({ label, before, after });
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack = [];
+  }
+
+  // Returns { label, snapshot } to restore, or null
+  function undo(live) {
+    const entry = undoStack.pop();
+    if (!entry) return null;
+    const snapshot = rebaseSnapshot(JSON.parse(entry.before), JSON.parse(entry.after), live);
+    if (!snapshot) { clear(); return null; }
+    redoStack.push(entry);
+    return { label: entry.label, snapshot };
+  }
+
+  function redo(live) {
+    const entry = redoStack.pop();
+    if (!entry) return null;
+    const snapshot = rebaseSnapshot(JSON.parse(entry.after), JSON.parse(entry.before), live);
+    if (!snapshot) { clear(); return null; }
+    undoStack.push(entry);
+    return { label: entry.label, snapshot };
+  }
+
+  function clear() {
+    undoStack = [];
+    redoStack = [];
+  }
+
+  function canUndo() { return undoStack.length > 0; }
+  function canRedo() { return redoStack.length > 0; }
+
+  return { record, undo, redo, clear, canUndo, canRedo };
+}
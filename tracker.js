@@ -0,0 +1,789 @@
+// Headless pedestrian dead-reckoning engine: step detection, heading filter and path integration.
+// It never touches the DOM. Feed it devicemotion/deviceorientation events (or recorded session
+// samples) and subscribe to its events; app.js is just one consumer, Node tests are another.
+//
+// Events: 'heading', 'step', 'move', 'activity', 'floor', 'origin', 'reset', 'pause', 'resume', 'anchor',
+// 'waypoints', 'target', 'photos', 'loopclosure', 'edit', 'restore'.
+
+import { createEmitter } from './emitter.js';
+import { stepLengthFromModel } from './steplength.js';
+import { createStepDetector, classifyActivity, intervalMs } from './stepdetector.js';
+import { createHeadingFilter } from './heading.js';
+import { CARRY_MODES, normalizeCarry, createWalkDirectionEstimator } from './carry.js';
+import { createFloorTracker } from './floors.js';
+import { closeLoop } from './loopclosure.js';
+import { dropLastSteps, deleteStretch, trimPath } from './trackedit.js';
+
+const DEFAULT_STEP_LENGTH = 0.75;
+const AUTO_PAUSE_MS = 15000; // standing still this long pauses the track when auto-pause is on
+const HEADING_EMIT_MS = 100; // at most ten 'heading' events a second …
+const HEADING_EMIT_DEG = 1; // … and only for a visible turn, else once a second
+
+function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+
+function magnitude(x, y, z) {
+  return Math.sqrt(x * x + y * y + z * z);
+}
+
+function normalizeDeg(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+// Compass bearing (0° north, clockwise) of a world vector (x right/east, y down/south)
+export function bearingDeg(dx, dy) {
+  // North is -y, so the clockwise angle from north is atan2(east, north)
+  return normalizeDeg(Math.atan2(dx, -dy) * 180 / Math.PI);
+}
+
+// Names the tracker gives on its own; the app passes translated ones as options.labels
+export const DEFAULT_LABELS = {
+  start: () => 'Start',
+  waypoint: (id) => 'Waypoint ' + id,
+};
+
+export function createTracker(options = {}) {
+  const now = options.now || (() => Date.now());
+  const labels = { ...DEFAULT_LABELS, ...(options.labels || {}) };
+  let stepLength = clamp(options.stepLength || DEFAULT_STEP_LENGTH, 0.3, 1.5);
+  let stepModel = options.stepModel || null; // fitted per-step model (steplength.js); null = fixed stepLength
+  const { on, off, emit } = createEmitter();
+
+  // World state in meters; origin is start point, positive x to the right, positive y downward (canvas coords)
+  let pathPoints = []; // Array of {x, y, t, floor, alt} in meters relative to origin, t = sample timestamp (ms)
+  let rawPath = null; // uncorrected dead-reckoning path once a loop was closed, else null
+  let rawOffset = { x: 0, y: 0 }; // raw minus corrected position since the last loop closure
+  let loopClosures = []; // [{ t, index, name, errorMeters, headingDeg, scale, method }]
+  let originSet = false;
+  let currentPosition = { x: 0, y: 0 };
+  let totalDistance = 0;
+  let stepCount = 0;
+  let backToStart = { distance: 0, bearingDeg: 0 };
+  let altitudeMeters = 0; // relative to the start point
+  const floors = createFloorTracker();
+  let paused = false;
+  let pauses = []; // [{ start, end, x, y, floor, auto }] pause intervals (ms) of the recorded track; end is null while paused
+  let autoPause = !!options.autoPause;
+  let autoPaused = false; // the current pause was started by stillness and ends with the next steps
+  let stillSince = 0; // last step, origin or resume
+  let hold = false; // move without extending the path (used while guiding back)
+  let anchor = null; // optional geo anchor of the origin: { lat, lon, northOffsetDeg, accuracy? }
+  let headingBiasDeg = 0; // correction added to the compass heading (e.g. estimated from GPS)
+  let carry = normalizeCarry(options.carry); // { mode, manualOffsetDeg, declinationDeg }
+  let trackCarry = carry; // the mode the recorded track was walked with; saved with it
+  const walkDirection = createWalkDirectionEstimator();
+  let waypoints = []; // [{ id, name, note, x, y, t, floor }]
+  let targetId = null; // waypoint the guidance points to; null = origin
+  let photos = []; // [{ id, x, y, floor, headingDeg, t }] pins; id refers to the photo store
+  let guidance = { distance: 0, bearingDeg: 0 }; // to the current target
+
+  // Heading filter
+  let lastHeadingDeg = null; // 0..360, 0 = North (we map to -Y in canvas)
+  const headingFilter = createHeadingFilter(); // gyro + compass fusion
+  let headingWindow = []; // recent headings for step averaging
+  let lastEmittedHeading = null; // { t, deg, disturbed } of the last 'heading' event
+
+  // Step detector
+  let clock = 0; // timestamp of the sample being processed
+  let sensorTime = 0; // event time of the latest sample (heading filter and step detector time base)
+  const detector = createStepDetector({ sensitivity: options.sensitivity });
+  let lastStepTime = 0;
+  let stepMin = Infinity; // acceleration extremes since the previous step (Weinberg amplitude)
+  let stepMax = -Infinity;
+  let activity = 'standing';
+  let activityLog = []; // [{ t, activity }] changes while a track is recorded
+  let lastMoveHeadingDeg = null;
+
+  // Recorded samples carry their own timestamp `t`; live events use the injected clock
+  function sampleTime(sample) {
+    return (sample && typeof sample.t === 'number') ? sample.t : now();
+  }
+
+  // Sensor time of the event itself (monotonic); falls back to the sample clock
+  function eventTime(e) {
+    sensorTime = (typeof e.timeStamp === 'number' && e.timeStamp > 0) ? e.timeStamp : clock;
+    return sensorTime;
+  }
+
+  function feedOrientation(e) {
+    clock = sampleTime(e);
+    const t = eventTime(e);
+    // Prefer webkitCompassHeading on iOS (0 = North, clockwise)
+    const iosHeading = (e.webkitCompassHeading != null) ? e.webkitCompassHeading : null;
+    let heading = iosHeading;
+    if (heading == null) {
+      // Fallback using alpha; not reliable on all devices
+      heading = (typeof e.alpha === 'number') ? (360 - e.alpha) : null;
+    }
+    if (typeof e.beta === 'number' && typeof e.gamma === 'number') headingFilter.feedTilt({ beta: e.beta, gamma: e.gamma });
+    if (typeof heading === 'number' && isFinite(heading)) {
+      headingFilter.feedCompass({ t, deg: normalizeDeg(heading), accuracy: e.webkitCompassAccuracy });
+      updateHeading();
+    }
+
+    // With a gyro the heading is emitted from the motion samples
+    if (lastHeadingDeg != null && !headingFilter.hasGyro(t)) emitHeading(t);
+  }
+
+  function updateHeading() {
+    lastHeadingDeg = headingFilter.getHeading();
+    if (lastHeadingDeg == null) return;
+    headingWindow.push({ t: clock, deg: lastHeadingDeg });
+    const cutoff = clock - 600; // 0.6s window
+    while (headingWindow.length && headingWindow[0].t < cutoff) headingWindow.shift();
+  }
+
+  function emitHeading(t) {
+    const disturbed = headingFilter.isDisturbed();
+    if (lastEmittedHeading && t >= lastEmittedHeading.t) {
+      const since = t - lastEmittedHeading.t;
+      const turned = Math.abs(normalizeDeg(lastHeadingDeg - lastEmittedHeading.deg + 180) - 180);
+      if (since < HEADING_EMIT_MS) return;
+      if (turned < HEADING_EMIT_DEG && disturbed === lastEmittedHeading.disturbed && since < 1000) return;
+    }
+    lastEmittedHeading = { t, deg: lastHeadingDeg, disturbed };
+    emit('heading', {
+      headingDeg: lastHeadingDeg,
+      t: clock,
+      confidence: headingFilter.getConfidence(t),
+      disturbed,
+    });
+  }
+
+  function feedMotion(e) {
+    clock = sampleTime(e);
+    const t = eventTime(e);
+    // The heading keeps following the gyro during a pause
+    const gyro = headingFilter.feedGyro({
+      t,
+      rotationRate: e.rotationRate,
+      intervalMs: intervalMs(e.interval),
+    });
+    if (gyro) {
+      updateHeading();
+      if (lastHeadingDeg != null) emitHeading(t);
+    }
+    // A manual pause freezes everything; an automatic one keeps detecting steps to end itself
+    if (paused && !autoPaused) return;
+    const a = e.accelerationIncludingGravity || e.acceleration;
+    if (!a) return;
+    if (e.accelerationIncludingGravity && CARRY_MODES[carry.mode].auto) walkDirection.feed(t, a);
+    const m = magnitude(a.x || 0, a.y || 0, a.z || 0);
+    stepMin = Math.min(stepMin, m);
+    stepMax = Math.max(stepMax, m);
+
+    // Detect steps always; advance only when origin is set
+    const detected = detector.feed({ t, m, interval: e.interval });
+    if (detected && autoPaused) resumeAfterStillness();
+    if (paused) { updateActivity(); return; }
+    if (detected) {
+      const amplitude = isFinite(stepMax - stepMin) ? stepMax - stepMin : 0;
+      const cadenceHz = 1000 / detected.interval;
+      const length = stepModel ? stepLengthFromModel(stepModel, amplitude, cadenceHz) : stepLength;
+      stepMin = m;
+      stepMax = m;
+      lastStepTime = clock;
+      stillSince = clock;
+      if (CARRY_MODES[carry.mode].auto) walkDirection.estimate(detected.interval);
+      // A freshly recognised gait also counts the steps that led up to it
+      for (let i = 0; i < detected.count; i++) {
+        stepCount += 1;
+        if (originSet) {
+          advanceByStep(length);
+          handleFloor(floors.onStep(), 'stairs');
+        }
+        emit('step', { stepCount, t: clock, amplitude, cadenceHz, length, activity });
+      }
+    }
+    if (originSet && e.accelerationIncludingGravity) {
+      // Only a quiet, gait-free signal can be an elevator ride (walking would integrate as one)
+      const gait = detector.getGait();
+      handleFloor(floors.feedMotion(t, a, !gait.moving && gait.peak < 1), 'elevator');
+    }
+    updateActivity();
+    if (autoPause && originSet && activity === 'standing' && clock - stillSince >= AUTO_PAUSE_MS) pauseForStillness();
+  }
+
+  // Barometer reading (Generic Sensor API or a recorded sample): { t?, pressure } in hPa
+  function feedPressure(sample) {
+    clock = sampleTime(sample);
+    if (!originSet) return;
+    const moving = detector.getGait().moving;
+    handleFloor(floors.feedPressure(clock, sample.pressure), moving ? 'stairs' : 'elevator');
+  }
+
+  function handleFloor(floor, via) {
+    altitudeMeters = floors.getState().altitude;
+    if (floor == null) return;
+    // The new layer starts where the floor changed
+    if (!hold) pushPoint({ x: currentPosition.x, y: currentPosition.y, t: clock, floor });
+    emit('floor', { floor, via, altitudeMeters, t: clock });
+  }
+
+  function updateActivity() {
+    // Going up or down comes from the barometer or the shape of the steps (see floors.js), never
+    // from the device pitch: a phone held to read the screen is tilted 30–50° on flat ground.
+    const inclined = floors.climbing() !== 0;
+    const next = classifyActivity({ ...detector.getGait(), inclined, riding: floors.isRiding() });
+    if (next === activity) return;
+    activity = next;
+    if (originSet) activityLog.push({ t: clock, activity });
+    emit('activity', { activity, t: clock });
+  }
+
+  function setSensitivity(value) {
+    detector.setSensitivity(value);
+  }
+
+  function advanceByStep(stepMeters) {
+    // Heading: 0° = North (up). Canvas Y grows down, so dy = +meters for South. We invert.
+    // Use averaged heading over last ~0.6s to avoid compass jumps
+    let heading = lastHeadingDeg == null ? 0 : lastHeadingDeg;
+    if (headingWindow.length) {
+      const s = headingWindow.reduce((acc, h) => {
+        const r = h.deg * Math.PI / 180;
+        acc.x += Math.cos(r); acc.y += Math.sin(r); return acc;
+      }, { x: 0, y: 0 });
+      const avg = Math.atan2(s.y, s.x) * 180 / Math.PI;
+      heading = normalizeDeg(avg);
+    }
+    heading = normalizeDeg(heading + headingBiasDeg + carryOffsetDeg());
+    const rad = heading * Math.PI / 180;
+    // Convert to canvas/world coordinates (x to right, y down). North means y decreases.
+    const dx = Math.sin(rad) * stepMeters; // east-west component
+    const dy = -Math.cos(rad) * stepMeters; // north-south component (negative for north)
+    const next = { x: currentPosition.x + dx, y: currentPosition.y + dy };
+
+    // Update movement heading
+    lastMoveHeadingDeg = normalizeDeg(Math.atan2(dx, -dy) * 180 / Math.PI);
+
+    if (!hold) {
+      const floor = floors.getState().floor;
+      pushPoint({ x: currentPosition.x, y: currentPosition.y, t: clock, floor });
+      pushPoint({ x: next.x, y: next.y, t: clock, floor });
+      totalDistance += stepMeters;
+    }
+    currentPosition = next;
+
+    updateBackToStart();
+    emit('move', { position: { ...currentPosition }, totalDistance, stepCount, t: clock, step: { dx, dy } });
+  }
+
+  // Extend the path; the raw path (if any) continues from its own, uncorrected end
+  // Every point carries the relative altitude at the time it was recorded
+  function pushPoint(point) {
+    const p = { ...point, alt: Math.round(altitudeMeters * 100) / 100 };
+    pathPoints.push(p);
+    if (rawPath) rawPath.push({ ...p, x: p.x + rawOffset.x, y: p.y + rawOffset.y });
+  }
+
+  function clearLoopClosures() {
+    rawPath = null;
+    rawOffset = { x: 0, y: 0 };
+    loopClosures = [];
+  }
+
+  // Walking direction relative to the compass heading: carrying mode (estimated or fixed),
+  // manual offset and magnetic declination (magnetic → true north)
+  function carryOffsetDeg() {
+    const mode = CARRY_MODES[carry.mode];
+    const estimated = mode.auto ? walkDirection.getOffset() : null;
+    return (estimated != null ? estimated : mode.offsetDeg) + carry.manualOffsetDeg + carry.declinationDeg;
+  }
+
+  // Distance and compass bearing from the current position to a world point
+  function vectorTo(p) {
+    const dx = p.x - currentPosition.x;
+    const dy = p.y - currentPosition.y;
+    return { distance: Math.hypot(dx, dy), bearingDeg: bearingDeg(dx, dy) };
+  }
+
+  function updateBackToStart() {
+    backToStart = vectorTo({ x: 0, y: 0 });
+    guidance = vectorTo(getTarget());
+  }
+
+  // opts.t: timestamp of the start point (defaults to the injected clock)
+  function setOrigin(opts = {}) {
+    originSet = true;
+    pathPoints = [{ x: 0, y: 0, t: isFinite(opts.t) ? opts.t : now(), floor: 0, alt: 0 }];
+    currentPosition = { x: 0, y: 0 };
+    stepCount = 0;
+    totalDistance = 0;
+    backToStart = { distance: 0, bearingDeg: 0 };
+    guidance = { distance: 0, bearingDeg: 0 };
+    floors.reset();
+    altitudeMeters = 0;
+    paused = false;
+    autoPaused = false;
+    pauses = [];
+    stillSince = pathPoints[0].t;
+    activityLog = [{ t: pathPoints[0].t, activity }];
+    clearLoopClosures();
+    anchor = null;
+    waypoints = [];
+    targetId = null;
+    photos = [];
+    trackCarry = carry;
+    emit('origin', {});
+  }
+
+  function reset() {
+    originSet = false;
+    pathPoints = [];
+    currentPosition = { x: 0, y: 0 };
+    stepCount = 0;
+    totalDistance = 0;
+    backToStart = { distance: 0, bearingDeg: 0 };
+    guidance = { distance: 0, bearingDeg: 0 };
+    floors.reset();
+    altitudeMeters = 0;
+    pauses = [];
+    activityLog = [];
+    clearLoopClosures();
+    anchor = null;
+    waypoints = [];
+    targetId = null;
+    photos = [];
+    trackCarry = carry;
+    emit('reset', {});
+  }
+
+  function openPause(start, auto) {
+    if (originSet) pauses.push({ start, end: null, x: currentPosition.x, y: currentPosition.y, floor: floors.getState().floor, auto });
+  }
+
+  function closePause(end) {
+    const open = pauses[pauses.length - 1];
+    if (open && open.end == null) open.end = Math.max(open.start, end);
+  }
+
+  function pause() {
+    if (paused) {
+      // Pausing by hand during an automatic pause keeps it until resume() is called
+      if (autoPaused) { autoPaused = false; pauses[pauses.length - 1].auto = false; }
+      return;
+    }
+    paused = true;
+    openPause(now(), false);
+    emit('pause', { auto: false });
+  }
+
+  function resume() {
+    if (!paused) return;
+    paused = false;
+    autoPaused = false;
+    closePause(now());
+    stillSince = clock;
+    detector.reset(); // no gait carries over a pause
+    emit('resume', { auto: false });
+  }
+
+  // The pause starts with the last step, so the standing time before it was noticed counts too
+  function pauseForStillness() {
+    paused = true;
+    autoPaused = true;
+    openPause(stillSince, true);
+    emit('pause', { auto: true, t: clock });
+  }
+
+  // The steps that ended the pause are counted right after this
+  function resumeAfterStillness() {
+    paused = false;
+    autoPaused = false;
+    closePause(clock);
+    emit('resume', { auto: true, t: clock });
+  }
+
+  function setAutoPause(on) {
+    autoPause = !!on;
+    if (!autoPause && autoPaused) resume();
+  }
+
+  function setStepLength(meters) {
+    if (isFinite(meters)) stepLength = clamp(meters, 0.3, 1.5);
+  }
+
+  // model: { k, c, fRef } from fitStepModel(), or null for the fixed step length
+  function setStepModel(model) {
+    stepModel = model && isFinite(model.k) && model.k > 0 ? { ...model } : null;
+  }
+
+  // Partial updates: { mode?, manualOffsetDeg?, declinationDeg? }
+  function setCarry(next) {
+    const modeChanged = next && next.mode && next.mode !== carry.mode;
+    carry = normalizeCarry({ ...carry, ...next });
+    if (modeChanged) walkDirection.reset();
+    // Changed during a walk, the walk goes on in the new mode
+    if (originSet) trackCarry = carry;
+  }
+
+  function getCarry() {
+    return { ...carry, estimatedOffsetDeg: CARRY_MODES[carry.mode].auto ? walkDirection.getOffset() : null };
+  }
+
+  function setHold(on) {
+    hold = !!on;
+  }
+
+  // Shift the live position by an external fix (GPS, ...); the path continues from there
+  function correctPosition(dx, dy) {
+    if (!originSet || !isFinite(dx) || !isFinite(dy)) return;
+    const t = now();
+    currentPosition = { x: currentPosition.x + dx, y: currentPosition.y + dy };
+    if (!hold) pushPoint({ x: currentPosition.x, y: currentPosition.y, t, floor: floors.getState().floor });
+    updateBackToStart();
+    emit('move', { position: { ...currentPosition }, totalDistance, stepCount, t, correction: { dx, dy } });
+  }
+
+  // Path index where a known point was last passed: the start, or the point the waypoint was
+  // dropped on; never before the previous loop closure, which is already corrected
+  function knownIndex(p) {
+    let index = 0;
+    if (p.id != null) {
+      let best = Infinity;
+      pathPoints.forEach((q, i) => {
+        const d = Math.hypot(q.x - p.x, q.y - p.y);
+        if (d < best - 1e-9) { best = d; index = i; }
+      });
+    }
+    const previous = loopClosures[loopClosures.length - 1];
+    return previous ? Math.max(index, previous.index) : index;
+  }
+
+  function pathLength(from) {
+    let length = 0;
+    for (let i = from + 1; i < pathPoints.length; i++) {
+      length += Math.hypot(pathPoints[i].x - pathPoints[i - 1].x, pathPoints[i].y - pathPoints[i - 1].y);
+    }
+    return length;
+  }
+
+  // The walker confirms being at the start (id null) or at a waypoint: the position error since
+  // that point was last passed is spread back over the path (see loopclosure.js). The raw path
+  // is kept alongside. Returns the closure record, or null.
+  function closeLoopAt(id) {
+    if (!originSet) return null;
+    const known = id == null ? { id: null, name: labels.start(), x: 0, y: 0 } : waypoints.find((w) => w.id === id);
+    if (!known) return null;
+    const last = pathPoints[pathPoints.length - 1];
+    if (!last || last.x !== currentPosition.x || last.y !== currentPosition.y) {
+      pushPoint({ x: currentPosition.x, y: currentPosition.y, t: clock || now(), floor: floors.getState().floor });
+    }
+    const from = knownIndex(known);
+    const result = closeLoop(pathPoints, from, known);
+    if (!rawPath) rawPath = pathPoints.map((p) => ({ ...p }));
+    const before = pathLength(from);
+    const corrected = result.points;
+    // Waypoints and photos taken along the corrected stretch move with the path
+    const follow = (w) => {
+      const i = pathPoints.findIndex((q, j) => j > from && q.x === w.x && q.y === w.y);
+      return i === -1 ? w : { ...w, x: corrected[i].x, y: corrected[i].y };
+    };
+    waypoints = waypoints.map((w) => (w.id === known.id ? w : follow(w)));
+    photos = photos.map(follow);
+    pathPoints = corrected;
+    totalDistance += pathLength(from) - before;
+    currentPosition = { x: known.x, y: known.y };
+    const raw = rawPath[rawPath.length - 1];
+    rawOffset = { x: raw.x - currentPosition.x, y: raw.y - currentPosition.y };
+    const closure = {
+      t: now(),
+      index: pathPoints.length - 1,
+      name: known.name,
+      errorMeters: result.errorMeters,
+      headingDeg: result.headingDeg,
+      scale: result.scale,
+      method: result.method,
+    };
+    loopClosures.push(closure);
+    updateBackToStart();
+    emit('loopclosure', { ...closure, position: { ...currentPosition } });
+    return { ...closure };
+  }
+
+  // ---- Editing (undo/redo lives in the caller, see trackedit.js) ----
+
+  // Bookkeeping after points were removed: totals, position at the path end, closure indices
+  // (mapIndex: old index → new index, or -1 when the point is gone)
+  function afterEdit(kind, removed, mapIndex) {
+    stepCount = Math.max(0, stepCount - removed.steps);
+    totalDistance = Math.max(0, totalDistance - removed.length);
+    const last = pathPoints[pathPoints.length - 1];
+    if (last) currentPosition = { x: last.x, y: last.y };
+    loopClosures = loopClosures
+      .map((c) => ({ ...c, index: mapIndex(c.index) }))
+      .filter((c) => c.index >= 0);
+    updateBackToStart();
+    emit('edit', { kind, removedSteps: removed.steps, removedMeters: removed.length });
+  }
+
+  // Take back the last n steps (false steps at the end of the walk)
+  function undoSteps(n) {
+    if (!originSet || !(n > 0) || pathPoints.length < 2) return 0;
+    const result = dropLastSteps(pathPoints, n);
+    pathPoints = result.points;
+    const count = pathPoints.length;
+    afterEdit('undoSteps', result, (i) => (i < count ? i : -1));
+    return result.steps;
+  }
+
+  // Cut out the stretch between points from and to; the path after it moves back to close the
+  // gap, waypoints on it too
+  function deletePathRange(from, to) {
+    from = Math.max(0, Math.floor(from));
+    to = Math.min(pathPoints.length - 1, Math.floor(to));
+    if (!originSet || from >= to) return false;
+    const result = deleteStretch(pathPoints, from, to);
+    const moved = new Set(pathPoints.slice(to).map((p) => p.x + ',' + p.y));
+    const follow = (w) => (moved.has(w.x + ',' + w.y) ? { ...w, x: w.x + result.shift.x, y: w.y + result.shift.y } : w);
+    waypoints = waypoints.map(follow);
+    photos = photos.map(follow);
+    pathPoints = result.points;
+    const count = to - from;
+    afterEdit('delete', result, (i) => (i <= from ? i : i > to ? i - count : -1));
+    return true;
+  }
+
+  // Keep only points from..to (drop a false start or a tail walked after the end)
+  function trimPathRange(from, to) {
+    from = Math.max(0, Math.floor(from));
+    to = Math.min(pathPoints.length - 1, Math.floor(to));
+    if (!originSet || from >= to) return false;
+    const result = trimPath(pathPoints, from, to);
+    pathPoints = result.points;
+    afterEdit('trim', result, (i) => (i >= from && i <= to ? i - from : -1));
+    return true;
+  }
+
+  // The walker is actually at p: re-anchor the live position there, the path continues from it
+  function moveTo(p) {
+    if (!originSet || !p || !isFinite(p.x) || !isFinite(p.y)) return;
+    correctPosition(p.x - currentPosition.x, p.y - currentPosition.y);
+  }
+
+  function setHeadingBias(deg) {
+    if (!isFinite(deg)) return;
+    let d = normalizeDeg(deg);
+    if (d > 180) d -= 360;
+    headingBiasDeg = d;
+  }
+
+  // Tie the origin to latitude/longitude; pass null to drop it
+  function setAnchor(a) {
+    anchor = a ? { ...a } : null;
+    emit('anchor', { anchor: anchor ? { ...anchor } : null });
+  }
+
+  // Drop a waypoint at the current position
+  function addWaypoint({ name, note } = {}) {
+    if (!originSet) return null;
+    const id = waypoints.reduce((max, w) => Math.max(max, w.id), 0) + 1;
+    const wp = {
+      id,
+      name: (name && name.trim()) || labels.waypoint(id),
+      note: (note && note.trim()) || '',
+      x: currentPosition.x,
+      y: currentPosition.y,
+      t: now(),
+      floor: floors.getState().floor,
+    };
+    waypoints.push(wp);
+    emit('waypoints', { waypoints: getWaypoints() });
+    return { ...wp };
+  }
+
+  function removeWaypoint(id) {
+    const before = waypoints.length;
+    waypoints = waypoints.filter((w) => w.id !== id);
+    if (waypoints.length === before) return;
+    if (targetId === id) setTarget(null);
+    emit('waypoints', { waypoints: getWaypoints() });
+  }
+
+  // Pin a stored photo (by its id) at the current position and heading
+  function addPhoto(id) {
+    if (!originSet || id == null) return null;
+    const pin = {
+      id,
+      x: currentPosition.x,
+      y: currentPosition.y,
+      floor: floors.getState().floor,
+      headingDeg: lastHeadingDeg,
+      t: now(),
+    };
+    photos.push(pin);
+    emit('photos', { photos: getPhotos() });
+    return { ...pin };
+  }
+
+  function removePhoto(id) {
+    const before = photos.length;
+    photos = photos.filter((p) => p.id !== id);
+    if (photos.length !== before) emit('photos', { photos: getPhotos() });
+  }
+
+  function getPhotos() {
+    return photos.map((p) => ({ ...p }));
+  }
+
+  // Waypoints with distance/bearing from the current position
+  function getWaypoints() {
+    return waypoints.map((w) => ({ ...w, ...vectorTo(w) }));
+  }
+
+  // Guide to a waypoint id, or back to the origin with null
+  function setTarget(id) {
+    targetId = waypoints.some((w) => w.id === id) ? id : null;
+    updateBackToStart();
+    emit('target', { target: getTarget(), guidance: { ...guidance } });
+  }
+
+  function getTarget() {
+    const w = waypoints.find((wp) => wp.id === targetId);
+    return w ? { ...w } : { id: null, name: labels.start(), note: '', x: 0, y: 0 };
+  }
+
+  function getPosition() {
+    return { ...currentPosition };
+  }
+
+  // Returns the live array; treat it as read-only
+  function getPath() {
+    return pathPoints;
+  }
+
+  function getBackToStart() {
+    return { ...backToStart };
+  }
+
+  function getState() {
+    return {
+      originSet,
+      paused,
+      autoPaused,
+      autoPause,
+      position: getPosition(),
+      path: pathPoints,
+      totalDistance,
+      stepCount,
+      stepLength,
+      stepModel: stepModel ? { ...stepModel } : null,
+      headingDeg: lastHeadingDeg,
+      headingConfidence: headingFilter.getConfidence(sensorTime),
+      magneticDisturbance: headingFilter.isDisturbed(),
+      moveHeadingDeg: lastMoveHeadingDeg,
+      lastStepTime,
+      activity,
+      activityLog,
+      pauses,
+      sensitivity: detector.getSensitivity(),
+      backToStart: getBackToStart(),
+      target: getTarget(),
+      guidance: { ...guidance },
+      waypoints: getWaypoints(),
+      photos: getPhotos(),
+      altitudeMeters,
+      floor: floors.getState().floor,
+      floorSource: floors.getState().source,
+      anchor: anchor ? { ...anchor } : null,
+      headingBiasDeg,
+      carry: getCarry(),
+      rawPath,
+      loopClosures,
+    };
+  }
+
+  // Persistable track state (same shape the app has always stored)
+  function toJSON() {
+    return {
+      pathPoints,
+      originSet,
+      currentPosition,
+      totalDistance,
+      stepCount,
+      backToStart,
+      altitudeMeters,
+      activityLog,
+      pauses,
+      floors: floors.toJSON(),
+      carry: trackCarry,
+      rawPath,
+      rawOffset,
+      loopClosures,
+      anchor,
+      waypoints,
+      targetId,
+      photos,
+    };
+  }
+
+  function restore(s) {
+    pathPoints = Array.isArray(s.pathPoints) ? s.pathPoints : [];
+    originSet = !!s.originSet;
+    currentPosition = s.currentPosition || { x: 0, y: 0 };
+    totalDistance = Number(s.totalDistance) || 0;
+    stepCount = Number(s.stepCount) || 0;
+    backToStart = s.backToStart || { distance: 0, bearingDeg: 0 };
+    altitudeMeters = Number(s.altitudeMeters) || 0;
+    floors.restore(s.floors);
+    activityLog = Array.isArray(s.activityLog) ? s.activityLog : [];
+    // Unless this tracker is paused right now, a pause still open in the stored track ends with its last point
+    const lastT = pathPoints.length ? pathPoints[pathPoints.length - 1].t : null;
+    pauses = (Array.isArray(s.pauses) ? s.pauses : [])
+      .map((p) => (p.end == null && !paused ? { ...p, end: isFinite(lastT) ? Math.max(p.start, lastT) : p.start } : { ...p }));
+    stillSince = isFinite(lastT) ? lastT : now();
+    // s.carry records how the track was walked and is saved with it again; the live carrying
+    // mode is a device setting and stays (a replay or a viewer creates its tracker with s.carry)
+    trackCarry = s.carry ? normalizeCarry(s.carry) : carry;
+    rawPath = Array.isArray(s.rawPath) ? s.rawPath : null;
+    rawOffset = s.rawOffset || { x: 0, y: 0 };
+    loopClosures = Array.isArray(s.loopClosures) ? s.loopClosures : [];
+    anchor = s.anchor || null;
+    waypoints = Array.isArray(s.waypoints) ? s.waypoints : [];
+    targetId = waypoints.some((w) => w.id === s.targetId) ? s.targetId : null;
+    photos = Array.isArray(s.photos) ? s.photos : [];
+    updateBackToStart();
+    emit('restore', {});
+  }
+
+  return {
+    on,
+    off,
+    feedMotion,
+    feedOrientation,
+    feedPressure,
+    setOrigin,
+    reset,
+    pause,
+    resume,
+    setStepLength,
+    setStepModel,
+    setSensitivity,
+    setCarry,
+    getCarry,
+    setHold,
+    setAutoPause,
+    setAnchor,
+    addWaypoint,
+    removeWaypoint,
+    getWaypoints,
+    addPhoto,
+    removePhoto,
+    getPhotos,
+    setTarget,
+    getTarget,
+    correctPosition,
+    closeLoopAt,
+    undoSteps,
+    deletePathRange,
+    trimPathRange,
+    moveTo,
+    setHeadingBias,
+    getPosition,
+    getPath,
+    getBackToStart,
+    getState,
+    toJSON,
+    restore,
+  };
+}
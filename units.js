@@ -0,0 +1,104 @@
+// Metric or imperial display of distances, altitudes, step lengths and paces. Everything is
+// meters internally; only what the user reads or types changes. Imperial distances use feet up
+// close, yards further out and miles for long walks. No DOM access.
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const FOOT = 0.3048;
+const INCH = 0.0254;
+const YARD = 0.9144;
+const MILE = 1609.344;
+
+// Regions that walk in miles
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+
+// 'auto' follows the browser's region, falling back to metric
+export function pickUnits(pref, navigatorLanguage) {
+  if (UNIT_SYSTEMS.includes(pref)) return pref;
+  const region = String(navigatorLanguage || '').split(/[-_]/)[1];
+  return region && IMPERIAL_REGIONS.includes(region.toUpperCase()) ? 'imperial' : 'metric';
+}
+
+// The unit a distance is shown in: { value, unit } with unit 'm', 'ft', 'yd' or 'mi'
+export function distanceInUnit(meters, system) {
+  if (system !== 'imperial') return { value: meters, unit: 'm' };
+  const abs = Math.abs(meters);
+  if (abs < 100 * FOOT) return { value: meters / FOOT, unit: 'ft' };
+  if (abs < 0.25 * MILE) return { value: meters / YARD, unit: 'yd' };
+  return { value: meters / MILE, unit: 'mi' };
+}
+
+// Distance walked or left to go. decimals applies to the smallest unit (m or ft)
+export function formatDistance(meters, system, decimals = 0) {
+  const { value, unit } = distanceInUnit(meters, system);
+  return value.toFixed(unit === 'yd' ? 0 : unit === 'mi' ? 2 : decimals) + ' ' + unit;
+}
+
+// Height differences always stay in m or ft
+export function formatAltitude(meters, system, decimals = 1) {
+  return system === 'imperial' ? (meters / FOOT).toFixed(decimals) + ' ft' : meters.toFixed(decimals) + ' m';
+}
+
+// Step length: meters with two decimals, or inches
+export function formatStepLength(meters, system) {
+  return system === 'imperial' ? (meters / INCH).toFixed(1) + ' in' : meters.toFixed(2) + ' m';
+}
+
+// Input fields that take a length: the unit shown next to them and the conversion both ways.
+// kind 'step' (step length) or 'distance' (a walked calibration stretch)
+const INPUT_UNITS = {
+  metric: { step: { unit: 'm', factor: 1, step: 0.01, decimals: 2 }, distance: { unit: 'm', factor: 1, step: 0.5, decimals: 1 } },
+  imperial: { step: { unit: 'in', factor: INCH, step: 0.5, decimals: 1 }, distance: { unit: 'ft', factor: FOOT, step: 1, decimals: 0 } },
+};
+
+export function inputUnit(kind, system) {
+  return INPUT_UNITS[system === 'imperial' ? 'imperial' : 'metric'][kind];
+}
+
+export function toInputValue(meters, kind, system) {
+  const u = inputUnit(kind, system);
+  return (meters / u.factor).toFixed(u.decimals);
+}
+
+export function fromInputValue(value, kind, system) {
+  return parseFloat(value) * inputUnit(kind, system).factor;
+}
+
+// Pace from seconds per kilometer: "m:ss min/km" or "m:ss min/mi"
+export function formatPace(secPerKm, system) {
+  if (secPerKm == null || !isFinite(secPerKm)) return '—';
+  const imperial = system === 'imperial';
+  const total = Math.round(imperial ? secPerKm * MILE / 1000 : secPerKm);
+  return Math.floor(total / 60) + ':' + String(total % 60).padStart(2, '0') + (imperial ? ' min/mi' : ' min/km');
+}
+
+// Split length for the statistics: 100 m, or a tenth of a mile
+export function splitLength(system) {
+  return system === 'imperial' ? { meters: MILE / 10, label: '0.1 mi' } : { meters: 100, label: '100 m' };
+}
+
+// Round number for grids and scale bars: 1, 2 or 5 × 10^n, at least `min`
+export function niceNumber(min) {
+  const base = Math.pow(10, Math.floor(Math.log10(min)));
+  for (const k of [1, 2, 5, 10]) if (k * base >= min) return k * base;
+  return 10 * base;
+}
+
+// Round scale bar length of at least `minMeters`: niceNumber() of the display unit.
+// Returns { meters, label }
+export function scaleBarLength(minMeters, system) {
+  if (system === 'imperial') {
+    if (minMeters >= 0.5 * MILE) {
+      const mi = niceNumber(minMeters / MILE);
+      return { meters: mi * MILE, label: mi + ' mi' };
+    }
+    if (minMeters >= 1 * FOOT) {
+      const ft = niceNumber(minMeters / FOOT);
+      return { meters: ft * FOOT, label: ft + ' ft' };
+    }
+    const inches = niceNumber(minMeters / INCH);
+    return { meters: inches * INCH, label: inches + ' in' };
+  }
+  const m = niceNumber(minMeters);
+  return { meters: m, label: m >= 1000 ? (m / 1000) + ' km' : m >= 1 ? m + ' m' : Math.round(m * 100) + ' cm' };
+}